@@ -2,28 +2,65 @@
 
 // Health check script for Docker containers
 // Uses Node.js http module instead of external dependencies like curl
+//
+// Usage: node src/health-check.js [live|ready]
+//   live  - the server process is responding (default, used by container health checks)
+//   ready - the server and its critical dependencies are usable
 
 const http = require('http');
 
 const HTTP_PORT = process.env.HTTP_PORT || 8099;
 const timeout = 5000; // 5 second timeout
 
+const PATHS = {
+    live: '/health/live',
+    ready: '/health/ready'
+};
+
+const mode = process.argv[2] || 'live';
+if (!PATHS[mode]) {
+    console.error(`Unknown health check mode '${mode}', expected one of: ${Object.keys(PATHS).join(', ')}`);
+    process.exit(1);
+}
+
 const options = {
     hostname: 'localhost',
     port: HTTP_PORT,
-    path: '/health',
+    path: PATHS[mode],
     method: 'GET',
     timeout: timeout
 };
 
-const req = http.request(options, (res) => {
-    if (res.statusCode === 200) {
-        console.log('Health check passed');
-        process.exit(0);
-    } else {
-        console.error(`Health check failed with status: ${res.statusCode}`);
-        process.exit(1);
+/**
+ * List the dependencies reported as down in a readiness response body
+ */
+function failingChecks(body) {
+    try {
+        const checks = JSON.parse(body).checks || {};
+        return Object.keys(checks)
+            .filter(name => checks[name].status === 'down')
+            .map(name => `${name}${checks[name].critical ? '' : ' (non-critical)'}: ${checks[name].error}`);
+    } catch (error) {
+        return [];
     }
+}
+
+const req = http.request(options, (res) => {
+    let body = '';
+    res.setEncoding('utf8');
+    res.on('data', chunk => body += chunk);
+    res.on('end', () => {
+        const failing = failingChecks(body);
+        if (res.statusCode === 200) {
+            console.log(`Health check (${mode}) passed`);
+            failing.forEach(check => console.log(`  degraded - ${check}`));
+            process.exit(0);
+        } else {
+            console.error(`Health check (${mode}) failed with status: ${res.statusCode}`);
+            failing.forEach(check => console.error(`  ${check}`));
+            process.exit(1);
+        }
+    });
 });
 
 req.on('error', (err) => {
@@ -4,259 +4,1340 @@
 // Provides REST endpoints for leaderboard and health checks
 
 const http = require('http');
-const url = require('url');
 const dataStore = require('./shared/data-store');
+const playerRegistry = require('./shared/player-registry');
+const invoiceRegistry = require('./shared/invoice-registry');
+const orderRegistry = require('./shared/order-registry');
+const { RetentionJob } = require('./shared/retention-job');
 const { OrderProcessor } = require('./shared/order');
 const { WebSocketClient } = require('./shared/WebSocketClient');
+const { Router, RequestError, sendJson } = require('./shared/router');
+const { jsonBody } = require('./shared/body-parser');
+const { AuthService, ROLES } = require('./shared/auth');
+const { cors } = require('./shared/cors');
+const { getConfig } = require('./shared/config');
+const { RateLimiter } = require('./shared/rate-limiter');
+const { buildDocument, contract } = require('./shared/openapi');
+const { metrics } = require('./shared/metrics');
+const { HealthChecker } = require('./shared/health');
+const { IdempotencyStore, parseIdempotencyKey, IDEMPOTENCY_HEADER } = require('./shared/idempotency');
+const { S3Client } = require('./shared/s3');
+const { createLogger, correlation, runWithCorrelationId, parseCorrelationId } = require('./shared/logger');
+
+const log = createLogger('http-server');
 
 const HTTP_PORT = process.env.HTTP_PORT || 8099;
 const WS_PORT = process.env.WS_PORT || 8080;
 const WS_SERVER = process.env.WS_SERVER || 'localhost';
 
-// Initialize order processor and WebSocket client
-const orderProcessor = new OrderProcessor();
+// Service secret, admin token and player token verification
+const auth = new AuthService();
+
+// Token-bucket rate limits per client IP, player and endpoint (config 'rateLimit' block)
+const rateLimiter = new RateLimiter(getConfig().rateLimit);
+
+// Initialize order processor (retries and circuit breaker from the 'orderBackend' config block) and WebSocket client
+const orderProcessor = new OrderProcessor(getConfig().orderBackend);
+
+// Results of orders sent with an Idempotency-Key, replayed for repeats (config 'idempotency' block)
+const idempotencyStore = new IdempotencyStore(getConfig().idempotency);
 
 // Initialize WebSocket client for communicating with websocket-server
 const wsClient = new WebSocketClient({
     url: `ws://${WS_SERVER}:${WS_PORT}/game-control`,
     userId: 'http-server',
+    token: auth.getServiceSecret(), // Authenticates this connection as a service
     autoReconnect: false, // Disable auto-reconnect, we use manual retry logic
     timeout: 5000, // Shorter timeout for faster retry
     heartbeatInterval: 30000, // Send ping every 30 seconds
     enableHeartbeat: true // Enable heartbeat monitoring
 });
 
-const httpServer = http.createServer(async (req, res) => {
-    const parsedUrl = url.parse(req.url, true);
-    
-    // Set CORS headers
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+// Prometheus metrics served at /metrics
+metrics.collectDefaultMetrics();
+const httpRequestsTotal = metrics.counter({
+    name: 'http_requests_total',
+    help: 'HTTP requests by method, route and status code',
+    labelNames: ['method', 'route', 'status']
+});
+const httpRequestDuration = metrics.histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request latency by method and route',
+    labelNames: ['method', 'route']
+});
+metrics.gauge({ name: 'leaderboard_entries', help: 'Entries on the leaderboard', collect: () => dataStore.getLeaderboardCount() });
+metrics.gauge({ name: 'players_registered', help: 'Players in the player registry', collect: () => playerRegistry.getPlayerCount() });
+metrics.gauge({
+    name: 'invoices',
+    help: 'Registered invoices by status',
+    labelNames: ['status'],
+    collect: () => Object.entries(invoiceRegistry.getStats().byStatus).map(([status, value]) => ({ labels: { status }, value }))
+});
+metrics.gauge({ name: 'websocket_client_connected', help: 'Whether the WebSocket client is connected (1) or not (0)', collect: () => wsClient.getStatus().isConnected ? 1 : 0 });
+metrics.gauge({
+    name: 'orders',
+    help: 'Recorded orders by status',
+    labelNames: ['status'],
+    collect: () => Object.entries(orderRegistry.getStatusCounts()).map(([status, value]) => ({ labels: { status }, value }))
+});
+metrics.gauge({
+    name: 'order_backend_circuit_open',
+    help: 'Whether the EDI backend circuit breaker is open (1), half open (0.5) or closed (0)',
+    collect: () => ({ open: 1, half_open: 0.5, closed: 0 })[orderProcessor.getCircuitStatus().state]
+});
+metrics.gauge({ name: 'order_queue_size', help: 'Orders queued until the EDI backend is reachable', collect: () => orderProcessor.getQueueStatus().size });
+metrics.gauge({ name: 'websocket_client_queued_messages', help: 'Messages queued by the WebSocket client until it reconnects', collect: () => wsClient.getStatus().queuedMessages });
+
+// Server-Sent Events clients subscribed to /leaderboard/stream
+const leaderboardStreamClients = new Set();
+const leaderboardStreamsPerIp = new Map(); // Map of client IP -> open streams
+const leaderboardStreamLimits = { maxClients: 200, maxClientsPerIp: 20, ...getConfig().leaderboardStream };
+const STREAM_HEARTBEAT_INTERVAL = 25000; // Keep idle proxies from closing the stream
+const STREAM_RETRY_AFTER_SECONDS = 30; // Retry-After sent when no stream can be opened
+
+/**
+ * Write a Server-Sent Event to a single stream client
+ * @param {http.ServerResponse} res - The open event stream response
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload
+ */
+function writeStreamEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Push a leaderboard delta to SSE clients and to the WebSocket server for subscribed players
+ * @param {Object} delta - Delta emitted by dataStore 'leaderboardUpdate'
+ */
+function broadcastLeaderboardUpdate(delta) {
+    leaderboardStreamClients.forEach(res => writeStreamEvent(res, 'leaderboard_update', delta));
     
-    if (req.method === 'OPTIONS') {
-        res.writeHead(200);
-        res.end();
+    // Deltas are only meaningful live, so they are not queued while disconnected
+    if (wsClient.isConnected) {
+        wsClient.send({
+            type: 'leaderboard_update',
+            userId: 'http-server',
+            ...delta
+        });
+    }
+    log.info(`Leaderboard update pushed to ${leaderboardStreamClients.size} stream client(s)`);
+}
+
+dataStore.on('leaderboardUpdate', broadcastLeaderboardUpdate);
+
+/**
+ * Push an order status change to the player who placed the order, through the WebSocket server
+ * @param {Object} order - Order record emitted by orderRegistry 'statusChange'
+ */
+function sendOrderStatus(order) {
+    if (!order.userId) {
         return;
     }
-    if (parsedUrl.pathname === '/leaderboard') {
-        //console.log('>>>>>Leaderboard API called');
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({
-            success: true,
-            count: dataStore.getLeaderboardCount(),
-            data: dataStore.getLeaderboardData(),
-            lastUpdated: new Date().toISOString()
-        }));
-        console.log(`📊 Leaderboard API called - returned ${dataStore.getLeaderboardCount()} entries`);
-    } else if (parsedUrl.pathname === '/game-over' && req.method === 'POST') {
-        // Handle game over events from WebSocket server
-        let body = '';
-        req.on('data', chunk => {
-            body += chunk.toString();
+    const latest = order.history[order.history.length - 1];
+    wsClient.send({
+        type: 'order_status',
+        userId: 'http-server',
+        targetUserId: order.userId,
+        orderId: order.orderId,
+        status: order.status,
+        invoiceNumber: order.invoiceNumber,
+        failureReason: order.failureReason,
+        correlationId: order.correlationId || undefined,
+        changedAt: latest.at,
+        timestamp: new Date().toISOString()
+    });
+}
+
+orderRegistry.on('statusChange', sendOrderStatus);
+
+/**
+ * Ask the WebSocket server to delete invoice files and cached invoices of erased or expired players
+ * Queued while disconnected so the erasure is not lost.
+ * @param {Array} invoiceNumbers - Invoice numbers to delete
+ */
+function sendPlayerErase(invoiceNumbers) {
+    if (invoiceNumbers.length === 0) {
+        return;
+    }
+    wsClient.send({
+        type: 'player_erase',
+        userId: 'http-server',
+        invoiceNumbers: invoiceNumbers,
+        timestamp: new Date().toISOString()
+    });
+}
+
+// Purge personal data once the retention period after an event has passed (RETENTION_DAYS)
+const retentionJob = new RetentionJob({
+    dataStore: dataStore,
+    playerRegistry: playerRegistry,
+    onPurge: result => {
+        sendPlayerErase(result.invoiceNumbers);
+        invoiceRegistry.anonymise({ invoiceNumbers: result.invoiceNumbers }).catch(error => {
+            log.error(`Failed to anonymise expired invoices: ${error.message}`);
+        });
+        orderRegistry.anonymise({ invoiceNumbers: result.invoiceNumbers }).catch(error => {
+            log.error(`Failed to anonymise expired orders: ${error.message}`);
         });
-        req.on('end', () => {
-            try {
-                const gameOverData = JSON.parse(body);
-                console.log(`🎮 Received game over event from WebSocket server`);
-                
-                // Process the game over event using dataStore
-                dataStore.processGameOverEvent(gameOverData);
-                
-                res.writeHead(200, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({
-                    success: true,
-                    message: 'Game over event processed successfully',
-                    timestamp: new Date().toISOString()
-                }));
-            } catch (error) {
-                console.error('❌ Error processing game over event:', error);
-                res.writeHead(400, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({
-                    success: false,
-                    error: 'Invalid game over data',
-                    message: error.message
-                }));
+    }
+});
+
+// Readiness probes for /health/ready: the WebSocket link and storage are critical,
+// MinIO (invoice PDFs) and the EDI backend (orders) only degrade the service when down
+const s3Client = new S3Client();
+const healthChecker = new HealthChecker()
+    .register('websocket', () => {
+        const status = wsClient.getStatus();
+        if (!status.isConnected) {
+            throw new Error(`Not connected to ${status.url} (${status.queuedMessages} queued messages)`);
+        }
+        return { url: status.url, queuedMessages: status.queuedMessages };
+    })
+    .register('storage', async () => {
+        await Promise.all([dataStore.storage, playerRegistry.storage, invoiceRegistry.storage, orderRegistry.storage, orderProcessor.queueStorage]
+            .filter(Boolean)
+            .map(storage => storage.checkWritable()));
+        return { backend: process.env.STORAGE_BACKEND || 'jsonl' };
+    })
+    .register('minio', async () => {
+        await s3Client.ping();
+        return { endpoint: `${s3Client.config.endPoint}:${s3Client.config.port}` };
+    }, { critical: false })
+    .register('ediBackend', async () => {
+        const circuit = orderProcessor.getCircuitStatus();
+        if (circuit.state === 'open') {
+            throw new Error(`Circuit open after ${circuit.failures} failures (${circuit.lastError}), retry at ${circuit.retryAt}`);
+        }
+        const details = await orderProcessor.checkBackend(healthChecker.timeout);
+        return { ...details, circuit: circuit.state, queuedOrders: orderProcessor.getQueueStatus().size };
+    }, { critical: false });
+let readinessStatus = null; // Last reported readiness, to log changes only
+
+/**
+ * Create middleware that only lets the given roles through
+ * Responds 401 without a valid bearer token and 403 when the token's role is not allowed.
+ * Admin-only routes are disabled entirely unless ADMIN_TOKEN is configured.
+ * @param {...string} roles - Allowed roles (ROLES.SERVICE, ROLES.ADMIN, ROLES.PLAYER)
+ * @returns {Function} (req, res, next) middleware
+ */
+function requireRole(...roles) {
+    return (req, res, next) => {
+        if (!req.auth) {
+            if (roles.length === 1 && roles[0] === ROLES.ADMIN && !auth.isAdminEnabled()) {
+                throw new RequestError('Forbidden', 'Admin API is disabled (ADMIN_TOKEN not configured)', 403);
             }
+            throw new RequestError('Unauthorized', `A valid ${roles.join(' or ')} token is required`, 401, { 'WWW-Authenticate': 'Bearer' });
+        }
+        if (!roles.includes(req.auth.role)) {
+            throw new RequestError('Forbidden', `This endpoint is not available to the ${req.auth.role} role`, 403);
+        }
+        return next();
+    };
+}
+
+const requireAdmin = requireRole(ROLES.ADMIN);
+
+/**
+ * Build the rate limit keys for a request
+ * Service calls are forwarded on behalf of many players from one address, so they are limited by the
+ * player named in the body instead of by IP.
+ * @param {Function} playerFromBody - (body) => player identifier for service calls, or null
+ * @returns {Function} (req) => Array of keys
+ */
+function rateLimitKeys(playerFromBody) {
+    return (req) => {
+        if (req.auth && req.auth.role === ROLES.SERVICE) {
+            const player = req.body ? playerFromBody(req.body) : null;
+            return player ? [`user:${player}`] : [];
+        }
+        const keys = [`ip:${rateLimiter.clientIp(req)}`];
+        if (req.auth && req.auth.userId) {
+            keys.push(`user:${req.auth.userId}`);
+        }
+        return keys;
+    };
+}
+
+/**
+ * Check whether the request is made by the player who owns a profile
+ * @param {http.IncomingMessage} req - The authenticated request
+ * @param {Object} player - Player record from the registry
+ * @returns {boolean} True for a player token issued to one of the player's user IDs
+ */
+function isOwnPlayer(req, player) {
+    return req.auth.role === ROLES.PLAYER && !!player && player.userIds.includes(req.auth.userId);
+}
+
+/**
+ * Check whether an order was placed by the player making the request
+ * @param {Object} req - Request with req.auth
+ * @param {Object|null} order - Order record
+ * @returns {boolean} True if the order was placed under the player's userId or one of their emails
+ */
+function isOwnOrder(req, order) {
+    if (req.auth.role !== ROLES.PLAYER || !order) {
+        return false;
+    }
+    const player = playerRegistry.getPlayer(req.auth.userId);
+    return order.userId === req.auth.userId ||
+        (isOwnPlayer(req, player) && !!order.customerEmail && player.emails.includes(order.customerEmail.toLowerCase()));
+}
+
+// Columns included in leaderboard exports, in order
+const EXPORT_COLUMNS = [
+    'rank', 'userId', 'username', 'email', 'score', 'level', 'tShirtsCount', 'tShirtValue',
+    'coinsRemaining', 'season', 'gameSession', 'timestamp', 'flagged'
+];
+
+/**
+ * Format a value for a CSV cell
+ * Quotes values containing separators and neutralises spreadsheet formulas.
+ * @param {*} value - Cell value
+ * @returns {string} CSV-safe cell
+ */
+function toCsvValue(value) {
+    if (value === undefined || value === null) return '';
+    let text = String(value);
+    if (/^[=+\-@]/.test(text) && typeof value !== 'number') {
+        text = `'${text}`;
+    }
+    if (/[",\r\n]/.test(text)) {
+        text = `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+/**
+ * Stream leaderboard entries as CSV or JSON, honouring back-pressure
+ * @param {http.ServerResponse} res - The response to write to
+ * @param {Array} entries - Entries to export
+ * @param {string} format - 'csv' or 'json'
+ * @returns {Promise<void>} Resolves when the export is written or the client went away
+ */
+async function streamLeaderboardExport(res, entries, format) {
+    const write = (chunk) => {
+        if (res.destroyed || res.write(chunk)) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => {
+            res.once('drain', resolve);
+            res.once('close', resolve);
+        });
+    };
+    
+    if (format === 'csv') {
+        await write(EXPORT_COLUMNS.join(',') + '\r\n');
+        for (const entry of entries) {
+            if (res.destroyed) return;
+            await write(EXPORT_COLUMNS.map(column => toCsvValue(entry[column])).join(',') + '\r\n');
+        }
+    } else {
+        await write(`{"success":true,"exportedAt":${JSON.stringify(new Date().toISOString())},"count":${entries.length},"data":[`);
+        for (let i = 0; i < entries.length; i++) {
+            if (res.destroyed) return;
+            const row = {};
+            EXPORT_COLUMNS.forEach(column => row[column] = entries[i][column] !== undefined ? entries[i][column] : null);
+            await write((i > 0 ? ',' : '') + JSON.stringify(row));
+        }
+        await write(']}');
+    }
+    res.end();
+}
+
+/**
+ * Get a single-valued query string parameter
+ * @param {Object} req - The request
+ * @param {string} name - Parameter name
+ * @returns {string|undefined} The value, or undefined when it is not given
+ * @throws {RequestError} 400 when the parameter is repeated (?name=a&name=b)
+ */
+function queryString(req, name) {
+    const value = req.query[name];
+    if (value !== undefined && typeof value !== 'string') {
+        throw new RequestError('Invalid query parameter', `${name} must be given once`);
+    }
+    return value;
+}
+
+const MAX_LEADERBOARD_PAGE_SIZE = 1000;
+const MAX_RANK_NEIGHBOURS = 25;
+
+/**
+ * Parse and validate leaderboard query string parameters
+ * @param {Object} query - Parsed query string
+ * @returns {Object} { options } on success or { error } describing the invalid parameter
+ */
+function parseLeaderboardQuery(query) {
+    const options = {};
+
+    const parseInteger = (name, min, max) => {
+        if (query[name] === undefined) return undefined;
+        const value = Number(query[name]);
+        if (!Number.isInteger(value) || value < min || value > max) {
+            throw new Error(`${name} must be an integer between ${min} and ${max}`);
+        }
+        return value;
+    };
+
+    const parseDate = (name) => {
+        if (query[name] === undefined) return undefined;
+        const value = new Date(query[name]);
+        if (isNaN(value.getTime())) {
+            throw new Error(`${name} must be an ISO 8601 date`);
+        }
+        return value;
+    };
+
+    try {
+        options.limit = parseInteger('limit', 1, MAX_LEADERBOARD_PAGE_SIZE);
+        options.offset = parseInteger('offset', 0, Number.MAX_SAFE_INTEGER);
+        options.level = parseInteger('level', 1, Number.MAX_SAFE_INTEGER);
+        options.from = parseDate('from');
+        options.to = parseDate('to');
+        if (query.gameSession !== undefined) {
+            options.gameSession = query.gameSession;
+        }
+        if (query.board !== undefined) {
+            options.board = query.board;
+        }
+    } catch (error) {
+        return { error: error.message };
+    }
+
+    Object.keys(options).forEach(key => options[key] === undefined && delete options[key]);
+    return { options };
+}
+
+const router = new Router();
+
+// Correlation ID from X-Correlation-ID (or a new one) for every log line of the request
+router.use(correlation());
+
+// Error handling: turn thrown errors into JSON error responses
+router.use(async (req, res, next) => {
+    try {
+        await next();
+    } catch (error) {
+        if (!(error instanceof RequestError)) {
+            log.error(`Error handling ${req.method} ${req.pathname}`, error);
+        }
+        if (res.headersSent) {
+            res.destroy();
+            return;
+        }
+        const statusCode = error instanceof RequestError ? error.statusCode : 500;
+        sendJson(res, statusCode, {
+            success: false,
+            error: error instanceof RequestError ? error.error : 'Internal server error',
+            message: error instanceof RequestError ? error.message : 'An unexpected error occurred',
+            timestamp: new Date().toISOString()
+        }, error.headers);
+    }
+});
+
+// Request logging
+router.use(async (req, res, next) => {
+    const startedAt = Date.now();
+    res.on('finish', () => {
+        const durationMs = Date.now() - startedAt;
+        const route = req.route || 'unmatched'; // Route pattern keeps label values bounded
+        httpRequestsTotal.inc({ method: req.method, route: route, status: res.statusCode });
+        httpRequestDuration.observe({ method: req.method, route: route }, durationMs / 1000);
+        log.info(`${req.method} ${req.pathname} ${res.statusCode} (${durationMs}ms)`, {
+            correlationId: req.correlationId, // 'finish' fires outside the request's async context
+            method: req.method,
+            route: route,
+            statusCode: res.statusCode,
+            durationMs: durationMs
+        });
+    });
+    await next();
+});
+
+// CORS headers and preflight requests (config 'cors' block, CORS_* environment overrides)
+router.use(cors(getConfig().cors, router));
+
+// Bearer token authentication (req.auth is { role, userId } or null)
+router.use((req, res, next) => {
+    req.auth = auth.authenticate(AuthService.bearerToken(req.headers['authorization']));
+    return next();
+});
+
+// Overall request rate per client IP; the WebSocket server and admins are not limited
+router.use(rateLimiter.middleware('http', req =>
+    req.auth && req.auth.role !== ROLES.PLAYER ? [] : [`ip:${rateLimiter.clientIp(req)}`]));
+
+// JSON request bodies (req.body)
+router.use(jsonBody());
+
+router.get('/leaderboard', contract('GET /leaderboard'), (req, res) => {
+    const { options, error } = parseLeaderboardQuery(req.query);
+    if (error) {
+        throw new RequestError('Invalid query parameter', error);
+    }
+    if (options.board && !dataStore.hasBoard(options.board)) {
+        sendJson(res, 404, { success: false, error: 'Board not found', board: options.board });
+        return;
+    }
+    
+    const result = dataStore.queryLeaderboard(options);
+    sendJson(res, 200, {
+        success: true,
+        count: result.entries.length,
+        total: result.total,
+        limit: options.limit || 100,
+        offset: options.offset || 0,
+        rankingMode: dataStore.getRankingMode(),
+        board: options.board || 'all-time',
+        data: result.entries,
+        lastUpdated: new Date().toISOString()
+    });
+    log.debug(`Leaderboard API called - returned ${result.entries.length} of ${result.total} entries`);
+});
+
+router.get('/leaderboard/stream', (req, res) => {
+    // Server-Sent Events stream of leaderboard deltas
+    // Every stream holds a connection open, so their number is capped per client IP and in total
+    const clientIp = rateLimiter.clientIp(req);
+    const retryAfter = { 'Retry-After': String(STREAM_RETRY_AFTER_SECONDS) };
+    if (leaderboardStreamClients.size >= leaderboardStreamLimits.maxClients) {
+        throw new RequestError('Stream unavailable', `The leaderboard stream is full (${leaderboardStreamLimits.maxClients} clients)`, 503, retryAfter);
+    }
+    const ipStreams = leaderboardStreamsPerIp.get(clientIp) || 0;
+    if (ipStreams >= leaderboardStreamLimits.maxClientsPerIp) {
+        throw new RequestError('Too many requests', `At most ${leaderboardStreamLimits.maxClientsPerIp} leaderboard streams per client`, 429, retryAfter);
+    }
+    
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    
+    // Start with the current top entries so displays can render immediately
+    writeStreamEvent(res, 'leaderboard_snapshot', {
+        top: dataStore.queryLeaderboard({ limit: 10 }).entries,
+        total: dataStore.getTotalEntryCount(),
+        rankingMode: dataStore.getRankingMode(),
+        timestamp: new Date().toISOString()
+    });
+    
+    leaderboardStreamClients.add(res);
+    leaderboardStreamsPerIp.set(clientIp, ipStreams + 1);
+    log.info(`Leaderboard stream client connected (${leaderboardStreamClients.size} total)`);
+    
+    req.on('close', () => {
+        leaderboardStreamClients.delete(res);
+        const remaining = leaderboardStreamsPerIp.get(clientIp) - 1;
+        if (remaining > 0) {
+            leaderboardStreamsPerIp.set(clientIp, remaining);
+        } else {
+            leaderboardStreamsPerIp.delete(clientIp);
+        }
+        log.info(`Leaderboard stream client disconnected (${leaderboardStreamClients.size} total)`);
+    });
+});
+
+router.get('/leaderboard/player/:userId', (req, res) => {
+    // Player's best entry, rank and neighbours across the full score history
+    const userId = req.params.userId;
+    const neighbours = req.query.neighbours !== undefined ? Number(req.query.neighbours) : 2;
+    if (!Number.isInteger(neighbours) || neighbours < 0 || neighbours > MAX_RANK_NEIGHBOURS) {
+        throw new RequestError('Invalid query parameter', `neighbours must be an integer between 0 and ${MAX_RANK_NEIGHBOURS}`);
+    }
+    
+    const board = req.query.board || 'all-time';
+    if (!dataStore.hasBoard(board)) {
+        sendJson(res, 404, { success: false, error: 'Board not found', board: board });
+        return;
+    }
+    
+    const playerRank = dataStore.getPlayerRank(userId, neighbours, board);
+    if (!playerRank) {
+        sendJson(res, 404, { success: false, error: 'Player not found', userId: userId });
+        return;
+    }
+    
+    sendJson(res, 200, {
+        success: true,
+        userId: userId,
+        rankingMode: dataStore.getRankingMode(),
+        board: board,
+        ...playerRank,
+        lastUpdated: new Date().toISOString()
+    });
+});
+
+router.get('/leaderboard/export', requireAdmin, (req, res) => {
+    // Full score history export for prize draws (includes player emails)
+    const format = req.query.format || 'csv';
+    const { options, error } = parseLeaderboardQuery({
+        from: req.query.from,
+        to: req.query.to,
+        board: req.query.board
+    });
+    const top = req.query.top !== undefined ? Number(req.query.top) : undefined;
+    
+    let validationError = error;
+    if (!['csv', 'json'].includes(format)) {
+        validationError = 'format must be csv or json';
+    } else if (top !== undefined && (!Number.isInteger(top) || top < 1)) {
+        validationError = 'top must be a positive integer';
+    }
+    if (validationError) {
+        throw new RequestError('Invalid query parameter', validationError);
+    }
+    if (options.board && !dataStore.hasBoard(options.board)) {
+        sendJson(res, 404, { success: false, error: 'Board not found', board: options.board });
+        return;
+    }
+    
+    const entries = dataStore.getScoreHistory({ ...options, limit: top });
+    const filename = `leaderboard-${options.board || 'all-time'}-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.writeHead(200, {
+        'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json',
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'Cache-Control': 'no-store'
+    });
+    
+    streamLeaderboardExport(res, entries, format)
+        .then(() => log.info(`Leaderboard export (${format}) streamed ${entries.length} entries`))
+        .catch(exportError => {
+            log.error(`Error streaming leaderboard export: ${exportError.message}`);
+            res.destroy();
+        });
+});
+
+/**
+ * Respond with a game session <-> order/invoice link
+ * @param {http.ServerResponse} res - The response
+ * @param {Object|null} link - The game link
+ * @param {string} notFoundError - Error when there is no link
+ */
+function sendGameLink(res, link, notFoundError) {
+    if (!link) {
+        sendJson(res, 404, { success: false, error: notFoundError });
+        return;
+    }
+    
+    sendJson(res, 200, {
+        success: true,
+        link: link,
+        entry: dataStore.getEntryByGameSession(link.gameSession)
+    });
+}
+
+// Links carry the player's email and order total, so only admins and services may read them
+router.get('/leaderboard/session/:gameSession', requireRole(ROLES.ADMIN, ROLES.SERVICE), (req, res) => {
+    sendGameLink(res, dataStore.getGameLink(req.params.gameSession), 'Game session not found');
+});
+
+router.get('/leaderboard/invoice/:invoiceNumber', requireRole(ROLES.ADMIN, ROLES.SERVICE), (req, res) => {
+    sendGameLink(res, dataStore.getGameLinkByInvoice(req.params.invoiceNumber), 'No game linked to invoice');
+});
+
+router.get('/leaderboard/boards', (req, res) => {
+    // Available boards: the all-time board plus one per season
+    sendJson(res, 200, {
+        success: true,
+        activeSeason: dataStore.getActiveSeason(),
+        boards: [{ name: 'all-time', status: 'open' }, ...dataStore.getSeasons()],
+        timestamp: new Date().toISOString()
+    });
+});
+
+router.get('/admin/seasons', requireAdmin, (req, res) => {
+    sendJson(res, 200, {
+        success: true,
+        activeSeason: dataStore.getActiveSeason(),
+        seasons: dataStore.getSeasons()
+    });
+});
+
+router.post('/admin/seasons', requireAdmin, (req, res) => {
+    // Open a new season
+    const seasonData = req.body || {};
+    const result = dataStore.openSeason(seasonData.name, seasonData.description);
+    sendJson(res, result.success ? 201 : result.statusCode, result);
+});
+
+router.post('/admin/seasons/:name/:action', requireAdmin, (req, res) => {
+    // Close or archive a season
+    const { name, action } = req.params;
+    if (action !== 'close' && action !== 'archive') {
+        throw new RequestError('Not found', `Unknown season action ${action}`, 404);
+    }
+    const result = action === 'close' ? dataStore.closeSeason(name) : dataStore.archiveSeason(name);
+    sendJson(res, result.success ? 200 : result.statusCode, result);
+});
+
+router.post('/players', requireRole(ROLES.SERVICE), (req, res) => {
+    // Player registration forwarded by the WebSocket server
+    const identity = req.body || {};
+    const player = playerRegistry.upsertPlayer({
+        userId: identity.userId,
+        email: identity.email,
+        username: identity.username
+    }, 'register');
+    
+    if (!player) {
+        throw new RequestError('Invalid player data', 'userId or email is required');
+    }
+    
+    sendJson(res, 200, { success: true, player: player });
+});
+
+router.post('/players/:userId/token', requireRole(ROLES.ADMIN, ROLES.SERVICE), (req, res) => {
+    // Player token for a WebSocket client, issued once the caller has checked who the player is
+    const userId = req.params.userId;
+    const identity = req.body || {};
+    const player = playerRegistry.upsertPlayer({
+        userId: userId,
+        email: identity.email,
+        username: identity.username
+    }, 'register');
+    if (!player) {
+        throw new RequestError('Invalid player data', 'userId is required');
+    }
+    
+    const playerToken = auth.issuePlayerToken(userId);
+    log.info(`Issued player token for ${userId}`);
+    sendJson(res, 200, {
+        success: true,
+        player: player,
+        token: playerToken.token,
+        expiresAt: playerToken.expiresAt
+    });
+});
+
+router.get('/players/:id', requireRole(ROLES.ADMIN, ROLES.SERVICE, ROLES.PLAYER), (req, res) => {
+    // Player profile by playerId, userId or email; players can only read their own profile
+    const player = playerRegistry.getPlayer(req.params.id);
+    if (req.auth.role === ROLES.PLAYER && !isOwnPlayer(req, player)) {
+        throw new RequestError('Forbidden', 'Players can only read their own profile', 403);
+    }
+    if (!player) {
+        sendJson(res, 404, { success: false, error: 'Player not found' });
+        return;
+    }
+    
+    const { games, best, links } = dataStore.getPlayerGames(player);
+    const invoices = new Map();
+    player.orders.filter(order => order.invoiceNumber).forEach(order => invoices.set(order.invoiceNumber, {
+        invoiceNumber: order.invoiceNumber,
+        orderId: order.orderId,
+        totalAmount: order.totalAmount,
+        gameSession: order.gameSession
+    }));
+    links.filter(link => link.invoiceNumber && !invoices.has(link.invoiceNumber)).forEach(link => invoices.set(link.invoiceNumber, {
+        invoiceNumber: link.invoiceNumber,
+        orderId: link.orderId,
+        totalAmount: link.totalAmount,
+        gameSession: link.gameSession
+    }));
+    
+    sendJson(res, 200, {
+        success: true,
+        player: player,
+        bestScore: best ? best.score : null,
+        bestGame: best,
+        gamesPlayed: games.length,
+        games: games,
+        orders: player.orders,
+        invoices: Array.from(invoices.values()),
+        timestamp: new Date().toISOString()
+    });
+});
+
+router.delete('/players/:id', requireAdmin, async (req, res) => {
+    // Erase a player's personal data (leaderboard, game links, profile and invoice files)
+    const id = req.params.id;
+    const player = playerRegistry.getPlayer(id);
+    
+    // Players who predate the registry can still be erased by userId or email
+    const identity = player ?
+        { userIds: player.userIds, emails: player.emails } :
+        { userIds: [id], emails: [id.toLowerCase()] };
+    
+    const erased = await dataStore.erasePlayer(identity);
+    if (!player && erased.entries === 0 && erased.links === 0 && erased.rejections === 0) {
+        sendJson(res, 404, { success: false, error: 'Player not found' });
+        return;
+    }
+    
+    const invoiceNumbers = new Set(erased.invoiceNumbers);
+    if (player) {
+        player.orders.forEach(order => order.invoiceNumber && invoiceNumbers.add(order.invoiceNumber));
+        await playerRegistry.erasePlayer(player.playerId);
+    }
+    await invoiceRegistry.anonymise({ invoiceNumbers: Array.from(invoiceNumbers), emails: identity.emails });
+    const orders = await orderRegistry.anonymise({ invoiceNumbers: Array.from(invoiceNumbers), emails: identity.emails });
+    sendPlayerErase(Array.from(invoiceNumbers));
+    
+    sendJson(res, 200, {
+        success: true,
+        message: 'Player data erased',
+        playerId: player ? player.playerId : null,
+        erased: {
+            entries: erased.entries,
+            links: erased.links,
+            rejections: erased.rejections,
+            invoices: invoiceNumbers.size,
+            orders: orders,
+            profile: !!player
+        },
+        timestamp: new Date().toISOString()
+    });
+});
+
+router.post('/game-over', requireRole(ROLES.SERVICE),
+    rateLimiter.middleware('game-over', rateLimitKeys(body => body.player && body.player.userId)),
+    contract('POST /game-over'), (req, res) => {
+    // Handle game over events from WebSocket server
+    const gameOverData = req.body;
+    log.info(`Received game over event from WebSocket server`);
+    
+    // Process the game over event using dataStore
+    const result = dataStore.processGameOverEvent(gameOverData);
+    if (gameOverData.player) {
+        playerRegistry.upsertPlayer(gameOverData.player, 'game_over');
+    }
+    
+    if (result.rejected) {
+        sendJson(res, 422, {
+            success: false,
+            error: 'Score rejected',
+            message: 'Game over event failed score validation',
+            reasons: result.reasons,
+            timestamp: new Date().toISOString()
+        });
+        return;
+    }
+    
+    sendJson(res, 200, {
+        success: true,
+        message: 'Game over event processed successfully',
+        score: result.entry.score,
+        flagged: result.flagged,
+        timestamp: new Date().toISOString()
+    });
+});
+
+router.post('/process-order', requireRole(ROLES.SERVICE, ROLES.PLAYER),
+    rateLimiter.middleware('order', rateLimitKeys(body => body.customerEmail && String(body.customerEmail).toLowerCase())),
+    contract('POST /process-order'), async (req, res) => {
+    // A repeated Idempotency-Key gets the first result back instead of a second purchase order
+    const idempotencyKey = parseIdempotencyKey(req.headers[IDEMPOTENCY_HEADER.toLowerCase()]);
+    if (idempotencyKey) {
+        const { result, replayed } = await idempotencyStore.execute(idempotencyScope(req), idempotencyKey, req.body, () => placeOrder(req));
+        sendJson(res, result.statusCode || 200, result, { 'Idempotent-Replayed': String(replayed) });
+        if (replayed) {
+            log.info(`Replayed order result for idempotency key ${idempotencyKey}`, { orderId: result.orderId });
+            return;
+        }
+        return handleOrderResult(result, req.correlationId);
+    }
+
+    const orderResult = await placeOrder(req);
+    sendJson(res, orderResult.statusCode || 200, orderResult);
+    return handleOrderResult(orderResult, req.correlationId);
+});
+
+/**
+ * Scope of an order's idempotency key
+ * The WebSocket server places every player's orders with the service token, so its keys are scoped to
+ * the player the order is for (userId, or the customer email).
+ * @param {Object} req - The /process-order request
+ * @returns {string} e.g. 'player:alice' or 'service:alice'
+ */
+function idempotencyScope(req) {
+    if (req.auth.userId) {
+        return `${req.auth.role}:${req.auth.userId}`;
+    }
+    const body = req.body || {};
+    const player = body.userId || (body.customerEmail && String(body.customerEmail).toLowerCase());
+    return player ? `${req.auth.role}:${player}` : req.auth.role;
+}
+
+/**
+ * Record an order and forward it to the EDI backend
+ * The order gets its own ID, returned in the result and used by GET /orders/:orderId and order_status
+ * messages. Status changes are pushed to the player given by the body's userId (set by the WebSocket
+ * server) or the player token. While the backend is unreachable the order is queued (202) and its
+ * result is recorded when the queue drains (see orderProcessor 'dequeued' below).
+ * @param {Object} req - The /process-order request
+ * @returns {Promise<Object>} Result from OrderProcessor.processOrder() with the recorded orderId
+ */
+async function placeOrder(req) {
+    const { userId, ...orderData } = req.body || {};
+    const order = orderRegistry.receive(orderData, {
+        userId: req.auth.role === ROLES.PLAYER ? req.auth.userId : userId,
+        correlationId: req.correlationId
+    });
+
+    const result = await orderProcessor.processOrder(orderData, {
+        orderId: order.orderId,
+        onForward: () => orderRegistry.updateStatus(order.orderId, 'forwarded')
+    });
+    if (result.queued) {
+        orderRegistry.updateStatus(order.orderId, 'queued');
+    } else {
+        orderRegistry.recordResult(order.orderId, result);
+    }
+    return { ...result, orderId: order.orderId };
+}
+
+// Queued orders get their final status, and accepted ones their invoice, once the backend answers
+orderProcessor.on('dequeued', (entry, result) => {
+    orderRegistry.recordResult(entry.orderId, result);
+    // A repeated Idempotency-Key now gets the outcome instead of the 202 'queued' result
+    idempotencyStore.replaceResults(stored => stored.queued && stored.orderId === entry.orderId, { ...result, orderId: entry.orderId });
+    handleOrderResult({ ...result, orderId: entry.orderId }, entry.correlationId);
+});
+
+/**
+ * Link a processed order to the player and register its invoice for polling
+ * @param {Object} orderResult - Result from OrderProcessor.processOrder() with the recorded orderId
+ * @param {string} correlationId - Correlation ID of the order request
+ */
+function handleOrderResult(orderResult, correlationId) {
+    // Now we can use the returned result for additional processing
+    if (orderResult.queued) {
+        log.info(`Order ${orderResult.orderId} queued at position ${orderResult.queuePosition}`);
+        return;
+    }
+    if (!orderResult.success) {
+        log.warn(`Order processing failed: ${orderResult.error}`, { statusCode: orderResult.statusCode });
+        return;
+    }
+    
+    log.info(`Order processed successfully: ${orderResult.orderId}`, {
+        orderId: orderResult.orderId,
+        customerName: orderResult.customerName,
+        customerEmail: orderResult.customerEmail
+    });
+    
+    // Only orders the backend accepted (validated PO number and totals) are linked and invoiced
+    if (orderResult.po) {
+        log.info(`Backend PO: ${orderResult.po}, Total: ${orderResult.backendResponse.summary.totalAmount}`);
+        
+        // Link the order and its invoice to the player's finished game session
+        dataStore.linkOrder({
+            orderId: orderResult.orderId,
+            invoiceNumber: orderResult.po,
+            customerEmail: orderResult.customerEmail,
+            customerName: orderResult.customerName,
+            totalAmount: orderResult.backendResponse.summary.totalAmount,
+            gameSession: orderResult.gameSession
+        });
+        const player = playerRegistry.recordOrder({
+            email: orderResult.customerEmail,
+            username: orderResult.customerName
+        }, {
+            orderId: orderResult.orderId,
+            invoiceNumber: orderResult.po,
+            totalAmount: orderResult.backendResponse.summary.totalAmount,
+            gameSession: orderResult.gameSession
         });
-    } else if (parsedUrl.pathname === '/process-order' && req.method === 'POST') {
-        // Handle order processing using OrderProcessor module
+        invoiceRegistry.register({
+            invoiceNumber: orderResult.po,
+            orderId: orderResult.orderId,
+            playerId: player ? player.playerId : null,
+            customerName: orderResult.customerName,
+            customerEmail: orderResult.customerEmail,
+            totalAmount: orderResult.backendResponse.summary.totalAmount,
+            gameSession: orderResult.gameSession
+        });
+        
+        // Send invoice_register event via WebSocket
         try {
-            const orderResult = await orderProcessor.handleOrderRequest(req, res);
+            const invoiceRegisterMessage = {
+                type: 'invoice_register',
+                userId: 'http-server', // Required by websocket-server
+                po: orderResult.po,
+                playerId: orderResult.customerName, // Use email as playerId
+                customerName: orderResult.customerName,
+                customerEmail: orderResult.customerEmail,
+                orderId: orderResult.orderId,
+                totalAmount: orderResult.backendResponse.summary.totalAmount,
+                correlationId: correlationId, // Carried through invoice polling to invoice_ready
+                timestamp: new Date().toISOString()
+            };
             
-            // Now we can use the returned result for additional processing
-            if (orderResult.success) {
-                console.log(`✅ Order processed successfully: ${orderResult.orderId} for ${orderResult.customerName} (${orderResult.customerEmail})`);
-                
-                // Access backend response data and send invoice registration
-                if (orderResult.backendResponse && orderResult.backendResponse.po) {
-                    console.log(`📊 Backend PO: ${orderResult.backendResponse.po}, Total: ${orderResult.backendResponse.summary?.totalAmount}`);
-                    
-                    // Send invoice_register event via WebSocket
-                    try {
-                        const invoiceRegisterMessage = {
-                            type: 'invoice_register',
-                            userId: 'http-server', // Required by websocket-server
-                            //po: orderResult.backendResponse.po,
-                            po: 1030,
-                            playerId: orderResult.customerName, // Use email as playerId
-                            customerName: orderResult.customerName,
-                            customerEmail: orderResult.customerEmail,
-                            orderId: orderResult.orderId,
-                            totalAmount: orderResult.backendResponse.summary?.totalAmount,
-                            timestamp: new Date().toISOString()
-                        };
-                        
-                        const sent = wsClient.send(invoiceRegisterMessage);
-                        if (sent) {
-                            console.log(`📤 Sent invoice_register event for PO ${orderResult.backendResponse.po} to WebSocket server`);
-                        } else {
-                            console.log(`📦 Queued invoice_register event for PO ${orderResult.backendResponse.po} (WebSocket not connected)`);
-                        }
-                        
-                    } catch (wsError) {
-                        console.error(`❌ Error sending invoice_register event: ${wsError.message}`);
-                    }
-                }
-                
+            const sent = wsClient.send(invoiceRegisterMessage);
+            if (sent) {
+                log.info(`Sent invoice_register event for PO ${orderResult.po} to WebSocket server`);
             } else {
-                console.log(`❌ Order processing failed: ${orderResult.error}`);
+                log.info(`Queued invoice_register event for PO ${orderResult.po} (WebSocket not connected)`);
             }
             
-        } catch (error) {
-            console.error('❌ Error in order processing:', error);
-            if (!res.headersSent) {
-                res.writeHead(500, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({
-                    success: false,
-                    error: 'Internal server error',
-                    message: 'An error occurred while processing the order',
-                    timestamp: new Date().toISOString()
-                }));
-            }
+        } catch (wsError) {
+            log.error(`Error sending invoice_register event: ${wsError.message}`);
         }
+    }
+}
 
-    } else if (parsedUrl.pathname === '/health') {
-        // Health check endpoint for Docker
-        const wsStatus = wsClient.getStatus();
-        
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({
-            status: 'healthy',
-            service: 'http-server',
-            timestamp: new Date().toISOString(),
-            uptime: process.uptime(),
-            leaderboardEntries: dataStore.getLeaderboardCount(),
-            websocket: {
-                isConnected: wsStatus.isConnected,
-                isReconnecting: wsStatus.isReconnecting,
-                reconnectAttempts: wsStatus.reconnectAttempts,
-                queuedMessages: wsStatus.queuedMessages,
-                uptime: wsStatus.uptime,
-                url: wsStatus.url
-            }
-        }));
-    } else {
-        res.writeHead(404, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Not found' }));
+router.get('/orders', requireRole(ROLES.ADMIN, ROLES.SERVICE, ROLES.PLAYER), (req, res) => {
+    // Orders with their status, filtered by customer email and status; players only see their own orders
+    const customerEmail = queryString(req, 'customerEmail');
+    const status = queryString(req, 'status');
+    if (status !== undefined && !['received', 'forwarded', 'queued', 'accepted', 'invoiced', 'failed'].includes(status)) {
+        throw new RequestError('Invalid query parameter', 'status must be received, forwarded, queued, accepted, invoiced or failed');
+    }
+
+    const options = { status: status };
+    if (customerEmail !== undefined) {
+        options.emails = [customerEmail.toLowerCase()];
+    }
+    if (req.auth.role === ROLES.PLAYER) {
+        const player = playerRegistry.getPlayer(req.auth.userId);
+        const ownEmails = isOwnPlayer(req, player) ? player.emails : [];
+        if (customerEmail === undefined || !ownEmails.includes(customerEmail.toLowerCase())) {
+            throw new RequestError('Forbidden', "Players can only list orders for their own email (customerEmail)", 403);
+        }
+    }
+
+    const orders = orderRegistry.listOrders(options);
+    sendJson(res, 200, {
+        success: true,
+        count: orders.length,
+        data: orders,
+        timestamp: new Date().toISOString()
+    });
+});
+
+router.get('/orders/:orderId', requireRole(ROLES.ADMIN, ROLES.SERVICE, ROLES.PLAYER), (req, res) => {
+    // A single order with its status history; players can only read their own orders
+    const order = orderRegistry.getOrder(req.params.orderId);
+    if (req.auth.role === ROLES.PLAYER && !isOwnOrder(req, order)) {
+        throw new RequestError('Forbidden', 'Players can only read their own orders', 403);
+    }
+    if (!order) {
+        sendJson(res, 404, { success: false, error: 'Order not found' });
+        return;
     }
+    sendJson(res, 200, { success: true, order: order });
 });
 
+router.get('/invoices', requireRole(ROLES.ADMIN, ROLES.SERVICE), (req, res) => {
+    // Invoices with their polling status, filtered by player (playerId, userId or email), status and date
+    const { options, error } = parseLeaderboardQuery({ from: queryString(req, 'from'), to: queryString(req, 'to') });
+    if (error) {
+        throw new RequestError('Invalid query parameter', error);
+    }
+    const status = queryString(req, 'status');
+    if (status !== undefined && !['registered', 'polling', 'processed', 'failed'].includes(status)) {
+        throw new RequestError('Invalid query parameter', 'status must be registered, polling, processed or failed');
+    }
+    
+    const playerQuery = queryString(req, 'player');
+    if (playerQuery !== undefined) {
+        const player = playerRegistry.getPlayer(playerQuery);
+        options.emails = player ? player.emails : [playerQuery.toLowerCase()];
+        options.invoiceNumbers = player ? player.orders.map(order => order.invoiceNumber).filter(Boolean) : [];
+    }
+    options.status = status;
+    
+    const invoices = invoiceRegistry.listInvoices(options);
+    sendJson(res, 200, {
+        success: true,
+        count: invoices.length,
+        data: invoices,
+        timestamp: new Date().toISOString()
+    });
+});
+
+router.get('/invoices/stats', requireRole(ROLES.ADMIN, ROLES.SERVICE), (req, res) => {
+    sendJson(res, 200, {
+        success: true,
+        ...invoiceRegistry.getStats(),
+        timestamp: new Date().toISOString()
+    });
+});
+
+router.get('/invoices/:invoiceNumber', requireRole(ROLES.ADMIN, ROLES.SERVICE), (req, res) => {
+    const invoice = invoiceRegistry.getInvoice(req.params.invoiceNumber);
+    if (!invoice) {
+        sendJson(res, 404, { success: false, error: 'Invoice not found' });
+        return;
+    }
+    sendJson(res, 200, { success: true, invoice: invoice });
+});
+
+router.get('/invoices/:invoiceNumber/pdf', requireRole(ROLES.ADMIN, ROLES.PLAYER), async (req, res) => {
+    // Download a processed invoice; players can only download their own invoices
+    const invoice = invoiceRegistry.getInvoice(req.params.invoiceNumber);
+    if (req.auth.role === ROLES.PLAYER) {
+        const player = playerRegistry.getPlayer(req.auth.userId);
+        if (!invoice || !isOwnPlayer(req, player) || invoice.playerId !== player.playerId) {
+            throw new RequestError('Forbidden', 'Players can only download their own invoices', 403);
+        }
+    }
+    if (!invoice) {
+        sendJson(res, 404, { success: false, error: 'Invoice not found' });
+        return;
+    }
+    if (invoice.status !== 'processed') {
+        sendJson(res, 409, {
+            success: false,
+            error: 'Invoice not ready',
+            message: `Invoice ${invoice.invoiceNumber} is ${invoice.status}`,
+            status: invoice.status
+        });
+        return;
+    }
+    
+    let pdf;
+    try {
+        pdf = await invoiceRegistry.loadPdf(invoice);
+    } catch (error) {
+        log.error(`Error loading invoice ${invoice.invoiceNumber} PDF: ${error.message}`);
+        throw new RequestError('Invoice storage unavailable', 'The invoice file could not be retrieved', 502);
+    }
+    if (!pdf) {
+        sendJson(res, 404, { success: false, error: 'Invoice file not found' });
+        return;
+    }
+    
+    res.writeHead(200, {
+        'Content-Type': 'application/pdf',
+        'Content-Length': pdf.length,
+        'Content-Disposition': `attachment; filename="invoice-${invoice.invoiceNumber}.pdf"`,
+        'Cache-Control': 'no-store'
+    });
+    res.end(pdf);
+});
+
+router.get('/health', contract('GET /health'), (req, res) => {
+    // Overall status and counters; /health/live and /health/ready are the probe endpoints
+    const wsStatus = wsClient.getStatus();
+    
+    sendJson(res, 200, {
+        status: wsStatus.isConnected ? 'healthy' : 'degraded',
+        service: 'http-server',
+        timestamp: new Date().toISOString(),
+        uptime: process.uptime(),
+        leaderboardEntries: dataStore.getLeaderboardCount(),
+        players: playerRegistry.getPlayerCount(),
+        retention: retentionJob.getStatus(),
+        rateLimit: rateLimiter.getStats(),
+        idempotency: idempotencyStore.getStats(),
+        orderBackend: { circuit: orderProcessor.getCircuitStatus(), queue: orderProcessor.getQueueStatus() },
+        websocket: {
+            isConnected: wsStatus.isConnected,
+            isReconnecting: wsStatus.isReconnecting,
+            reconnectAttempts: wsStatus.reconnectAttempts,
+            queuedMessages: wsStatus.queuedMessages,
+            uptime: wsStatus.uptime,
+            url: wsStatus.url
+        }
+    });
+});
+
+router.get('/health/live', contract('GET /health/live'), (req, res) => {
+    // Liveness: the process is serving requests; dependencies are not checked
+    sendJson(res, 200, {
+        status: 'alive',
+        service: 'http-server',
+        timestamp: new Date().toISOString(),
+        uptime: process.uptime()
+    });
+});
+
+router.get('/health/ready', contract('GET /health/ready'), async (req, res) => {
+    // Readiness: 503 while a critical dependency is down
+    const report = await healthChecker.check();
+    if (report.status !== readinessStatus) {
+        const failing = Object.keys(report.checks).filter(name => report.checks[name].status === 'down');
+        log[report.status === 'ready' ? 'info' : 'warn'](`Readiness changed to ${report.status}`, { failing: failing });
+        readinessStatus = report.status;
+    }
+
+    sendJson(res, report.status === 'not_ready' ? 503 : 200, {
+        status: report.status,
+        service: 'http-server',
+        timestamp: new Date().toISOString(),
+        checks: report.checks
+    });
+});
+
+let openApiDocument = null;
+
+router.get('/openapi.json', (req, res) => {
+    // OpenAPI 3.1 description of the routes above, built on first request
+    openApiDocument = openApiDocument || buildDocument(router);
+    sendJson(res, 200, openApiDocument);
+});
+
+router.get('/metrics', requireRole(ROLES.ADMIN, ROLES.SERVICE), (req, res) => {
+    // Prometheus scrape endpoint, scraped with SERVICE_SECRET as the bearer token
+    metrics.send(res);
+});
+
+const httpServer = http.createServer((req, res) => router.handle(req, res));
+
 // Set up WebSocket event listeners for monitoring before starting connection attempts
 wsClient.on('connected', () => {
-    console.log(`🔗 WebSocket connected successfully to invoice registration service`);
+    log.info(`WebSocket connected successfully to invoice registration service`);
     const status = wsClient.getStatus();
     if (status.queuedMessages > 0) {
-        console.log(`📦 Processing ${status.queuedMessages} queued messages...`);
+        log.info(`Processing ${status.queuedMessages} queued messages...`);
     }
 });
 
 wsClient.on('disconnected', (info) => {
-    console.log(`🔌 WebSocket disconnected: ${info.reason} (uptime: ${info.uptime || 0}s)`);
+    log.info(`WebSocket disconnected: ${info.reason} (uptime: ${info.uptime || 0}s)`);
     const status = wsClient.getStatus();
     if (status.queuedMessages > 0) {
-        console.log(`📦 ${status.queuedMessages} messages queued for retry when reconnected`);
+        log.info(`${status.queuedMessages} messages queued for retry when reconnected`);
     }
     
     // Try to reconnect (fewer attempts for reconnection)
-    console.log(`🔄 Attempting to reconnect...`);
+    log.info(`Attempting to reconnect...`);
     setTimeout(async () => {
         try {
             await wsClient.connect(10); // Try 10 times for reconnection
-            console.log(`✅ Reconnected to WebSocket server`);
+            log.info(`Reconnected to WebSocket server`);
         } catch (error) {
-            console.log(`❌ Failed to reconnect after 10 attempts, will try again later`);
+            log.error(`Failed to reconnect after 10 attempts, will try again later`);
         }
     }, 2000); // Wait 2 seconds before starting reconnection attempts
 });
 
+// Invoice status changes reported by the WebSocket server's invoice poller
+wsClient.on('message', (message) => {
+    if (message.type === 'invoice_status') {
+        const correlationId = parseCorrelationId(message.correlationId);
+        const update = () => {
+            const invoice = invoiceRegistry.updateStatus(message);
+            const orderId = (invoice && invoice.orderId) || message.orderId;
+            if (orderId && message.status === 'processed') {
+                orderRegistry.updateStatus(orderId, 'invoiced', { invoicedAt: message.processedAt || new Date().toISOString() });
+            } else if (orderId && message.status === 'failed') {
+                orderRegistry.updateStatus(orderId, 'failed', { failureReason: `Invoice failed: ${message.reason || message.message || 'unknown'}` });
+            }
+        };
+        correlationId ? runWithCorrelationId(correlationId, update) : update();
+    }
+});
+
 wsClient.on('error', (error) => {
-    console.error(`❌ WebSocket error: ${error.message}`);
+    log.error(`WebSocket error: ${error.message}`);
 });
 
 wsClient.on('maxReconnectAttemptsReached', () => {
-    console.error(`❌ WebSocket max reconnection attempts reached - manual intervention may be required`);
+    log.error(`WebSocket max reconnection attempts reached - manual intervention may be required`);
 });
 
 // Initialize WebSocket connection using client's built-in retry logic
 async function initializeWebSocketConnection() {
     try {
         await wsClient.connect(30); // Try 30 times with 1-second delays
-        console.log(`✅ Connected to WebSocket server for invoice events`);
+        log.info(`Connected to WebSocket server for invoice events`);
     } catch (error) {
-        console.error(`❌ Failed to connect to WebSocket server after 30 attempts`);
-        console.log(`📦 Invoice events will be queued until WebSocket server becomes available`);
+        log.error(`Failed to connect to WebSocket server after 30 attempts`);
+        log.info(`Invoice events will be queued until WebSocket server becomes available`);
     }
 }
 
-httpServer.listen(HTTP_PORT, () => {
-    console.log(`📊 Red Hat Quest HTTP API Server running on http://localhost:${HTTP_PORT}`);
-    console.log(`🔗 Leaderboard data: http://localhost:${HTTP_PORT}/leaderboard`);
-    console.log(`📄 Invoices data: http://localhost:${HTTP_PORT}/invoices`);
-    console.log(`📄 Invoice stats: http://localhost:${HTTP_PORT}/invoices/stats`);
-    console.log(`📦 Process order: http://localhost:${HTTP_PORT}/process-order`);
-    console.log(`💚 Health check: http://localhost:${HTTP_PORT}/health`);
-    console.log(`✅ HTTP Server started successfully`);
+// Restore persisted leaderboard and player data before accepting requests
+async function initializeDataStore() {
+    try {
+        await dataStore.initialize();
+    } catch (error) {
+        log.error(`Failed to load persisted leaderboard data: ${error.message}`);
+        log.warn(`Starting with an empty leaderboard`);
+    }
+    try {
+        await playerRegistry.initialize();
+    } catch (error) {
+        log.error(`Failed to load persisted player data: ${error.message}`);
+        log.warn(`Starting with an empty player registry`);
+    }
+    try {
+        await invoiceRegistry.initialize();
+    } catch (error) {
+        log.error(`Failed to load persisted invoice data: ${error.message}`);
+        log.warn(`Starting with an empty invoice registry`);
+    }
+    try {
+        await orderRegistry.initialize();
+    } catch (error) {
+        log.error(`Failed to load persisted order data: ${error.message}`);
+        log.warn(`Starting with an empty order registry`);
+    }
+    try {
+        await orderProcessor.initialize();
+    } catch (error) {
+        log.error(`Failed to load the persisted order queue: ${error.message}`);
+        log.warn(`Orders fail instead of being queued while the EDI backend is unreachable`);
+    }
+    try {
+        await idempotencyStore.initialize();
+    } catch (error) {
+        log.error(`Failed to load persisted idempotency keys: ${error.message}`);
+        log.warn(`Starting without stored order results`);
+    }
+}
+
+initializeDataStore().then(() => httpServer.listen(HTTP_PORT, () => {
+    log.info(`Red Hat Quest HTTP API Server running on http://localhost:${HTTP_PORT}`, {
+        endpoints: ['/leaderboard', '/leaderboard/player/:userId', '/leaderboard/stream', '/leaderboard/boards', '/players/:id',
+            '/invoices', '/invoices/stats', '/orders', '/orders/:orderId', '/process-order', '/health', '/health/live', '/health/ready', '/metrics', '/openapi.json']
+    });
     
     // Start WebSocket connection attempt asynchronously (doesn't block server startup)
     initializeWebSocketConnection();
+    
+    retentionJob.start();
 
     // Simple periodic monitoring (every 5 minutes)
     setInterval(() => {
         const status = wsClient.getStatus();
         if (!status.isConnected) {
-            console.log(`⚠️ WebSocket not connected - queued messages: ${status.queuedMessages}`);
+            log.warn(`WebSocket not connected - queued messages: ${status.queuedMessages}`);
         } else {
-            console.log(`💓 WebSocket healthy - uptime: ${status.uptime}s, queued: ${status.queuedMessages}`);
+            log.info(`WebSocket healthy - uptime: ${status.uptime}s, queued: ${status.queuedMessages}`);
         }
     }, 5 * 60 * 1000); // 5 minutes
-});
+
+    // Keep leaderboard streams alive with SSE comments
+    setInterval(() => {
+        leaderboardStreamClients.forEach(res => res.write(': heartbeat\n\n'));
+    }, STREAM_HEARTBEAT_INTERVAL);
+}));
 
 // Handle server shutdown gracefully
 process.on('SIGINT', () => {
-    console.log('\n🛑 HTTP Server: Received SIGINT, shutting down gracefully...');
+    log.info('HTTP Server: Received SIGINT, shutting down gracefully...');
     
     // Close WebSocket connection
     if (wsClient) {
-        console.log('🔌 Disconnecting from WebSocket server...');
+        log.info('Disconnecting from WebSocket server...');
         wsClient.disconnect();
     }
     
     httpServer.close();
-    process.exit(0);
+    retentionJob.stop();
+    
+    // Flush pending leaderboard, player, invoice, order and idempotency writes before exiting
+    Promise.all([dataStore.close(), playerRegistry.close(), invoiceRegistry.close(), orderRegistry.close(), orderProcessor.close(), idempotencyStore.close()]).finally(() => process.exit(0));
 });
 
 process.on('SIGTERM', () => {
-    console.log('\n🛑 HTTP Server: Received SIGTERM, shutting down gracefully...');
+    log.info('HTTP Server: Received SIGTERM, shutting down gracefully...');
     
     // Close WebSocket connection
     if (wsClient) {
-        console.log('🔌 Disconnecting from WebSocket server...');
+        log.info('Disconnecting from WebSocket server...');
         wsClient.disconnect();
     }
     
     httpServer.close();
-    process.exit(0);
+    retentionJob.stop();
+    
+    // Flush pending leaderboard, player, invoice, order and idempotency writes before exiting
+    Promise.all([dataStore.close(), playerRegistry.close(), invoiceRegistry.close(), orderRegistry.close(), orderProcessor.close(), idempotencyStore.close()]).finally(() => process.exit(0));
 });
 
 module.exports = httpServer;
@@ -7,6 +7,9 @@
 
 const WebSocket = require('ws');
 const EventEmitter = require('events');
+const { createLogger } = require('./logger');
+
+const log = createLogger('websocket-client');
 
 class WebSocketClient extends EventEmitter {
     constructor(options = {}) {
@@ -15,6 +18,7 @@ class WebSocketClient extends EventEmitter {
         this.config = {
             url: options.url || 'ws://localhost:8080/game-control',
             userId: options.userId || 'websocket-client',
+            token: options.token || null, // Service secret, admin token or player token sent on connect and register
             autoReconnect: options.autoReconnect !== false, // Default true
             maxReconnectAttempts: options.maxReconnectAttempts || 5,
             reconnectDelay: options.reconnectDelay || 1000, // Base delay in ms
@@ -47,9 +51,9 @@ class WebSocketClient extends EventEmitter {
         while (attempts < maxAttempts) {
             try {
                 attempts++;
-                console.log(maxAttempts > 1 ? 
-                    `🔌 Attempting to connect to WebSocket server... (attempt ${attempts}/${maxAttempts})` :
-                    `🔗 Connecting to WebSocket server: ${this.config.url}`
+                log.info(maxAttempts > 1 ? 
+                    `Attempting to connect to WebSocket server... (attempt ${attempts}/${maxAttempts})` :
+                    `Connecting to WebSocket server: ${this.config.url}`
                 );
                 
                 const connected = await this.attemptConnection();
@@ -61,7 +65,7 @@ class WebSocketClient extends EventEmitter {
                     throw error; // Re-throw on final attempt
                 }
                 
-                console.log(`⏳ WebSocket server not ready, retrying in 1 second... (${attempts}/${maxAttempts})`);
+                log.info(`WebSocket server not ready, retrying in 1 second... (${attempts}/${maxAttempts})`);
                 await new Promise(resolve => setTimeout(resolve, 1000));
             }
         }
@@ -77,7 +81,8 @@ class WebSocketClient extends EventEmitter {
     async attemptConnection() {
         return new Promise((resolve, reject) => {
             try {
-                this.ws = new WebSocket(this.config.url);
+                const headers = this.config.token ? { 'Authorization': `Bearer ${this.config.token}` } : {};
+                this.ws = new WebSocket(this.config.url, { headers });
                 
                 // Connection timeout
                 const timeout = setTimeout(() => {
@@ -95,7 +100,7 @@ class WebSocketClient extends EventEmitter {
                     this.connectionStartTime = new Date();
                     this.lastPongReceived = new Date();
                     
-                    console.log(`✅ Connected to WebSocket server: ${this.config.url}`);
+                    log.info(`Connected to WebSocket server: ${this.config.url}`);
                     
                     // Start heartbeat monitoring
                     this.startHeartbeat();
@@ -118,7 +123,7 @@ class WebSocketClient extends EventEmitter {
                     const uptime = this.connectionStartTime ? 
                         Math.round((new Date() - this.connectionStartTime) / 1000) : 0;
                     
-                    console.log(`🔌 WebSocket connection closed (${code}): ${reason} [uptime: ${uptime}s]`);
+                    log.info(`WebSocket connection closed (${code}): ${reason} [uptime: ${uptime}s]`);
                     this.emit('disconnected', { code, reason, uptime });
                     
                     // Auto-reconnect if enabled
@@ -133,7 +138,7 @@ class WebSocketClient extends EventEmitter {
 
                 this.ws.on('error', (error) => {
                     clearTimeout(timeout);
-                    console.error(`❌ WebSocket error: ${error.message}`);
+                    log.error(`WebSocket error: ${error.message}`);
                     this.emit('error', error);
                     
                     if (this.ws.readyState === WebSocket.CONNECTING) {
@@ -146,7 +151,7 @@ class WebSocketClient extends EventEmitter {
                         const message = JSON.parse(data.toString());
                         this.handleMessage(message);
                     } catch (error) {
-                        console.error(`❌ Error parsing WebSocket message: ${error.message}`);
+                        log.error(`Error parsing WebSocket message: ${error.message}`);
                         this.emit('parseError', error, data.toString());
                     }
                 });
@@ -158,7 +163,7 @@ class WebSocketClient extends EventEmitter {
                 });
 
             } catch (error) {
-                console.error(`❌ Error creating WebSocket connection: ${error.message}`);
+                log.error(`Error creating WebSocket connection: ${error.message}`);
                 reject(error);
             }
         });
@@ -172,14 +177,14 @@ class WebSocketClient extends EventEmitter {
     handleMessage(message) {
         // Handle registration response
         if (message.type === 'register_response') {
-            console.log(`📝 Registration response: ${message.message}`);
+            log.info(`Registration response: ${message.message}`);
             this.emit('registered', message);
             return;
         }
 
         // Handle invoice registration response
         if (message.type === 'invoice_register_response') {
-            console.log(`📄 Invoice registration response: ${message.message}`);
+            log.info(`Invoice registration response: ${message.message}`);
             this.emit('invoiceRegistered', message);
             return;
         }
@@ -199,6 +204,9 @@ class WebSocketClient extends EventEmitter {
             timestamp: new Date().toISOString(),
             source: 'websocket-client'
         };
+        if (this.config.token) {
+            registrationMessage.token = this.config.token;
+        }
 
         this.send(registrationMessage);
     }
@@ -212,11 +220,11 @@ class WebSocketClient extends EventEmitter {
         if (!this.isConnected || !this.ws || this.ws.readyState !== WebSocket.OPEN) {
             // Queue message for later sending
             this.messageQueue.push(message);
-            console.log(`📦 Message queued (connection not ready): ${message.type}`);
+            log.info(`Message queued (connection not ready): ${message.type}`);
             
             // Trigger reconnection attempt if not already in progress
             if (!this.isReconnecting && this.config.autoReconnect) {
-                console.log(`🔄 Triggering reconnection attempt due to queued message`);
+                log.info(`Triggering reconnection attempt due to queued message`);
                 this.handleReconnection();
             }
             
@@ -226,10 +234,10 @@ class WebSocketClient extends EventEmitter {
         try {
             const messageString = JSON.stringify(message);
             this.ws.send(messageString);
-            console.log(`📤 Message sent: ${message.type}`);
+            log.debug(`Message sent: ${message.type}`);
             return true;
         } catch (error) {
-            console.error(`❌ Error sending message: ${error.message}`);
+            log.error(`Error sending message: ${error.message}`);
             this.emit('sendError', error, message);
             // Re-queue the message on send error
             this.messageQueue.push(message);
@@ -286,7 +294,7 @@ class WebSocketClient extends EventEmitter {
     processMessageQueue() {
         if (this.messageQueue.length === 0) return;
 
-        console.log(`📦 Processing ${this.messageQueue.length} queued messages`);
+        log.info(`Processing ${this.messageQueue.length} queued messages`);
         
         const messages = [...this.messageQueue];
         this.messageQueue = [];
@@ -310,7 +318,7 @@ class WebSocketClient extends EventEmitter {
                 // Check if we've received a pong recently
                 const timeSinceLastPong = new Date() - this.lastPongReceived;
                 if (timeSinceLastPong > this.config.heartbeatInterval * 2) {
-                    console.log(`⚠️ No pong received for ${Math.round(timeSinceLastPong/1000)}s, connection may be stale`);
+                    log.warn(`No pong received for ${Math.round(timeSinceLastPong/1000)}s, connection may be stale`);
                     this.ws.terminate(); // Force reconnection
                     return;
                 }
@@ -320,7 +328,7 @@ class WebSocketClient extends EventEmitter {
                     this.ws.ping();
                     //console.log(`💓 Sent ping to server`);
                 } catch (error) {
-                    console.error(`❌ Error sending ping: ${error.message}`);
+                    log.error(`Error sending ping: ${error.message}`);
                 }
             }
         }, this.config.heartbeatInterval);
@@ -345,7 +353,7 @@ class WebSocketClient extends EventEmitter {
         // Support infinite reconnection attempts
         if (this.config.maxReconnectAttempts !== Infinity && 
             this.reconnectAttempts >= this.config.maxReconnectAttempts) {
-            console.error(`❌ Max reconnection attempts (${this.config.maxReconnectAttempts}) reached`);
+            log.error(`Max reconnection attempts (${this.config.maxReconnectAttempts}) reached`);
             this.emit('maxReconnectAttemptsReached');
             return;
         }
@@ -358,13 +366,13 @@ class WebSocketClient extends EventEmitter {
         delay = Math.min(delay, this.config.maxReconnectDelay);
         
         const maxAttemptsText = this.config.maxReconnectAttempts === Infinity ? '∞' : this.config.maxReconnectAttempts;
-        console.log(`🔄 Attempting to reconnect in ${delay/1000}s (attempt ${this.reconnectAttempts}/${maxAttemptsText})`);
+        log.info(`Attempting to reconnect in ${delay/1000}s (attempt ${this.reconnectAttempts}/${maxAttemptsText})`);
         
         this.reconnectTimer = setTimeout(async () => {
             try {
                 await this.connect();
             } catch (error) {
-                console.error(`❌ Reconnection attempt ${this.reconnectAttempts} failed: ${error.message}`);
+                log.error(`Reconnection attempt ${this.reconnectAttempts} failed: ${error.message}`);
                 this.handleReconnection(); // Try again
             }
         }, delay);
@@ -374,7 +382,7 @@ class WebSocketClient extends EventEmitter {
      * Disconnect from the WebSocket server
      */
     disconnect() {
-        console.log('🔌 Disconnecting from WebSocket server...');
+        log.info('Disconnecting from WebSocket server...');
         
         this.config.autoReconnect = false; // Disable auto-reconnect
         
@@ -0,0 +1,193 @@
+#!/usr/bin/env node
+
+/**
+ * Authentication Module
+ * Token based authentication shared by the HTTP and WebSocket servers
+ *
+ * Three roles are recognised:
+ *   - service: the http-server <-> websocket-server calls, authenticated with the shared SERVICE_SECRET
+ *   - admin:   admin panel, exports and admin routes, authenticated with ADMIN_TOKEN
+ *   - player:  a game client, authenticated with an HMAC signed token issued when it registers
+ *
+ * In production (NODE_ENV=production) SERVICE_SECRET and PLAYER_TOKEN_SECRET must both be set and
+ * differ; the servers refuse to start otherwise. Development falls back to well-known defaults.
+ * Player tokens are issued by POST /players/:userId/token (admin or service) once the player's identity
+ * has been checked; only outside production may a WebSocket client register without one.
+ */
+
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const log = createLogger('auth');
+
+const ROLES = {
+    SERVICE: 'service',
+    ADMIN: 'admin',
+    PLAYER: 'player'
+};
+
+// Publicly known, so only used outside production
+const DEV_SERVICE_SECRET = 'shopmaze-dev-service-secret';
+const DEV_PLAYER_TOKEN_SECRET = 'shopmaze-dev-player-token-secret';
+
+/**
+ * Compare two strings without leaking where they differ
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} True if both are equal non-empty strings
+ */
+function safeEqual(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string' || !a || !b) {
+        return false;
+    }
+    const bufferA = Buffer.from(a);
+    const bufferB = Buffer.from(b);
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+class AuthService {
+    /**
+     * Create a new AuthService
+     * @param {Object} config - Authentication configuration (defaults read from environment variables)
+     * @param {string} config.serviceSecret - Shared secret for server-to-server calls (SERVICE_SECRET, required in production)
+     * @param {string} config.adminToken - Admin bearer token (ADMIN_TOKEN, admin access disabled when unset)
+     * @param {string} config.playerTokenSecret - Key used to sign player tokens (PLAYER_TOKEN_SECRET, required in production)
+     * @param {number} config.playerTokenTtl - Player token lifetime in seconds (PLAYER_TOKEN_TTL_SECONDS, default: 86400)
+     * @param {boolean} config.production - Refuse missing secrets (default: NODE_ENV is 'production')
+     * @throws {Error} In production, when a secret is missing or both secrets are the same
+     */
+    constructor(config = {}) {
+        const production = config.production !== undefined ? config.production : process.env.NODE_ENV === 'production';
+        this.config = {
+            serviceSecret: config.serviceSecret || process.env.SERVICE_SECRET || null,
+            adminToken: config.adminToken || process.env.ADMIN_TOKEN || null,
+            playerTokenSecret: config.playerTokenSecret || process.env.PLAYER_TOKEN_SECRET || null,
+            playerTokenTtl: config.playerTokenTtl || parseInt(process.env.PLAYER_TOKEN_TTL_SECONDS || '86400')
+        };
+        this.production = production;
+
+        if (production) {
+            if (!this.config.serviceSecret || !this.config.playerTokenSecret) {
+                throw new Error('SERVICE_SECRET and PLAYER_TOKEN_SECRET must be set in production');
+            }
+            if (this.config.serviceSecret === this.config.playerTokenSecret) {
+                throw new Error('PLAYER_TOKEN_SECRET must differ from SERVICE_SECRET');
+            }
+        }
+        if (!this.config.serviceSecret) {
+            log.warn(`SERVICE_SECRET not set, using the development default - set it in production`);
+            this.config.serviceSecret = DEV_SERVICE_SECRET;
+        }
+        if (!this.config.playerTokenSecret) {
+            log.warn(`PLAYER_TOKEN_SECRET not set, using the development default - set it in production`);
+            this.config.playerTokenSecret = DEV_PLAYER_TOKEN_SECRET;
+        }
+    }
+
+    /**
+     * Get the shared service secret (sent by HttpClient/WebSocketClient)
+     * @returns {string} The service secret
+     */
+    getServiceSecret() {
+        return this.config.serviceSecret;
+    }
+
+    /**
+     * Check whether admin access is configured
+     * @returns {boolean} True if ADMIN_TOKEN is set
+     */
+    isAdminEnabled() {
+        return !!this.config.adminToken;
+    }
+
+    /**
+     * Check whether WebSocket clients may register as a player without a token (development only)
+     * @returns {boolean} True outside production
+     */
+    allowsOpenRegistration() {
+        return !this.production;
+    }
+
+    /**
+     * Issue a signed token for a player
+     * @param {string} userId - The player's user ID
+     * @returns {Object} { token, expiresAt }
+     */
+    issuePlayerToken(userId) {
+        const expiresAt = Math.floor(Date.now() / 1000) + this.config.playerTokenTtl;
+        const payload = Buffer.from(JSON.stringify({ sub: userId, exp: expiresAt })).toString('base64url');
+        const signature = this.sign(payload);
+
+        return {
+            token: `${payload}.${signature}`,
+            expiresAt: new Date(expiresAt * 1000).toISOString()
+        };
+    }
+
+    /**
+     * Verify a player token
+     * @param {string} token - Token from issuePlayerToken()
+     * @returns {Object|null} { userId } or null if the token is invalid or expired
+     */
+    verifyPlayerToken(token) {
+        if (typeof token !== 'string') {
+            return null;
+        }
+        const [payload, signature] = token.split('.');
+        if (!payload || !signature || !safeEqual(signature, this.sign(payload))) {
+            return null;
+        }
+
+        try {
+            const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+            if (!claims.sub || typeof claims.exp !== 'number' || claims.exp * 1000 < Date.now()) {
+                return null;
+            }
+            return { userId: claims.sub };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Sign a token payload
+     * @private
+     */
+    sign(payload) {
+        return crypto.createHmac('sha256', this.config.playerTokenSecret).update(payload).digest('base64url');
+    }
+
+    /**
+     * Work out who a token belongs to
+     * @param {string} token - Service secret, admin token or player token
+     * @returns {Object|null} { role, userId } or null if the token is not recognised
+     */
+    authenticate(token) {
+        if (!token) {
+            return null;
+        }
+        if (safeEqual(token, this.config.serviceSecret)) {
+            return { role: ROLES.SERVICE, userId: null };
+        }
+        if (this.config.adminToken && safeEqual(token, this.config.adminToken)) {
+            return { role: ROLES.ADMIN, userId: null };
+        }
+        const player = this.verifyPlayerToken(token);
+        return player ? { role: ROLES.PLAYER, userId: player.userId } : null;
+    }
+
+    /**
+     * Extract the bearer token from an Authorization header
+     * @param {string} header - Authorization header value
+     * @returns {string|null} The token
+     */
+    static bearerToken(header) {
+        const match = /^Bearer\s+(.+)$/i.exec(header || '');
+        return match ? match[1].trim() : null;
+    }
+}
+
+module.exports = {
+    AuthService,
+    ROLES
+};
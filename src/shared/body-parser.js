@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+
+/**
+ * Body Parser Module
+ * Shared request body reading and JSON parsing for the HTTP server
+ */
+
+const { RequestError } = require('./router');
+
+const DEFAULT_BODY_LIMIT = parseInt(process.env.HTTP_BODY_LIMIT || String(1024 * 1024)); // 1 MB
+const METHODS_WITH_BODY = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Charsets accepted in the Content-Type header -> Buffer encoding used to decode the body
+const SUPPORTED_CHARSETS = {
+    'utf-8': 'utf8',
+    'utf8': 'utf8',
+    'us-ascii': 'latin1', // ASCII is a subset of latin1, decoded without mangling bytes above 0x7f
+    'iso-8859-1': 'latin1',
+    'latin1': 'latin1',
+    'utf-16le': 'utf16le'
+};
+
+/**
+ * Read the full request body
+ * Stops buffering and rejects with 413 as soon as the limit is exceeded, and with 400 when the client
+ * goes away or sends less than its Content-Length.
+ * @param {http.IncomingMessage} req - The request
+ * @param {Object} options - Options
+ * @param {number} options.limit - Maximum body size in bytes (default: HTTP_BODY_LIMIT or 1 MB)
+ * @returns {Promise<Buffer>} The body
+ */
+function readBody(req, options = {}) {
+    const limit = options.limit || DEFAULT_BODY_LIMIT;
+
+    return new Promise((resolve, reject) => {
+        const declaredLength = req.headers['content-length'] !== undefined ? parseInt(req.headers['content-length']) : null;
+        if (declaredLength > limit) {
+            req.resume(); // Discard the body without buffering it
+            reject(new RequestError('Payload too large', `Request body exceeds ${limit} bytes`, 413));
+            return;
+        }
+
+        const chunks = [];
+        let received = 0;
+        let settled = false;
+        const settle = (fn, value) => {
+            if (!settled) {
+                settled = true;
+                fn(value);
+            }
+        };
+
+        const onData = (chunk) => {
+            received += chunk.length;
+            if (received > limit) {
+                req.removeListener('data', onData);
+                req.resume();
+                settle(reject, new RequestError('Payload too large', `Request body exceeds ${limit} bytes`, 413));
+                return;
+            }
+            chunks.push(chunk);
+        };
+
+        req.on('data', onData);
+        req.on('end', () => {
+            if (declaredLength !== null && received !== declaredLength) {
+                settle(reject, new RequestError('Incomplete request body', `Received ${received} of ${declaredLength} bytes`, 400));
+                return;
+            }
+            settle(resolve, Buffer.concat(chunks));
+        });
+        req.on('close', () => {
+            // Closed before 'end': the client disconnected mid-body
+            if (!req.complete) {
+                settle(reject, new RequestError('Incomplete request body', 'Connection closed before the request body was received', 400));
+            }
+        });
+        req.on('error', (error) => settle(reject, new RequestError('Request error', error.message, 400)));
+    });
+}
+
+/**
+ * Decode and parse a JSON body according to its Content-Type
+ * @param {Buffer} body - Raw request body (not empty)
+ * @param {string} contentType - Content-Type header value
+ * @returns {*} Parsed JSON
+ */
+function parseJson(body, contentType) {
+    const [mediaType, ...parameters] = (contentType || '').split(';').map(part => part.trim());
+    const type = mediaType.toLowerCase();
+    if (type !== 'application/json' && !/^application\/[\w.+-]+\+json$/.test(type)) {
+        throw new RequestError('Unsupported media type', 'Request body must be sent as application/json', 415);
+    }
+
+    const charsetParameter = parameters.find(parameter => /^charset=/i.test(parameter));
+    const charset = charsetParameter ? charsetParameter.slice(8).replace(/"/g, '').toLowerCase() : 'utf-8';
+    const encoding = SUPPORTED_CHARSETS[charset];
+    if (!encoding) {
+        throw new RequestError('Unsupported charset', `Charset ${charset} is not supported, use utf-8`, 415);
+    }
+
+    const text = body.toString(encoding).replace(/^\uFEFF/, ''); // Drop a byte order mark
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        if (/end of (JSON )?input/i.test(error.message)) {
+            throw new RequestError('Truncated JSON', 'Request body ends before the JSON document is complete', 400);
+        }
+        throw new RequestError('Invalid JSON', error.message, 400);
+    }
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - The request
+ * @param {Object} options - Options passed to readBody (limit)
+ * @returns {Promise<*>} Parsed JSON, or null when the request has no body
+ */
+async function readJson(req, options = {}) {
+    const body = await readBody(req, options);
+    return body.length === 0 ? null : parseJson(body, req.headers['content-type']);
+}
+
+/**
+ * Middleware that parses JSON bodies into req.body
+ * req.body is null when the request has no body. Non-JSON content types and unsupported charsets are
+ * rejected with 415, malformed or truncated JSON with 400 and oversized bodies with 413.
+ * @param {Object} options - Options passed to readBody (limit)
+ * @returns {Function} (req, res, next) middleware
+ */
+function jsonBody(options = {}) {
+    return async (req, res, next) => {
+        if (!METHODS_WITH_BODY.includes(req.method)) {
+            return next();
+        }
+
+        req.body = await readJson(req, options);
+        return next();
+    };
+}
+
+module.exports = {
+    readBody,
+    readJson,
+    parseJson,
+    jsonBody
+};
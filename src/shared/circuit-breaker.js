@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+
+/**
+ * Circuit Breaker Module
+ * Fails calls to a dependency fast while it is down instead of letting every caller wait for it
+ *
+ * States: closed (calls go through) -> open after `failureThreshold` consecutive failures (calls fail
+ * immediately with CircuitOpenError) -> half_open once `resetTimeoutMs` has passed (one trial call goes
+ * through; success closes the circuit, failure opens it again).
+ */
+
+const { createLogger } = require('./logger');
+
+const log = createLogger('circuit-breaker');
+
+const STATES = { CLOSED: 'closed', OPEN: 'open', HALF_OPEN: 'half_open' };
+
+/**
+ * Error for a call rejected without being attempted because the circuit is open
+ */
+class CircuitOpenError extends Error {
+    /**
+     * @param {string} name - Circuit name
+     * @param {number} retryAfterMs - Milliseconds until the next trial call is allowed
+     */
+    constructor(name, retryAfterMs) {
+        super(`${name} is unavailable, retry in ${Math.ceil(retryAfterMs / 1000)}s`);
+        this.name = 'CircuitOpenError';
+        this.code = 'Backend unavailable';
+        this.statusCode = 503;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+class CircuitBreaker {
+    /**
+     * Create a new CircuitBreaker
+     * @param {Object} options - Options
+     * @param {string} options.name - Name used in logs and errors (e.g. 'EDI backend')
+     * @param {number} options.failureThreshold - Consecutive failures that open the circuit (default: 5)
+     * @param {number} options.resetTimeoutMs - Milliseconds the circuit stays open before a trial call (default: 30000)
+     */
+    constructor(options = {}) {
+        this.name = options.name || 'dependency';
+        this.failureThreshold = options.failureThreshold || 5;
+        this.resetTimeoutMs = options.resetTimeoutMs || 30000;
+        this.state = STATES.CLOSED;
+        this.failures = 0; // Consecutive failures
+        this.openedAt = null;
+        this.trialInFlight = false;
+        this.lastError = null;
+    }
+
+    /**
+     * Move to a new state and log the change
+     * @private
+     */
+    transition(state) {
+        if (this.state === state) {
+            return;
+        }
+        const level = state === STATES.OPEN ? 'warn' : 'info';
+        log[level](`Circuit for ${this.name} is ${state}`, { failures: this.failures, lastError: this.lastError });
+        this.state = state;
+        this.openedAt = state === STATES.OPEN ? Date.now() : null;
+    }
+
+    /**
+     * Run a call through the circuit
+     * @param {Function} fn - async () => result
+     * @returns {Promise<*>} The call's result
+     * @throws {CircuitOpenError} When the circuit is open, or half open with a trial call in flight
+     */
+    async execute(fn) {
+        if (this.state === STATES.OPEN) {
+            const retryAfterMs = this.openedAt + this.resetTimeoutMs - Date.now();
+            if (retryAfterMs > 0) {
+                throw new CircuitOpenError(this.name, retryAfterMs);
+            }
+            this.transition(STATES.HALF_OPEN);
+        }
+        if (this.state === STATES.HALF_OPEN) {
+            if (this.trialInFlight) {
+                throw new CircuitOpenError(this.name, this.resetTimeoutMs);
+            }
+            this.trialInFlight = true;
+        }
+
+        const trial = this.state === STATES.HALF_OPEN;
+        try {
+            const result = await fn();
+            this.failures = 0;
+            this.lastError = null;
+            this.transition(STATES.CLOSED);
+            return result;
+        } catch (error) {
+            this.failures++;
+            this.lastError = error.message;
+            if (trial || this.failures >= this.failureThreshold) {
+                this.transition(STATES.OPEN);
+            }
+            throw error;
+        } finally {
+            if (trial) {
+                this.trialInFlight = false;
+            }
+        }
+    }
+
+    /**
+     * Get the circuit state
+     * @returns {Object} { state, failures, failureThreshold, openedAt, retryAt, lastError }
+     */
+    getStatus() {
+        return {
+            state: this.state,
+            failures: this.failures,
+            failureThreshold: this.failureThreshold,
+            openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+            retryAt: this.openedAt ? new Date(this.openedAt + this.resetTimeoutMs).toISOString() : null,
+            lastError: this.lastError
+        };
+    }
+}
+
+module.exports = {
+    CircuitBreaker,
+    CircuitOpenError,
+    CIRCUIT_STATES: STATES
+};
@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+
+/**
+ * Configuration Module
+ * Loads config/default.json, overlays config/<NODE_ENV>.json and config/local.json when present,
+ * then applies environment variable overrides.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_DIR = path.join(__dirname, '..', '..', 'config');
+
+// Environment variables that override configuration values: name -> [path, parser]
+const ENV_OVERRIDES = {
+    CORS_ORIGIN: [['cors', 'origin'], value => value === '*' ? '*' : splitList(value)],
+    CORS_METHODS: [['cors', 'methods'], value => splitList(value).map(method => method.toUpperCase())],
+    CORS_ALLOWED_HEADERS: [['cors', 'allowedHeaders'], value => splitList(value)],
+    CORS_CREDENTIALS: [['cors', 'credentials'], value => value === 'true'],
+    CORS_MAX_AGE: [['cors', 'maxAge'], value => parseInt(value)],
+    RATE_LIMIT_ENABLED: [['rateLimit', 'enabled'], value => value !== 'false'],
+    RATE_LIMIT_TRUST_PROXY: [['rateLimit', 'trustProxy'], value => value === 'true' || (parseInt(value) || false)],
+    ORDER_RETRY_ATTEMPTS: [['orderBackend', 'retryAttempts'], value => parseInt(value)],
+    ORDER_RETRY_BASE_DELAY_MS: [['orderBackend', 'retryBaseDelayMs'], value => parseInt(value)],
+    ORDER_RETRY_MAX_DELAY_MS: [['orderBackend', 'retryMaxDelayMs'], value => parseInt(value)],
+    ORDER_RETRY_STATUSES: [['orderBackend', 'retryStatuses'], value => splitList(value).map(status => parseInt(status))],
+    ORDER_CIRCUIT_FAILURE_THRESHOLD: [['orderBackend', 'circuitFailureThreshold'], value => parseInt(value)],
+    ORDER_CIRCUIT_RESET_MS: [['orderBackend', 'circuitResetTimeoutMs'], value => parseInt(value)],
+    ORDER_QUEUE_ENABLED: [['orderBackend', 'queueEnabled'], value => value !== 'false'],
+    ORDER_QUEUE_RETRY_INTERVAL_MS: [['orderBackend', 'queueRetryIntervalMs'], value => parseInt(value)],
+    ORDER_QUEUE_MAX_SIZE: [['orderBackend', 'queueMaxSize'], value => parseInt(value)],
+    LEADERBOARD_STREAM_MAX_CLIENTS: [['leaderboardStream', 'maxClients'], value => parseInt(value)],
+    LEADERBOARD_STREAM_MAX_CLIENTS_PER_IP: [['leaderboardStream', 'maxClientsPerIp'], value => parseInt(value)],
+    IDEMPOTENCY_WINDOW_SECONDS: [['idempotency', 'windowSeconds'], value => parseInt(value)],
+    LOG_LEVEL: [['logging', 'level'], value => value.toLowerCase()],
+    LOG_FORMAT: [['logging', 'format'], value => value.toLowerCase()]
+};
+
+/**
+ * Split a comma separated list
+ * @param {string} value - e.g. 'https://game.example.com, https://display.example.com'
+ * @returns {Array} Trimmed, non-empty items
+ */
+function splitList(value) {
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Recursively merge plain objects; arrays and other values in the override replace the base
+ * @private
+ */
+function merge(base, override) {
+    const result = { ...base };
+    Object.keys(override).forEach(key => {
+        const value = override[key];
+        if (value && typeof value === 'object' && !Array.isArray(value) &&
+            result[key] && typeof result[key] === 'object' && !Array.isArray(result[key])) {
+            result[key] = merge(result[key], value);
+        } else {
+            result[key] = value;
+        }
+    });
+    return result;
+}
+
+/**
+ * Read a JSON configuration file
+ * @param {string} file - File path
+ * @returns {Object|null} Parsed configuration, or null if the file does not exist
+ * @private
+ */
+function readConfigFile(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw new Error(`Invalid configuration file ${file}: ${error.message}`);
+    }
+}
+
+/**
+ * Load the configuration
+ * @param {Object} options - Options
+ * @param {string} options.configDir - Directory with the JSON files (CONFIG_DIR, default: <repo>/config)
+ * @param {Object} options.env - Environment variables (default: process.env)
+ * @returns {Object} The merged configuration
+ */
+function loadConfig(options = {}) {
+    const env = options.env || process.env;
+    const configDir = options.configDir || env.CONFIG_DIR || DEFAULT_CONFIG_DIR;
+    const files = ['default.json'];
+    if (env.NODE_ENV) {
+        files.push(`${env.NODE_ENV}.json`);
+    }
+    files.push('local.json');
+
+    let config = {};
+    files.forEach(file => {
+        const fileConfig = readConfigFile(path.join(configDir, file));
+        if (fileConfig) {
+            config = merge(config, fileConfig);
+        }
+    });
+
+    Object.keys(ENV_OVERRIDES).forEach(name => {
+        if (env[name] === undefined || env[name] === '') {
+            return;
+        }
+        const [keys, parse] = ENV_OVERRIDES[name];
+        let target = config;
+        keys.slice(0, -1).forEach(key => {
+            target[key] = target[key] && typeof target[key] === 'object' ? target[key] : {};
+            target = target[key];
+        });
+        target[keys[keys.length - 1]] = parse(env[name]);
+    });
+
+    return config;
+}
+
+let cachedConfig = null;
+
+/**
+ * Get the process-wide configuration, loaded on first use
+ * @returns {Object} The configuration
+ */
+function getConfig() {
+    if (!cachedConfig) {
+        cachedConfig = loadConfig();
+    }
+    return cachedConfig;
+}
+
+module.exports = {
+    loadConfig,
+    getConfig
+};
@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+
+/**
+ * CORS Module
+ * Configurable Cross-Origin Resource Sharing middleware for the HTTP server
+ *
+ * Origins are matched against an allow-list ('*' allows any origin). Allowed origins are echoed back
+ * with Vary: Origin so caches keep responses for different origins apart, and preflight requests
+ * only advertise the methods the requested route actually supports. Credentials need an explicit
+ * allow-list: browsers refuse '*' with credentials, and echoing any origin instead would let every site
+ * make credentialed calls.
+ */
+
+const { RequestError } = require('./router');
+
+const DEFAULT_CORS_OPTIONS = {
+    origin: '*',
+    methods: ['GET', 'POST', 'PUT', 'DELETE'],
+    allowedHeaders: ['Content-Type', 'Authorization'],
+    exposedHeaders: [],
+    credentials: false,
+    maxAge: 600
+};
+
+/**
+ * Build an origin matcher from the configured allow-list
+ * Entries are exact origins ('https://game.example.com') or a wildcard subdomain ('https://*.example.com').
+ * @param {string|Array} allowList - '*' or a list of origins
+ * @returns {Function} (origin) => boolean
+ * @private
+ */
+function originMatcher(allowList) {
+    if (allowList === '*') {
+        return () => true;
+    }
+
+    const patterns = (Array.isArray(allowList) ? allowList : [allowList]).map(entry => {
+        if (entry === '*') {
+            return /^.*$/;
+        }
+        const source = entry.toLowerCase().replace(/\/+$/, '')
+            .split('*.').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('[^./]+\\.');
+        return new RegExp(`^${source}$`);
+    });
+    return origin => patterns.some(pattern => pattern.test(origin.toLowerCase()));
+}
+
+/**
+ * Create CORS middleware
+ * @param {Object} options - CORS options (the 'cors' configuration block)
+ * @param {string|Array} options.origin - '*' or allowed origins
+ * @param {Array} options.methods - Methods allowed cross-origin; narrowed per route on preflight
+ * @param {Array} options.allowedHeaders - Request headers allowed cross-origin
+ * @param {Array} options.exposedHeaders - Response headers readable by browser scripts
+ * @param {boolean} options.credentials - Allow cookies and Authorization headers to be sent with credentials
+ * @param {number} options.maxAge - Seconds browsers may cache preflight results
+ * @param {Router} router - Router used to look up the methods each path supports
+ * @returns {Function} (req, res, next) middleware
+ * @throws {Error} When credentials are enabled for any origin ('*')
+ */
+function cors(options = {}, router) {
+    const config = { ...DEFAULT_CORS_OPTIONS, ...options };
+    const origins = Array.isArray(config.origin) ? config.origin : [config.origin];
+    if (config.credentials && origins.includes('*')) {
+        throw new Error('CORS credentials require an explicit origin allow-list (set CORS_ORIGIN), not \'*\'');
+    }
+    const isAllowed = originMatcher(config.origin);
+    const anyOrigin = config.origin === '*';
+    const configuredMethods = config.methods.map(method => method.toUpperCase());
+
+    return (req, res, next) => {
+        const origin = req.headers['origin'];
+        const isPreflight = req.method === 'OPTIONS' && !!req.headers['access-control-request-method'];
+
+        // The response depends on the Origin header unless every origin gets the same '*' answer
+        if (!anyOrigin) {
+            res.setHeader('Vary', 'Origin');
+        }
+
+        if (origin && isAllowed(origin)) {
+            res.setHeader('Access-Control-Allow-Origin', anyOrigin ? '*' : origin);
+            if (config.credentials) {
+                res.setHeader('Access-Control-Allow-Credentials', 'true');
+            }
+            if (config.exposedHeaders.length > 0) {
+                res.setHeader('Access-Control-Expose-Headers', config.exposedHeaders.join(', '));
+            }
+        } else if (origin && isPreflight) {
+            throw new RequestError('Forbidden', `Origin ${origin} is not allowed`, 403);
+        }
+
+        if (req.method !== 'OPTIONS') {
+            return next();
+        }
+
+        const routeMethods = router.allowedMethods(req.pathname);
+        if (routeMethods.length === 0) {
+            throw new RequestError('Not found', `No route for ${req.pathname}`, 404);
+        }
+        if (routeMethods.includes('GET')) {
+            routeMethods.push('HEAD');
+        }
+        const allow = [...routeMethods, 'OPTIONS'];
+
+        if (isPreflight && origin) {
+            const methods = routeMethods.filter(method =>
+                configuredMethods.includes(method === 'HEAD' ? 'GET' : method));
+            res.setHeader('Access-Control-Allow-Methods', methods.join(', '));
+            res.setHeader('Access-Control-Allow-Headers', config.allowedHeaders.join(', '));
+            res.setHeader('Access-Control-Max-Age', String(config.maxAge));
+        }
+
+        res.writeHead(204, { 'Allow': allow.join(', ') });
+        res.end();
+    };
+}
+
+module.exports = {
+    cors
+};
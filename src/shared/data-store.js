@@ -1,24 +1,407 @@
 // Shared data store for WebSocket and HTTP servers
 // This module manages the leaderboard data that's shared between servers
+// Entries are persisted through a pluggable storage adapter (see storage.js) and reloaded on startup
+// Emits 'leaderboardUpdate' with rank deltas whenever a new score is added
+// Scores are tagged with the open season so each event day/booth gets its own board next to the all-time board
+// Finished game sessions are linked to the order/invoice the player placed with the T-shirts they collected
+// Personal data can be anonymised on request or once the retention period after an event has passed
 
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const { createStorage } = require('./storage');
+const { ScoreValidator } = require('./score-validator');
+const { createLogger } = require('./logger');
 
-class DataStore {
+const log = createLogger('data-store');
+
+const LEADERBOARD_SIZE = 100; // Entries returned by getLeaderboardData()
+const TOP_ENTRIES_SIZE = 10; // Entries included in update notifications
+const MAX_REJECTIONS_IN_MEMORY = 500; // Recent rejected submissions kept for inspection
+const ALL_TIME_BOARD = 'all-time';
+const SEASON_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+const ANONYMOUS_USERNAME = 'Anonymous';
+
+// Ranking modes: every game, or only each player's best game keyed by userId or email
+const RANKING_MODES = {
+    'all': null,
+    'best-per-user': entry => entry.userId,
+    'best-per-email': entry => (entry.email || entry.userId || '').toLowerCase()
+};
+
+// Entry fields anyone may read; email, order and invoice details are only in the admin export
+const PUBLIC_ENTRY_FIELDS = [
+    'rank', 'userId', 'username', 'score', 'claimedScore', 'level', 'tShirtsCount', 'tShirtValue',
+    'coinsRemaining', 'timestamp', 'gameSession', 'season', 'flagged', 'flagReasons', 'anonymisedAt'
+];
+
+/**
+ * Project a leaderboard entry to the fields shown on public leaderboards
+ * @param {Object} entry - Leaderboard entry, optionally with its rank
+ * @returns {Object} Entry without personal data
+ */
+function toPublicEntry(entry) {
+    const projected = {};
+    PUBLIC_ENTRY_FIELDS.forEach(field => {
+        if (entry[field] !== undefined) {
+            projected[field] = entry[field];
+        }
+    });
+    return projected;
+}
+
+/**
+ * Leaderboard ordering: higher score, then higher level, then more T-shirts, then earlier timestamp
+ * @param {Object} a - Leaderboard entry
+ * @param {Object} b - Leaderboard entry
+ * @returns {number} Negative when a ranks above b
+ */
+function compareEntries(a, b) {
+    if (b.score !== a.score) return b.score - a.score;
+    if ((b.level || 0) !== (a.level || 0)) return (b.level || 0) - (a.level || 0);
+    if ((b.tShirtsCount || 0) !== (a.tShirtsCount || 0)) return (b.tShirtsCount || 0) - (a.tShirtsCount || 0);
+    return (new Date(a.timestamp).getTime() || 0) - (new Date(b.timestamp).getTime() || 0);
+}
+
+/**
+ * Build a matcher for records (entries, links, rejections) that belong to a player
+ * @param {Object} identity - { userIds, emails } known for the player (emails lowercased)
+ * @returns {Function} record => boolean
+ */
+function playerMatcher({ userIds = [], emails = [] }) {
+    return record => userIds.includes(record.userId) ||
+        (!!record.email && emails.includes(record.email.toLowerCase()));
+}
+
+class DataStore extends EventEmitter {
     constructor() {
-        this.leaderboardData = [];
+        super();
+        this.leaderboardData = []; // Top entries of the ranked view
+        this.rankedEntries = []; // Full score history in ranking order
+        this.rankedView = []; // rankedEntries reduced according to the ranking mode
+        this.rankingMode = process.env.LEADERBOARD_RANKING_MODE || 'all';
+        if (!(this.rankingMode in RANKING_MODES)) {
+            log.error(`Unknown leaderboard ranking mode '${this.rankingMode}', using 'all'`);
+            this.rankingMode = 'all';
+        }
+        this.rejectedSubmissions = []; // Most recent rejected game_over submissions
+        this.seasons = new Map(); // Map of season name -> { name, description, status, openedAt, closedAt, archivedAt }
+        this.activeSeason = null; // Name of the open season new scores are tagged with
+        this.gameLinks = new Map(); // Map of gameSession -> { gameSession, userId, email, username, gameEndedAt, orderId, invoiceNumber, totalAmount, linkedAt }
+        this.pendingOrders = new Map(); // Map of lowercased email -> order placed before its game_over arrived
+        this.storage = null;
+        this.rejectionStorage = null;
+        this.seasonStorage = null;
+        this.linkStorage = null;
+        this.scoreValidator = new ScoreValidator();
+    }
+
+    /**
+     * Load persisted data and persist new data through the given storage adapters
+     * @param {Object} storages - Optional adapters: { leaderboard, rejections, seasons, links }
+     */
+    async initialize(storages = {}) {
+        this.storage = storages.leaderboard || createStorage('leaderboard');
+        this.rejectionStorage = storages.rejections || createStorage('score-rejections');
+        this.seasonStorage = storages.seasons || createStorage('seasons');
+        this.linkStorage = storages.links || createStorage('game-links');
+        
+        const entries = await this.storage.load();
+        this.loadEntries(entries);
+        log.info(`Restored ${entries.length} leaderboard entries from storage`);
+        
+        const rejections = await this.rejectionStorage.load();
+        this.rejectedSubmissions = rejections.slice(-MAX_REJECTIONS_IN_MEMORY);
+        
+        // Season records are appended on every state change, the last one per name wins
+        const seasonRecords = await this.seasonStorage.load();
+        seasonRecords.forEach(season => this.seasons.set(season.name, season));
+        const openSeason = Array.from(this.seasons.values()).find(season => season.status === 'open');
+        this.activeSeason = openSeason ? openSeason.name : null;
+        if (this.activeSeason) {
+            log.info(`Active season: ${this.activeSeason}`);
+        }
+        
+        // Link records are appended on every change, the last one per game session wins
+        const linkRecords = await this.linkStorage.load();
+        linkRecords.forEach(link => this.gameLinks.set(link.gameSession, link));
+        this.gameLinks.forEach(link => this.applyLinkToEntries(link));
+        log.info(`Restored ${this.gameLinks.size} game/order links from storage`);
     }
 
     // Add a new leaderboard entry
     addLeaderboardEntry(entry) {
-        this.leaderboardData.push(entry);
+        const previousLeaderboard = this.leaderboardData;
+        
+        this.insertEntry(entry);
+        this.persistEntry(entry);
         
-        // Sort by score (highest first) and keep top 100
-        this.leaderboardData.sort((a, b) => b.score - a.score);
-        if (this.leaderboardData.length > 100) {
-            this.leaderboardData = this.leaderboardData.slice(0, 100);
+        log.info(`New leaderboard entry: ${entry.userId} scored ${entry.score} (T-shirts: ${entry.tShirtValue}, Coins: ${entry.coinsRemaining})`);
+        log.info(`Current leaderboard has ${this.leaderboardData.length} entries`);
+        
+        this.emit('leaderboardUpdate', this.buildLeaderboardDelta(entry, previousLeaderboard));
+    }
+
+    /**
+     * Describe how the leaderboard changed after inserting an entry
+     * @param {Object} entry - The newly inserted entry
+     * @param {Array} previousLeaderboard - Top entries before the insert
+     * @returns {Object} Delta with the new entry's rank, moved entries and the current top 10, with public entry fields only
+     */
+    buildLeaderboardDelta(entry, previousLeaderboard) {
+        const withRank = (item, index) => toPublicEntry({ rank: index + 1, ...item });
+        const position = this.rankedView.indexOf(entry);
+        const rank = position === -1 ? null : position + 1; // null when it is not the player's best game
+        
+        // Entries already on the board whose position moved because of the insert
+        const positionChanges = [];
+        previousLeaderboard.forEach((existing, index) => {
+            const newIndex = this.leaderboardData.indexOf(existing);
+            if (newIndex !== index) {
+                positionChanges.push({
+                    userId: existing.userId,
+                    username: existing.username,
+                    score: existing.score,
+                    from: index + 1,
+                    to: newIndex === -1 ? null : newIndex + 1 // null when pushed off the board
+                });
+            }
+        });
+        
+        const previousTop = previousLeaderboard.slice(0, TOP_ENTRIES_SIZE);
+        const currentTop = this.leaderboardData.slice(0, TOP_ENTRIES_SIZE);
+        const topChanged = previousTop.length !== currentTop.length ||
+            currentTop.some((item, index) => item !== previousTop[index]);
+        
+        return {
+            entry: rank === null ? toPublicEntry(entry) : withRank(entry, position),
+            rank: rank,
+            total: this.rankedView.length,
+            rankingMode: this.rankingMode,
+            season: entry.season || null,
+            onLeaderboard: rank !== null && rank <= LEADERBOARD_SIZE,
+            positionChanges: positionChanges,
+            topChanged: topChanged,
+            top: currentTop.map(withRank),
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    // Insert an entry into the in-memory leaderboard
+    insertEntry(entry) {
+        // Keep the full history in ranking order
+        let index = this.rankedEntries.findIndex(existing => compareEntries(entry, existing) < 0);
+        if (index === -1) {
+            index = this.rankedEntries.length;
+        }
+        this.rankedEntries.splice(index, 0, entry);
+        this.refreshRankedView();
+    }
+
+    // Replace the in-memory leaderboard with persisted entries, sorted and ranked once
+    loadEntries(entries) {
+        // The sort is stable, so equal entries keep their storage order as they would when inserted one by one
+        this.rankedEntries = [...entries].sort(compareEntries);
+        this.refreshRankedView();
+    }
+
+    // Recompute the ranked view after rankedEntries changed
+    refreshRankedView() {
+        // Keep top 100 for the default leaderboard view
+        this.rankedView = this.applyRankingMode(this.rankedEntries);
+        this.leaderboardData = this.rankedView.slice(0, LEADERBOARD_SIZE);
+    }
+
+    /**
+     * Reduce ranked entries to one per player when a best-per-player mode is active
+     * @param {Array} entries - Entries in ranking order
+     * @returns {Array} Entries to rank
+     */
+    applyRankingMode(entries) {
+        const keyOf = RANKING_MODES[this.rankingMode];
+        if (!keyOf) {
+            return entries;
         }
         
-        console.log(`🏆 New leaderboard entry: ${entry.userId} scored ${entry.score} (T-shirts: ${entry.tShirtValue}, Coins: ${entry.coinsRemaining})`);
-        console.log(`📊 Current leaderboard has ${this.leaderboardData.length} entries`);
+        // Entries are already ordered, so the first one seen per key is that player's best
+        const seen = new Set();
+        return entries.filter(entry => {
+            const key = keyOf(entry);
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    // Get the active ranking mode ('all', 'best-per-user' or 'best-per-email')
+    getRankingMode() {
+        return this.rankingMode;
+    }
+
+    // Write an entry to the storage adapter (the full history is kept, not just the top 100)
+    persistEntry(entry) {
+        if (!this.storage) {
+            return;
+        }
+        this.storage.append(entry).catch(error => {
+            log.error(`Failed to persist leaderboard entry for ${entry.userId}: ${error.message}`);
+        });
+    }
+
+    // Flush pending writes
+    async close() {
+        if (this.storage) {
+            await this.storage.close();
+        }
+        if (this.rejectionStorage) {
+            await this.rejectionStorage.close();
+        }
+        if (this.seasonStorage) {
+            await this.seasonStorage.close();
+        }
+        if (this.linkStorage) {
+            await this.linkStorage.close();
+        }
+    }
+
+    // Persist the current state of a season
+    persistSeason(season) {
+        if (!this.seasonStorage) {
+            return;
+        }
+        this.seasonStorage.append(season).catch(error => {
+            log.error(`Failed to persist season ${season.name}: ${error.message}`);
+        });
+    }
+
+    /**
+     * Open a new season; scores are tagged with it until it is closed
+     * @param {string} name - Season name used as board name (e.g. 'summit-day1')
+     * @param {string} description - Optional human readable description
+     * @returns {Object} { success, season } or { success: false, error, message, statusCode }
+     */
+    openSeason(name, description) {
+        if (typeof name !== 'string' || !SEASON_NAME_PATTERN.test(name) || name === ALL_TIME_BOARD) {
+            return {
+                success: false,
+                error: 'Invalid season name',
+                message: 'Season names must be 1-64 letters, digits, dashes or underscores and cannot be "all-time"',
+                statusCode: 400
+            };
+        }
+        
+        if (this.seasons.has(name)) {
+            return {
+                success: false,
+                error: 'Season already exists',
+                message: `Season ${name} already exists with status ${this.seasons.get(name).status}`,
+                statusCode: 409
+            };
+        }
+        
+        if (this.activeSeason) {
+            return {
+                success: false,
+                error: 'Season already open',
+                message: `Season ${this.activeSeason} must be closed before opening ${name}`,
+                statusCode: 409
+            };
+        }
+        
+        const season = {
+            name: name,
+            description: description || null,
+            status: 'open',
+            openedAt: new Date().toISOString(),
+            closedAt: null,
+            archivedAt: null
+        };
+        
+        this.seasons.set(name, season);
+        this.activeSeason = name;
+        this.persistSeason(season);
+        log.info(`Season ${name} opened`);
+        
+        return { success: true, season };
+    }
+
+    /**
+     * Close the open season; its board stays available but receives no new scores
+     * @param {string} name - Season name
+     * @returns {Object} { success, season } or { success: false, error, message, statusCode }
+     */
+    closeSeason(name) {
+        return this.transitionSeason(name, 'open', 'closed', 'closedAt');
+    }
+
+    /**
+     * Archive a closed season
+     * @param {string} name - Season name
+     * @returns {Object} { success, season } or { success: false, error, message, statusCode }
+     */
+    archiveSeason(name) {
+        return this.transitionSeason(name, 'closed', 'archived', 'archivedAt');
+    }
+
+    /**
+     * Move a season between states
+     * @private
+     */
+    transitionSeason(name, fromStatus, toStatus, timestampField) {
+        const season = this.seasons.get(name);
+        if (!season) {
+            return {
+                success: false,
+                error: 'Season not found',
+                message: `Season ${name} does not exist`,
+                statusCode: 404
+            };
+        }
+        
+        if (season.status !== fromStatus) {
+            return {
+                success: false,
+                error: 'Invalid season state',
+                message: `Season ${name} is ${season.status}, only ${fromStatus} seasons can be ${toStatus}`,
+                statusCode: 409
+            };
+        }
+        
+        const updated = { ...season, status: toStatus, [timestampField]: new Date().toISOString() };
+        this.seasons.set(name, updated);
+        if (this.activeSeason === name) {
+            this.activeSeason = null;
+        }
+        this.persistSeason(updated);
+        log.info(`Season ${name} ${toStatus}`);
+        
+        return { success: true, season: updated };
+    }
+
+    // Get all seasons, oldest first
+    getSeasons() {
+        return Array.from(this.seasons.values());
+    }
+
+    // Get the name of the open season, or null
+    getActiveSeason() {
+        return this.activeSeason;
+    }
+
+    // Check whether a board name refers to the all-time board or a known season
+    hasBoard(board) {
+        return board === ALL_TIME_BOARD || this.seasons.has(board);
+    }
+
+    /**
+     * Ranked entries for a board
+     * @param {string} board - Season name or 'all-time' (default)
+     * @returns {Array} Entries in ranking order, reduced by the ranking mode
+     */
+    getRankedView(board = ALL_TIME_BOARD) {
+        if (board === ALL_TIME_BOARD) {
+            return this.rankedView;
+        }
+        return this.applyRankingMode(this.rankedEntries.filter(entry => entry.season === board));
     }
 
     // Get all leaderboard data
@@ -31,40 +414,434 @@ class DataStore {
         return this.leaderboardData.length;
     }
 
-    // Process game over events for leaderboard
+    // Get the number of ranked entries (all games, or players in a best-per-player mode)
+    getTotalEntryCount() {
+        return this.rankedView.length;
+    }
+
+    /**
+     * Query the full score history, ranked according to the ranking mode
+     * @param {Object} options - Query options
+     * @param {number} options.limit - Maximum entries to return (default: 100)
+     * @param {number} options.offset - Entries to skip (default: 0)
+     * @param {number} options.level - Only entries for this level
+     * @param {string} options.gameSession - Only entries for this game session
+     * @param {Date} options.from - Only entries at or after this time
+     * @param {Date} options.to - Only entries at or before this time
+     * @param {string} options.board - Season name or 'all-time' (default)
+     * @returns {Object} { total, entries } where each entry carries its rank within the filtered view,
+     *   projected to its public fields
+     */
+    queryLeaderboard(options = {}) {
+        const limit = options.limit !== undefined ? options.limit : LEADERBOARD_SIZE;
+        const offset = options.offset || 0;
+
+        const filtered = this.applyRankingMode(this.rankedEntries.filter(entry => this.matchesQuery(entry, options)));
+
+        const entries = filtered.slice(offset, offset + limit).map((entry, index) => toPublicEntry({
+            rank: offset + index + 1,
+            ...entry
+        }));
+
+        return { total: filtered.length, entries };
+    }
+
+    /**
+     * Every recorded game in ranking order, regardless of ranking mode or the top 100 cut-off
+     * @param {Object} options - Filters: board, level, gameSession, from, to, and limit for top-N
+     * @returns {Array} Entries with their rank in the filtered history
+     */
+    getScoreHistory(options = {}) {
+        const filtered = this.rankedEntries.filter(entry => this.matchesQuery(entry, options));
+        const limited = options.limit !== undefined ? filtered.slice(0, options.limit) : filtered;
+        return limited.map((entry, index) => ({ rank: index + 1, ...entry }));
+    }
+
+    /**
+     * Check an entry against query filters
+     * @private
+     */
+    matchesQuery(entry, options) {
+        const board = options.board || ALL_TIME_BOARD;
+        if (board !== ALL_TIME_BOARD && entry.season !== board) return false;
+        if (options.level !== undefined && entry.level !== options.level) return false;
+        if (options.gameSession !== undefined && entry.gameSession !== options.gameSession) return false;
+        if (options.from || options.to) {
+            const time = new Date(entry.timestamp).getTime();
+            if (isNaN(time)) return false;
+            if (options.from && time < options.from.getTime()) return false;
+            if (options.to && time > options.to.getTime()) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Look up a player's best entry and position in the full score history
+     * @param {string} userId - The player's user ID
+     * @param {number} neighbours - Number of entries to include above and below (default: 2)
+     * @param {string} board - Season name or 'all-time' (default)
+     * @returns {Object|null} { entry, rank, total, above, below } with public entry fields, or null if the player has no scores
+     */
+    getPlayerRank(userId, neighbours = 2, board = ALL_TIME_BOARD) {
+        // rankedEntries is sorted, so the first match is the player's best score
+        const best = this.rankedEntries.find(entry =>
+            entry.userId === userId && (board === ALL_TIME_BOARD || entry.season === board));
+        if (!best) {
+            return null;
+        }
+
+        const rankedView = this.getRankedView(board);
+
+        // In best-per-email mode the ranked entry for this email may come from another userId
+        const keyOf = RANKING_MODES[this.rankingMode];
+        const index = keyOf ?
+            rankedView.findIndex(entry => keyOf(entry) === keyOf(best)) :
+            rankedView.indexOf(best);
+
+        const withRank = (entry, position) => toPublicEntry({ rank: position + 1, ...entry });
+        const aboveStart = Math.max(0, index - neighbours);
+
+        return {
+            entry: withRank(rankedView[index], index),
+            rank: index + 1,
+            total: rankedView.length,
+            above: rankedView.slice(aboveStart, index).map((entry, i) => withRank(entry, aboveStart + i)),
+            below: rankedView.slice(index + 1, index + 1 + neighbours).map((entry, i) => withRank(entry, index + 1 + i))
+        };
+    }
+
+    // Record a rejected game_over submission and the reasons it was rejected
+    recordRejection(rejection) {
+        this.rejectedSubmissions.push(rejection);
+        if (this.rejectedSubmissions.length > MAX_REJECTIONS_IN_MEMORY) {
+            this.rejectedSubmissions.shift();
+        }
+        
+        if (this.rejectionStorage) {
+            this.rejectionStorage.append(rejection).catch(error => {
+                log.error(`Failed to persist score rejection for ${rejection.userId}: ${error.message}`);
+            });
+        }
+        
+        log.info(`Rejected score from ${rejection.userId}: ${rejection.reasons.map(reason => reason.code).join(', ')}`);
+    }
+
+    // Get the most recent rejected game_over submissions
+    getRejectedSubmissions() {
+        return this.rejectedSubmissions;
+    }
+
+    /**
+     * Record a finished game session so the order placed with its T-shirts can be linked to it
+     * If the player's order already arrived, the two are linked straight away.
+     * @param {Object} gameEvent - The game_over event ({ player, gameData, timestamp })
+     * @returns {Object|null} The game link or null if the event has no game session
+     */
+    updateInvoice(gameEvent) {
+        const player = gameEvent.player || {};
+        const gameSession = gameEvent.gameData && gameEvent.gameData.gameSession;
+        if (!gameSession) {
+            log.warn(`Game over event for ${player.userId} has no gameSession, cannot link an invoice`);
+            return null;
+        }
+        
+        const link = {
+            gameSession: gameSession,
+            userId: player.userId,
+            email: player.email || null,
+            username: player.username || null,
+            gameEndedAt: gameEvent.timestamp || new Date().toISOString(),
+            orderId: null,
+            invoiceNumber: null,
+            totalAmount: null,
+            linkedAt: null
+        };
+        this.gameLinks.set(gameSession, link);
+        
+        const emailKey = (link.email || '').toLowerCase();
+        const pendingOrder = emailKey ? this.pendingOrders.get(emailKey) : null;
+        if (pendingOrder) {
+            this.pendingOrders.delete(emailKey);
+            return this.completeLink(link, pendingOrder);
+        }
+        
+        this.persistLink(link);
+        return link;
+    }
+
+    /**
+     * Link a processed order to the game session it was placed for
+     * Uses order.gameSession when the client sends it, otherwise the player's most recent unlinked game
+     * with the same email. Orders without a matching game wait for the next game_over from that email.
+     * @param {Object} order - { orderId, invoiceNumber, customerEmail, customerName, totalAmount, gameSession }
+     * @returns {Object|null} The updated game link, or null if the order is waiting for its game
+     */
+    linkOrder(order) {
+        const emailKey = (order.customerEmail || '').toLowerCase();
+        let link = order.gameSession ? this.gameLinks.get(order.gameSession) : null;
+        
+        if (!link && emailKey) {
+            // Most recent finished game for this player that has no order yet
+            Array.from(this.gameLinks.values()).forEach(candidate => {
+                if (!candidate.orderId && (candidate.email || '').toLowerCase() === emailKey &&
+                    (!link || new Date(candidate.gameEndedAt) > new Date(link.gameEndedAt))) {
+                    link = candidate;
+                }
+            });
+        }
+        
+        if (!link) {
+            if (emailKey) {
+                this.pendingOrders.set(emailKey, order);
+                log.info(`Order ${order.orderId} has no finished game yet, waiting for ${order.customerEmail}`);
+            }
+            return null;
+        }
+        
+        return this.completeLink(link, order);
+    }
+
+    /**
+     * Attach order details to a game link and the matching leaderboard entry
+     * @private
+     */
+    completeLink(link, order) {
+        const updated = {
+            ...link,
+            orderId: order.orderId || null,
+            invoiceNumber: order.invoiceNumber !== undefined && order.invoiceNumber !== null ? String(order.invoiceNumber) : null,
+            totalAmount: order.totalAmount !== undefined ? order.totalAmount : null,
+            linkedAt: new Date().toISOString()
+        };
+        
+        this.gameLinks.set(updated.gameSession, updated);
+        this.applyLinkToEntries(updated);
+        this.persistLink(updated);
+        log.info(`Linked game ${updated.gameSession} to order ${updated.orderId} (invoice ${updated.invoiceNumber})`);
+        
+        return updated;
+    }
+
+    // Annotate leaderboard entries of a game session with its order and invoice
+    applyLinkToEntries(link) {
+        if (!link.orderId) {
+            return;
+        }
+        this.rankedEntries.forEach(entry => {
+            if (entry.gameSession === link.gameSession) {
+                entry.orderId = link.orderId;
+                entry.invoiceNumber = link.invoiceNumber;
+            }
+        });
+    }
+
+    // Persist the current state of a game link
+    persistLink(link) {
+        if (!this.linkStorage) {
+            return;
+        }
+        this.linkStorage.append(link).catch(error => {
+            log.error(`Failed to persist game link ${link.gameSession}: ${error.message}`);
+        });
+    }
+
+    // Get the order/invoice link for a game session
+    getGameLink(gameSession) {
+        return this.gameLinks.get(gameSession) || null;
+    }
+
+    // Get the game link for an invoice number
+    getGameLinkByInvoice(invoiceNumber) {
+        const wanted = String(invoiceNumber);
+        return Array.from(this.gameLinks.values()).find(link => link.invoiceNumber === wanted) || null;
+    }
+
+    // Get the leaderboard entry recorded for a game session
+    getEntryByGameSession(gameSession) {
+        return this.rankedEntries.find(entry => entry.gameSession === gameSession) || null;
+    }
+
+    /**
+     * Every game played under any of a player's identities, newest first
+     * @param {Object} identity - { userIds, emails } known for the player (emails lowercased)
+     * @returns {Object} { games, best, links } - best is the highest ranked game, links the order/invoice links
+     */
+    getPlayerGames(identity) {
+        const belongsToPlayer = playerMatcher(identity);
+
+        // rankedEntries is sorted, so the first match is the player's best score
+        const ranked = this.rankedEntries.filter(belongsToPlayer);
+        const games = [...ranked].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+        const links = Array.from(this.gameLinks.values()).filter(belongsToPlayer);
+
+        return { games, best: ranked[0] || null, links };
+    }
+
+    /**
+     * Anonymise personal data in leaderboard entries, game links and rejected submissions
+     * Scores stay on the boards under a pseudonymous userId (one per original userId, so best-per-player
+     * ranking still groups a player's games). Emails and names are removed and the persisted history is
+     * rewritten so the original values no longer exist in storage.
+     * @param {Function} matches - (record, type) => boolean, type is 'entry', 'link' or 'rejection'
+     * @returns {Promise<Object>} { entries, links, rejections, invoiceNumbers } - counts and invoices of anonymised links
+     */
+    async anonymiseRecords(matches) {
+        const anonymisedAt = new Date().toISOString();
+        const pseudonyms = new Map();
+        const anonymise = record => {
+            if (!pseudonyms.has(record.userId)) {
+                pseudonyms.set(record.userId, `anonymous-${crypto.randomBytes(6).toString('hex')}`);
+            }
+            return { userId: pseudonyms.get(record.userId), email: null, username: ANONYMOUS_USERNAME, anonymisedAt };
+        };
+        const shouldAnonymise = (record, type) => !record.anonymisedAt && matches(record, type);
+        
+        // Leaderboard entries are shared with the ranked views, so update them in place
+        const entries = this.rankedEntries.filter(entry => shouldAnonymise(entry, 'entry'));
+        entries.forEach(entry => Object.assign(entry, anonymise(entry)));
+        
+        const links = Array.from(this.gameLinks.values()).filter(link => shouldAnonymise(link, 'link'));
+        links.forEach(link => this.gameLinks.set(link.gameSession, { ...link, ...anonymise(link) }));
+        
+        this.rejectedSubmissions = this.rejectedSubmissions.map(rejection =>
+            shouldAnonymise(rejection, 'rejection') ? { ...rejection, ...anonymise(rejection) } : rejection);
+        
+        if (entries.length > 0) {
+            this.refreshRankedView();
+            if (this.storage) {
+                await this.storage.rewrite(this.rankedEntries);
+            }
+        }
+        if (links.length > 0 && this.linkStorage) {
+            await this.linkStorage.rewrite(Array.from(this.gameLinks.values()));
+        }
+        
+        // Only recent rejections are kept in memory, so rewrite the persisted log from storage,
+        // in one write so rejections appended meanwhile are kept
+        let rejections = 0;
+        if (this.rejectionStorage) {
+            await this.rejectionStorage.update(persisted => {
+                const rewritten = persisted.map(rejection => {
+                    if (!shouldAnonymise(rejection, 'rejection')) return rejection;
+                    rejections++;
+                    return { ...rejection, ...anonymise(rejection) };
+                });
+                return rejections > 0 ? rewritten : null;
+            });
+        }
+        
+        return {
+            entries: entries.length,
+            links: links.length,
+            rejections: rejections,
+            invoiceNumbers: links.map(link => link.invoiceNumber).filter(Boolean)
+        };
+    }
+
+    /**
+     * Erase a player's personal data (right to erasure)
+     * @param {Object} identity - { userIds, emails } known for the player (emails lowercased)
+     * @returns {Promise<Object>} { entries, links, rejections, invoiceNumbers }
+     */
+    async erasePlayer(identity) {
+        (identity.emails || []).forEach(email => this.pendingOrders.delete(email));
+        
+        const result = await this.anonymiseRecords(playerMatcher(identity));
+        log.info(`Erased player data: ${result.entries} entries, ${result.links} game links, ${result.rejections} rejections anonymised`);
+        return result;
+    }
+
+    /**
+     * Anonymise personal data from events that ended before the cutoff
+     * A game's event ends when its season is closed; games played outside a season end when they are played.
+     * Games of the open season are never purged.
+     * @param {Date} cutoff - Records from events that ended before this time are anonymised
+     * @returns {Promise<Object>} { entries, links, rejections, invoiceNumbers }
+     */
+    async purgeExpired(cutoff) {
+        const eventEnd = (seasonName, playedAt) => {
+            if (!seasonName) return playedAt;
+            const season = this.seasons.get(seasonName);
+            return season && season.closedAt ? season.closedAt : null;
+        };
+        const isExpired = time => !!time && new Date(time).getTime() < cutoff.getTime();
+        const sessionSeasons = new Map(this.rankedEntries.map(entry => [entry.gameSession, entry.season]));
+        
+        return this.anonymiseRecords((record, type) => {
+            if (type === 'entry') return isExpired(eventEnd(record.season, record.timestamp));
+            if (type === 'link') return isExpired(eventEnd(sessionSeasons.get(record.gameSession), record.gameEndedAt));
+            return isExpired(record.rejectedAt || record.timestamp);
+        });
+    }
+
+    /**
+     * Process game over events for leaderboard
+     * The score is recomputed on the server; the client's gameScore is only compared against it.
+     * A game session scores once, a replayed game_over for a recorded session is rejected as duplicate_session.
+     * @param {Object} gameEvent - The game_over event ({ player, gameData, timestamp })
+     * @returns {Object} { success, entry, flagged } when accepted, { success: false, rejected: true, reasons } when rejected
+     * @throws {Error} When the event cannot be scored or stored
+     */
     processGameOverEvent(gameEvent) {
-        console.log("Game over event:", gameEvent);
-        try {
-            const player = gameEvent.player;
-            const gameData = gameEvent.gameData;
-            console.log("GD >> ", gameData);
-            
-            // Calculate score: T-shirt total value + coins remaining
-            const tShirtScoreMultiplyer = 2; //To calculate the score, Tshirts are worth double the coins. 
-            const levelMultiplyer = 10; //To calculate the score, each level is worth 10 points.
-            const tShirtValue = gameData.tShirtsCollected.totalValue || 0;
-            const coinsRemaining = gameData.coinsRemaining || 0;
-            //const totalScore = tShirtValue * tShirtScoreMultiplyer + coinsRemaining + (levelMultiplyer * gameData.currentLevel || 1);
-            
-            const leaderboardEntry = {
+        const player = gameEvent.player;
+        const gameData = gameEvent.gameData;
+        log.info(`Game over event from ${player.userId} (session ${gameData.gameSession})`);
+        
+        // Calculate score: T-shirt value x multiplier + coins remaining + level bonus
+        const validation = this.scoreValidator.validate(gameEvent);
+        const duplicate = !!gameData.gameSession && !!this.getEntryByGameSession(gameData.gameSession);
+        
+        if (!validation.accepted || duplicate) {
+            const reasons = duplicate
+                ? [{ code: 'duplicate_session', message: `Game session ${gameData.gameSession} is already recorded` }]
+                : validation.reasons;
+            this.recordRejection({
                 userId: player.userId,
                 email: player.email,
                 username: player.username,
-                score: gameData.gameScore,
-                tShirtValue: tShirtValue,
-                coinsRemaining: coinsRemaining,
-                tShirtsCount: gameData.tShirtsCollected.totalCount || 0,
-                level: gameData.currentLevel || 1,
+                gameSession: gameData.gameSession,
+                claimedScore: validation.claimedScore,
+                stats: validation.stats,
+                reasons: reasons,
                 timestamp: gameEvent.timestamp,
-                gameSession: gameData.gameSession
+                rejectedAt: new Date().toISOString()
+            });
+            return {
+                success: false,
+                rejected: true,
+                reasons: reasons
             };
-            
-            this.addLeaderboardEntry(leaderboardEntry);
-            this.updateInvoice(gameEvent);
-            
-        } catch (error) {
-            console.error('❌ Error processing game over event for leaderboard:', error);
         }
+        
+        const leaderboardEntry = {
+            userId: player.userId,
+            email: player.email,
+            username: player.username,
+            score: validation.computedScore,
+            claimedScore: validation.claimedScore,
+            tShirtValue: validation.stats.tShirtValue,
+            coinsRemaining: validation.stats.coinsRemaining,
+            tShirtsCount: validation.stats.tShirtsCount,
+            level: validation.stats.level,
+            timestamp: gameEvent.timestamp,
+            gameSession: gameData.gameSession,
+            season: this.activeSeason
+        };
+        
+        if (validation.flagged) {
+            leaderboardEntry.flagged = true;
+            leaderboardEntry.flagReasons = validation.reasons;
+            log.warn(`Flagged score from ${player.userId}: ${validation.reasons.map(reason => reason.message).join('; ')}`);
+        }
+        
+        this.addLeaderboardEntry(leaderboardEntry);
+        this.updateInvoice(gameEvent);
+        
+        return {
+            success: true,
+            entry: leaderboardEntry,
+            flagged: validation.flagged
+        };
     }
 }
 
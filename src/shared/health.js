@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+
+/**
+ * Health Module
+ * Readiness checks that probe the services a server depends on
+ *
+ * Each dependency registers a probe: an async function that resolves (optionally with details to
+ * report) when the dependency is usable and throws when it is not. Probes run in parallel with a
+ * timeout. A failing critical dependency makes the server not ready; a failing non-critical one only
+ * degrades it, so traffic keeps flowing to features that still work.
+ */
+
+const DEFAULT_TIMEOUT = 2000;
+
+class HealthChecker {
+    /**
+     * Create a new HealthChecker
+     * @param {Object} options - Options
+     * @param {number} options.timeout - Milliseconds before a probe counts as failed (HEALTH_CHECK_TIMEOUT_MS, default: 2000)
+     */
+    constructor(options = {}) {
+        this.timeout = options.timeout || parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS) || DEFAULT_TIMEOUT;
+        this.probes = new Map(); // Map of name -> { probe, critical }
+    }
+
+    /**
+     * Register a dependency probe
+     * @param {string} name - Dependency name used in the report (e.g. 'websocket', 'minio')
+     * @param {Function} probe - async () => details; throws when the dependency is unavailable
+     * @param {Object} options - Options
+     * @param {boolean} options.critical - Whether a failure makes the server not ready (default: true)
+     * @returns {HealthChecker} This checker, for chaining
+     */
+    register(name, probe, options = {}) {
+        this.probes.set(name, { probe: probe, critical: options.critical !== false });
+        return this;
+    }
+
+    /**
+     * Run one probe with the timeout
+     * @private
+     */
+    async runProbe(name, { probe, critical }) {
+        const startedAt = Date.now();
+        let timer = null;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`No answer within ${this.timeout}ms`)), this.timeout);
+        });
+
+        try {
+            const details = await Promise.race([Promise.resolve().then(probe), timeout]);
+            return { status: 'up', critical: critical, latencyMs: Date.now() - startedAt, ...(details || {}) };
+        } catch (error) {
+            return { status: 'down', critical: critical, latencyMs: Date.now() - startedAt, error: error.message };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Run every probe
+     * @returns {Promise<Object>} { status: 'ready' | 'degraded' | 'not_ready', checks: name -> result }
+     */
+    async check() {
+        const names = Array.from(this.probes.keys());
+        const results = await Promise.all(names.map(name => this.runProbe(name, this.probes.get(name))));
+
+        const checks = {};
+        names.forEach((name, index) => checks[name] = results[index]);
+
+        const down = results.filter(result => result.status === 'down');
+        let status = 'ready';
+        if (down.some(result => result.critical)) {
+            status = 'not_ready';
+        } else if (down.length > 0) {
+            status = 'degraded';
+        }
+
+        return { status: status, checks: checks };
+    }
+}
+
+module.exports = { HealthChecker };
@@ -0,0 +1,250 @@
+#!/usr/bin/env node
+
+/**
+ * Idempotency Module
+ * Replays the stored result of a request repeated with the same Idempotency-Key
+ *
+ * The first request with a key runs and its result is kept for the configured window; repeats of it
+ * get the same result without running again, and a repeat that arrives while the first is still
+ * running waits for it. A key reused with a different body is a conflict (409). Keys are scoped to
+ * the caller and, for calls made by the WebSocket server on a player's behalf, to that player, so two
+ * players cannot collide. Server errors (5xx) are not kept, so a retry runs again. A result that is
+ * settled later (a queued order) is replaced with its outcome through replaceResults().
+ */
+
+const crypto = require('crypto');
+const { RequestError } = require('./router');
+const { createStorage } = require('./storage');
+const { metrics } = require('./metrics');
+const { createLogger } = require('./logger');
+
+const log = createLogger('idempotency');
+
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/; // Printable ASCII without spaces
+const DEFAULT_WINDOW_SECONDS = 3600;
+
+const idempotentRequests = metrics.counter({
+    name: 'idempotent_requests_total',
+    help: 'Requests with an idempotency key by outcome (stored, replayed, conflict)',
+    labelNames: ['outcome']
+});
+
+/**
+ * Serialise a value with object keys sorted, so equal bodies hash the same
+ * @private
+ */
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Check an idempotency key received from a client
+ * @param {*} value - Header or message field
+ * @returns {string|null} The key, or null when none was sent
+ * @throws {RequestError} 400 when the key is not 1-255 printable characters
+ */
+function parseIdempotencyKey(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    if (typeof value !== 'string' || !KEY_PATTERN.test(value)) {
+        throw new RequestError('Invalid idempotency key', `${IDEMPOTENCY_HEADER} must be 1-255 printable characters without spaces`);
+    }
+    return value;
+}
+
+class IdempotencyStore {
+    /**
+     * Create a new IdempotencyStore
+     * @param {Object} config - The 'idempotency' configuration block
+     * @param {number} config.windowSeconds - How long results are replayed (IDEMPOTENCY_WINDOW_SECONDS, default: 3600)
+     */
+    constructor(config = {}) {
+        this.windowMs = (config.windowSeconds || DEFAULT_WINDOW_SECONDS) * 1000;
+        this.entries = new Map(); // Map of 'scope|key' -> { fingerprint, result, createdAt, pending }
+        this.storage = null;
+        this.lastPrune = Date.now();
+    }
+
+    /**
+     * Load stored results that are still inside the window and persist new ones through the given storage adapter
+     * @param {Object} storage - Storage adapter (default: 'idempotency' storage)
+     */
+    async initialize(storage = createStorage('idempotency')) {
+        this.storage = storage;
+
+        const records = await this.storage.load();
+        const now = Date.now();
+        records.forEach(record => {
+            if (now - record.createdAt < this.windowMs) {
+                this.entries.set(record.id, { fingerprint: record.fingerprint, result: record.result, createdAt: record.createdAt, pending: null });
+            }
+        });
+
+        // Expired results are dropped from storage at startup
+        if (records.length > this.entries.size) {
+            await this.storage.rewrite(this.records());
+        }
+        log.info(`Restored ${this.entries.size} idempotent results from storage`);
+    }
+
+    // Flush pending writes
+    async close() {
+        if (this.storage) {
+            await this.storage.close();
+        }
+    }
+
+    /**
+     * Completed entries in storage record form
+     * @private
+     */
+    records() {
+        const records = [];
+        this.entries.forEach((entry, id) => {
+            if (!entry.pending) {
+                records.push({ id: id, fingerprint: entry.fingerprint, result: entry.result, createdAt: entry.createdAt });
+            }
+        });
+        return records;
+    }
+
+    /**
+     * Drop expired results at most once a minute
+     * @private
+     */
+    prune(now) {
+        if (now - this.lastPrune < 60000) {
+            return;
+        }
+        this.lastPrune = now;
+        this.entries.forEach((entry, id) => {
+            if (!entry.pending && now - entry.createdAt >= this.windowMs) {
+                this.entries.delete(id);
+            }
+        });
+    }
+
+    /**
+     * Hash a request body
+     * @param {*} body - Parsed request body
+     * @returns {string} SHA-256 of the body with object keys sorted
+     */
+    fingerprint(body) {
+        return crypto.createHash('sha256').update(canonicalJson(body)).digest('hex');
+    }
+
+    /**
+     * Run a request once per key, or replay the result of the first run
+     * @param {string} scope - Who the key belongs to (e.g. 'service', 'player:alice')
+     * @param {string} key - Idempotency key
+     * @param {*} body - Request body, compared with the body the key was first used with
+     * @param {Function} fn - async () => result; results with a statusCode >= 500 are not kept
+     * @returns {Promise<Object>} { result, replayed }
+     * @throws {RequestError} 409 when the key was used with a different body
+     */
+    async execute(scope, key, body, fn) {
+        const id = `${scope}|${key}`;
+        const fingerprint = this.fingerprint(body);
+        const now = Date.now();
+        this.prune(now);
+
+        const existing = this.entries.get(id);
+        if (existing && (existing.pending || now - existing.createdAt < this.windowMs)) {
+            if (existing.fingerprint !== fingerprint) {
+                idempotentRequests.inc({ outcome: 'conflict' });
+                log.warn('Idempotency key reused with a different request body', { key: key });
+                throw new RequestError('Idempotency key conflict',
+                    `${IDEMPOTENCY_HEADER} ${key} was already used with a different request body`, 409);
+            }
+            const result = existing.pending ? await existing.pending : existing.result;
+            idempotentRequests.inc({ outcome: 'replayed' });
+            log.info('Replaying stored result', { key: key });
+            return { result: result, replayed: true };
+        }
+
+        const entry = { fingerprint: fingerprint, result: null, createdAt: now, pending: null };
+        entry.pending = Promise.resolve().then(fn);
+        this.entries.set(id, entry);
+
+        try {
+            entry.result = await entry.pending;
+        } catch (error) {
+            this.entries.delete(id);
+            throw error;
+        } finally {
+            entry.pending = null;
+        }
+
+        if ((entry.result.statusCode || 200) >= 500) {
+            this.entries.delete(id); // Transient failure: let a retry run again
+        } else {
+            idempotentRequests.inc({ outcome: 'stored' });
+            this.persist(id, entry);
+        }
+        return { result: entry.result, replayed: false };
+    }
+
+    /**
+     * Replace stored results once the work they reported has an outcome (e.g. a queued order that was sent)
+     * A replacement with a statusCode >= 500 removes the entry instead, like a failed first run.
+     * @param {Function} matches - (result) => true for the results to replace
+     * @param {Object} result - The new result
+     * @returns {number} Number of entries replaced or removed
+     */
+    replaceResults(matches, result) {
+        let replaced = 0;
+        let removed = false;
+        this.entries.forEach((entry, id) => {
+            if (entry.pending || !matches(entry.result)) {
+                return;
+            }
+            replaced++;
+            if ((result.statusCode || 200) >= 500) {
+                this.entries.delete(id);
+                removed = true;
+            } else {
+                entry.result = result;
+                this.persist(id, entry);
+            }
+        });
+
+        if (removed && this.storage) {
+            this.storage.rewrite(this.records()).catch(error => {
+                log.error(`Failed to rewrite idempotent results: ${error.message}`);
+            });
+        }
+        return replaced;
+    }
+
+    // Persist a completed entry
+    persist(id, entry) {
+        if (!this.storage) {
+            return;
+        }
+        this.storage.append({ id: id, fingerprint: entry.fingerprint, result: entry.result, createdAt: entry.createdAt }).catch(error => {
+            log.error(`Failed to persist idempotent result: ${error.message}`);
+        });
+    }
+
+    /**
+     * Get store statistics
+     * @returns {Object} { entries, windowSeconds }
+     */
+    getStats() {
+        return { entries: this.entries.size, windowSeconds: this.windowMs / 1000 };
+    }
+}
+
+module.exports = {
+    IdempotencyStore,
+    parseIdempotencyKey,
+    IDEMPOTENCY_HEADER
+};
@@ -0,0 +1,279 @@
+#!/usr/bin/env node
+
+/**
+ * Invoice Registry Module
+ * Invoice records kept by the HTTP server for the /invoices endpoints
+ *
+ * Records are created when an order returns a PO number and updated from the 'invoice_status'
+ * messages the WebSocket server sends as its invoice poller picks the invoice up, stores it or gives up.
+ * Status flow: registered -> polling -> processed | failed
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { createStorage } = require('./storage');
+const { createLogger } = require('./logger');
+
+const log = createLogger('invoice-registry');
+
+const INVOICE_STATUSES = ['registered', 'polling', 'processed', 'failed'];
+
+class InvoiceRegistry {
+    constructor() {
+        this.invoices = new Map(); // Map of invoiceNumber -> invoice record
+        this.storage = null;
+        this.invoiceStorageDir = process.env.INVOICE_STORAGE_DIR || path.join(process.cwd(), 'invoices');
+        this.bucketName = process.env.INVOICE_BUCKET || 'invoices';
+        this.s3Client = null; // Created on first PDF download that is not available locally
+    }
+
+    /**
+     * Load persisted invoices and persist changes through the given storage adapter
+     * @param {Object} storage - Storage adapter (default: 'invoices' storage)
+     */
+    async initialize(storage = createStorage('invoices')) {
+        this.storage = storage;
+
+        // Invoice records are appended on every change, the last one per invoice number wins
+        const records = await this.storage.load();
+        records.forEach(record => this.invoices.set(record.invoiceNumber, record));
+        log.info(`Restored ${this.invoices.size} invoices from storage`);
+    }
+
+    // Flush pending writes
+    async close() {
+        if (this.storage) {
+            await this.storage.close();
+        }
+    }
+
+    // Persist the current state of an invoice
+    persistInvoice(invoice) {
+        if (!this.storage) {
+            return;
+        }
+        this.storage.append(invoice).catch(error => {
+            log.error(`Failed to persist invoice ${invoice.invoiceNumber}: ${error.message}`);
+        });
+    }
+
+    /**
+     * Record an invoice expected for a processed order
+     * @param {Object} order - { invoiceNumber, orderId, playerId, customerName, customerEmail, totalAmount, gameSession }
+     * @returns {Object} The invoice record
+     */
+    register(order) {
+        const now = new Date().toISOString();
+        const invoice = {
+            invoiceNumber: String(order.invoiceNumber),
+            orderId: order.orderId || null,
+            playerId: order.playerId || null,
+            customerName: order.customerName || null,
+            customerEmail: order.customerEmail || null,
+            totalAmount: order.totalAmount !== undefined ? order.totalAmount : null,
+            gameSession: order.gameSession || null,
+            status: 'registered',
+            registeredAt: now,
+            pollingAt: null,
+            processedAt: null,
+            failedAt: null,
+            failureReason: null,
+            filename: null,
+            fileSize: null,
+            storageKey: null,
+            updatedAt: now
+        };
+
+        this.invoices.set(invoice.invoiceNumber, invoice);
+        this.persistInvoice(invoice);
+        return invoice;
+    }
+
+    /**
+     * Apply a status change reported by the invoice poller
+     * The poller may track an invoice under a different key than the PO number, so the record is
+     * found by invoice number first and by order ID second.
+     * @param {Object} update - invoice_status message ({ invoiceNumber, orderId, playerId, status, ... })
+     * @returns {Object|null} The updated record, or null if the status is unknown
+     */
+    updateStatus(update) {
+        if (!INVOICE_STATUSES.includes(update.status)) {
+            log.warn(`Ignoring unknown invoice status '${update.status}' for ${update.invoiceNumber}`);
+            return null;
+        }
+
+        const key = String(update.invoiceNumber);
+        let invoice = this.invoices.get(key) ||
+            (update.orderId ? Array.from(this.invoices.values()).find(record => record.orderId === update.orderId) : null);
+
+        if (!invoice) {
+            // Registered directly with the WebSocket server
+            invoice = this.register({ invoiceNumber: key, orderId: update.orderId, playerId: update.playerId });
+            if (update.registeredAt) {
+                invoice.registeredAt = update.registeredAt;
+            }
+        }
+
+        const now = new Date().toISOString();
+        const updated = {
+            ...invoice,
+            status: update.status,
+            storageKey: key,
+            updatedAt: now
+        };
+
+        if (update.status === 'polling') {
+            updated.pollingAt = updated.pollingAt || now;
+        } else if (update.status === 'processed') {
+            updated.processedAt = update.processedAt || now;
+            updated.filename = update.filename || null;
+            updated.fileSize = update.fileSize !== undefined ? update.fileSize : null;
+            updated.failedAt = null;
+            updated.failureReason = null;
+        } else if (update.status === 'failed') {
+            updated.failedAt = now;
+            updated.failureReason = update.reason || update.message || 'unknown';
+        }
+
+        this.invoices.set(updated.invoiceNumber, updated);
+        this.persistInvoice(updated);
+        log.info(`Invoice ${updated.invoiceNumber} is now ${updated.status}`);
+        return updated;
+    }
+
+    /**
+     * Get an invoice record
+     * @param {string} invoiceNumber - The invoice number
+     * @returns {Object|null} The invoice record
+     */
+    getInvoice(invoiceNumber) {
+        return this.invoices.get(String(invoiceNumber)) || null;
+    }
+
+    /**
+     * List invoices, newest first
+     * @param {Object} options - Filters
+     * @param {Array} options.emails - Only invoices for these customer emails (lowercased)
+     * @param {Array} options.invoiceNumbers - Only these invoice numbers (e.g. a player's orders)
+     * @param {string} options.status - Only invoices with this status
+     * @param {Date} options.from - Only invoices registered at or after this time
+     * @param {Date} options.to - Only invoices registered at or before this time
+     * @returns {Array} Invoice records
+     */
+    listInvoices(options = {}) {
+        return Array.from(this.invoices.values())
+            .filter(invoice => {
+                if (options.emails || options.invoiceNumbers) {
+                    const byEmail = options.emails && invoice.customerEmail &&
+                        options.emails.includes(invoice.customerEmail.toLowerCase());
+                    const byNumber = options.invoiceNumbers && options.invoiceNumbers.includes(invoice.invoiceNumber);
+                    if (!byEmail && !byNumber) return false;
+                }
+                if (options.status && invoice.status !== options.status) return false;
+                const registeredAt = new Date(invoice.registeredAt).getTime();
+                if (options.from && registeredAt < options.from.getTime()) return false;
+                if (options.to && registeredAt > options.to.getTime()) return false;
+                return true;
+            })
+            .sort((a, b) => new Date(b.registeredAt) - new Date(a.registeredAt));
+    }
+
+    /**
+     * Aggregate invoice statistics
+     * @returns {Object} { total, byStatus, averageTimeToInvoiceMs, failures, failureReasons }
+     */
+    getStats() {
+        const byStatus = {};
+        INVOICE_STATUSES.forEach(status => byStatus[status] = 0);
+        const failureReasons = {};
+        let invoicedCount = 0;
+        let totalTimeToInvoice = 0;
+
+        this.invoices.forEach(invoice => {
+            byStatus[invoice.status]++;
+            if (invoice.status === 'processed' && invoice.processedAt) {
+                const duration = new Date(invoice.processedAt) - new Date(invoice.registeredAt);
+                if (!isNaN(duration) && duration >= 0) {
+                    invoicedCount++;
+                    totalTimeToInvoice += duration;
+                }
+            }
+            if (invoice.status === 'failed') {
+                failureReasons[invoice.failureReason] = (failureReasons[invoice.failureReason] || 0) + 1;
+            }
+        });
+
+        return {
+            total: this.invoices.size,
+            byStatus: byStatus,
+            averageTimeToInvoiceMs: invoicedCount > 0 ? Math.round(totalTimeToInvoice / invoicedCount) : null,
+            failures: byStatus.failed,
+            failureReasons: failureReasons
+        };
+    }
+
+    /**
+     * Load the PDF of a processed invoice
+     * Uses the JSON copy saved by the invoice poller when the invoice directory is shared with the
+     * WebSocket server, otherwise downloads the PDF from the invoice bucket.
+     * @param {Object} invoice - The invoice record
+     * @returns {Promise<Buffer|null>} PDF content, or null if it cannot be found
+     */
+    async loadPdf(invoice) {
+        const keys = Array.from(new Set([invoice.storageKey, invoice.invoiceNumber, `invoice_${invoice.invoiceNumber}`].filter(Boolean)));
+
+        for (const key of keys) {
+            try {
+                const content = await fs.readFile(path.join(this.invoiceStorageDir, `${key}.json`), 'utf8');
+                const saved = JSON.parse(content);
+                if (saved.base64Data) {
+                    return Buffer.from(saved.base64Data, 'base64');
+                }
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    log.error(`Error reading saved invoice ${key}: ${error.message}`);
+                }
+            }
+        }
+
+        if (!invoice.filename) {
+            return null;
+        }
+
+        if (!this.s3Client) {
+            const { S3Client } = require('./s3');
+            this.s3Client = new S3Client();
+        }
+        if (!this.s3Client.isConnected()) {
+            await this.s3Client.connect();
+        }
+        return this.s3Client.getObject(this.bucketName, invoice.filename);
+    }
+
+    /**
+     * Remove personal data from invoice records of an erased or expired player
+     * @param {Object} options - { invoiceNumbers, emails (lowercased) }
+     * @returns {Promise<number>} Number of anonymised invoices
+     */
+    async anonymise({ invoiceNumbers = [], emails = [] }) {
+        const matches = Array.from(this.invoices.values()).filter(invoice =>
+            invoiceNumbers.includes(invoice.invoiceNumber) ||
+            (invoice.customerEmail && emails.includes(invoice.customerEmail.toLowerCase())));
+
+        matches.forEach(invoice => this.invoices.set(invoice.invoiceNumber, {
+            ...invoice,
+            playerId: null,
+            customerName: null,
+            customerEmail: null,
+            anonymisedAt: new Date().toISOString()
+        }));
+
+        if (matches.length > 0 && this.storage) {
+            await this.storage.rewrite(Array.from(this.invoices.values()));
+        }
+        return matches.length;
+    }
+}
+
+// Export singleton instance
+module.exports = new InvoiceRegistry();
@@ -9,6 +9,20 @@
 const { S3Client } = require('./s3');
 const fs = require('fs').promises;
 const path = require('path');
+const { metrics } = require('./metrics');
+const { createLogger, runWithCorrelationId } = require('./logger');
+
+const log = createLogger('invoice-poller');
+
+const invoicesProcessed = metrics.counter({
+    name: 'invoice_poller_processed_total',
+    help: 'Invoices found in the bucket and stored'
+});
+const pollDuration = metrics.histogram({
+    name: 'invoice_poller_poll_duration_seconds',
+    help: 'Duration of bucket polls for registered invoices',
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]
+});
 
 class InvoicePoller {
     constructor(options = {}) {
@@ -27,6 +41,7 @@ class InvoicePoller {
         this.isPolling = false;
         this.isConnected = false;
         this.invoiceProcessedCallback = null; // Callback function when invoice is processed
+        this.invoiceStatusCallback = null; // Callback function when an invoice changes status (polling, processed, failed)
         this.hasShownNoInvoicesMessage = false; // Flag to track if we've shown the "no invoices" message
     }
 
@@ -35,7 +50,7 @@ class InvoicePoller {
      */
     async initialize() {
         try {
-            console.log(`📄 Initializing Invoice Poller...`);
+            log.info(`Initializing Invoice Poller...`);
             
             // Connect to S3
             await this.s3Client.connect();
@@ -44,15 +59,16 @@ class InvoicePoller {
             // Ensure invoice storage directory exists
             await this.ensureStorageDirectory();
             
-            console.log(`📄 Invoice Poller initialized successfully`);
-            console.log(`📄 Polling bucket: ${this.config.bucketName}`);
-            console.log(`📄 Invoice storage directory: ${this.config.invoiceStorageDir}`);
-            console.log(`📄 Polling interval: ${this.config.pollingInterval}ms`);
-            console.log(`📄 Max retries: ${this.config.maxRetries === Infinity ? 'unlimited (polling indefinitely)' : this.config.maxRetries}`);
+            log.info('Invoice Poller initialized', {
+                bucketName: this.config.bucketName,
+                invoiceStorageDir: this.config.invoiceStorageDir,
+                pollingInterval: this.config.pollingInterval,
+                maxRetries: this.config.maxRetries === Infinity ? 'unlimited' : this.config.maxRetries
+            });
             
             return true;
         } catch (error) {
-            console.error(`❌ Failed to initialize Invoice Poller: ${error.message}`);
+            log.error(`Failed to initialize Invoice Poller: ${error.message}`);
             this.isConnected = false;
             throw error;
         }
@@ -64,7 +80,39 @@ class InvoicePoller {
      */
     setInvoiceProcessedCallback(callback) {
         this.invoiceProcessedCallback = callback;
-        console.log(`📄 Invoice processed callback registered`);
+        log.info(`Invoice processed callback registered`);
+    }
+
+    /**
+     * Set callback function to be called when an invoice changes status
+     * @param {Function} callback - Function to call with (invoiceNumber, status, details) where status is
+     *   'polling', 'processed' or 'failed' and details carries playerId, orderId and status specific fields
+     */
+    setInvoiceStatusCallback(callback) {
+        this.invoiceStatusCallback = callback;
+        log.info(`Invoice status callback registered`);
+    }
+
+    /**
+     * Report an invoice status change to the status callback
+     * @private
+     */
+    notifyStatus(invoiceNumber, registrationData, status, details = {}) {
+        if (!this.invoiceStatusCallback) {
+            return;
+        }
+        try {
+            this.invoiceStatusCallback(invoiceNumber, status, {
+                playerId: registrationData.playerId,
+                orderId: registrationData.orderId || null,
+                correlationId: registrationData.correlationId || null,
+                registeredAt: registrationData.registeredAt,
+                retryCount: registrationData.retryCount,
+                ...details
+            });
+        } catch (callbackError) {
+            log.error(`Error in invoice status callback: ${callbackError.message}`);
+        }
     }
 
     /**
@@ -74,12 +122,12 @@ class InvoicePoller {
     async ensureStorageDirectory() {
         try {
             await fs.access(this.config.invoiceStorageDir);
-            console.log(`📁 Invoice storage directory exists: ${this.config.invoiceStorageDir}`);
+            log.info(`Invoice storage directory exists: ${this.config.invoiceStorageDir}`);
         } catch (error) {
             if (error.code === 'ENOENT') {
-                console.log(`📁 Creating invoice storage directory: ${this.config.invoiceStorageDir}`);
+                log.info(`Creating invoice storage directory: ${this.config.invoiceStorageDir}`);
                 await fs.mkdir(this.config.invoiceStorageDir, { recursive: true });
-                console.log(`✅ Invoice storage directory created successfully`);
+                log.info(`Invoice storage directory created successfully`);
             } else {
                 throw error;
             }
@@ -105,11 +153,11 @@ class InvoicePoller {
             };
             
             await fs.writeFile(filepath, JSON.stringify(fileData, null, 2), 'utf8');
-            console.log(`💾 Invoice ${invoiceNumber} saved to filesystem: ${filepath}`);
+            log.info(`Invoice ${invoiceNumber} saved to filesystem: ${filepath}`);
             
             return filepath;
         } catch (error) {
-            console.error(`❌ Error saving invoice ${invoiceNumber} to filesystem: ${error.message}`);
+            log.error(`Error saving invoice ${invoiceNumber} to filesystem: ${error.message}`);
             throw error;
         }
     }
@@ -123,19 +171,19 @@ class InvoicePoller {
         try {
             const filename = `invoice_${invoiceNumber}.json`;
             const filepath = path.join(this.config.invoiceStorageDir, filename);
-            console.log(`📄 Fetching invoice ${invoiceNumber} from filesystem: ${filepath}`);
+            log.info(`Fetching invoice ${invoiceNumber} from filesystem: ${filepath}`);
             
             const data = await fs.readFile(filepath, 'utf8');
             const invoiceData = JSON.parse(data);
             
-            console.log(`📄 Fetched invoice ${invoiceNumber} from filesystem`);
+            log.info(`Fetched invoice ${invoiceNumber} from filesystem`);
             return invoiceData;
         } catch (error) {
             if (error.code === 'ENOENT') {
-                console.log(`📄 Invoice ${invoiceNumber} not found in filesystem`);
+                log.info(`Invoice ${invoiceNumber} not found in filesystem`);
                 return null;
             } else {
-                console.error(`❌ Error reading invoice ${invoiceNumber} from filesystem: ${error.message}`);
+                log.error(`Error reading invoice ${invoiceNumber} from filesystem: ${error.message}`);
                 throw error;
             }
         }
@@ -152,14 +200,14 @@ class InvoicePoller {
                 .filter(file => file.endsWith('.json'))
                 .map(file => file.replace('.json', ''));
             
-            console.log(`📄 Found ${invoiceNumbers.length} invoices in filesystem`);
+            log.info(`Found ${invoiceNumbers.length} invoices in filesystem`);
             return invoiceNumbers;
         } catch (error) {
             if (error.code === 'ENOENT') {
-                console.log(`📄 Invoice storage directory does not exist`);
+                log.info(`Invoice storage directory does not exist`);
                 return [];
             } else {
-                console.error(`❌ Error listing invoices from filesystem: ${error.message}`);
+                log.error(`Error listing invoices from filesystem: ${error.message}`);
                 throw error;
             }
         }
@@ -176,14 +224,14 @@ class InvoicePoller {
             const filepath = path.join(this.config.invoiceStorageDir, filename);
             
             await fs.unlink(filepath);
-            console.log(`🗑️ Deleted invoice ${invoiceNumber} from filesystem`);
+            log.info(`Deleted invoice ${invoiceNumber} from filesystem`);
             return true;
         } catch (error) {
             if (error.code === 'ENOENT') {
-                console.log(`📄 Invoice ${invoiceNumber} not found in filesystem for deletion`);
+                log.info(`Invoice ${invoiceNumber} not found in filesystem for deletion`);
                 return false;
             } else {
-                console.error(`❌ Error deleting invoice ${invoiceNumber} from filesystem: ${error.message}`);
+                log.error(`Error deleting invoice ${invoiceNumber} from filesystem: ${error.message}`);
                 throw error;
             }
         }
@@ -193,8 +241,9 @@ class InvoicePoller {
      * Register an invoice number for polling
      * @param {string} invoiceNumber - The invoice number to watch for
      * @param {string} playerId - The player ID associated with the invoice
+     * @param {Object} details - Optional order details reported back with status changes ({ orderId })
      */
-    registerInvoice(invoiceNumber, playerId) {
+    registerInvoice(invoiceNumber, playerId, details = {}) {
 
         //FOR TESTING INVOIVE DISPLAY ONLY REMOVE AS THIS RETURNS THE SAME INVOICE EVERY TIME
         invoiceNumber = 'invoice_1003';
@@ -205,13 +254,15 @@ class InvoicePoller {
 
         // Check if already processed
         if (this.processedInvoices.has(invoiceNumber)) {
-            console.log(`📄 Invoice ${invoiceNumber} already processed`);
+            log.info(`Invoice ${invoiceNumber} already processed`);
             //removed for testing, re-instate for production
             //return this.processedInvoices.get(invoiceNumber);
         }
 
         const registrationData = {
             playerId: playerId,
+            orderId: details.orderId || null,
+            correlationId: details.correlationId || null, // Ties poller logs and notifications to the order
             retryCount: 0,
             registeredAt: new Date().toISOString(),
             lastChecked: null
@@ -222,8 +273,10 @@ class InvoicePoller {
         // Reset the flag since we now have invoices to poll for
         this.hasShownNoInvoicesMessage = false;
         
-        console.log(`📄 Registered invoice ${invoiceNumber} for player ${playerId}`);
-        console.log(`📄 Total registered invoices: ${this.registeredInvoices.size}`);
+        log.info(`Registered invoice ${invoiceNumber} for player ${playerId}`, {
+            correlationId: registrationData.correlationId || undefined,
+            registeredInvoices: this.registeredInvoices.size
+        });
 
         // Start polling if not already running
         if (!this.isPolling && this.isConnected) {
@@ -243,7 +296,7 @@ class InvoicePoller {
         let invoiceData = this.processedInvoices.get(invoiceNumber);
         
         if (invoiceData) {
-            console.log(`📄 Invoice ${invoiceNumber} found in memory cache`);
+            log.debug(`Invoice ${invoiceNumber} found in memory cache`);
             return invoiceData;
         }
         
@@ -254,12 +307,12 @@ class InvoicePoller {
             // If found in filesystem, load it into memory cache
             if (invoiceData) {
                 this.processedInvoices.set(invoiceNumber, invoiceData);
-                console.log(`📄 Loaded invoice ${invoiceNumber} from filesystem into memory cache`);
+                log.info(`Loaded invoice ${invoiceNumber} from filesystem into memory cache`);
             }
             
             return invoiceData;
         } catch (error) {
-            console.error(`❌ Error fetching invoice ${invoiceNumber} from filesystem: ${error.message}`);
+            log.error(`Error fetching invoice ${invoiceNumber} from filesystem: ${error.message}`);
             return null;
         }
     }
@@ -289,16 +342,16 @@ class InvoicePoller {
      */
     startPolling() {
         if (this.isPolling) {
-            console.log(`⚠️ Polling is already running`);
+            log.warn(`Polling is already running`);
             return;
         }
 
         if (!this.isConnected) {
-            console.error(`❌ Cannot start polling - S3 client not connected`);
+            log.error(`Cannot start polling - S3 client not connected`);
             return;
         }
 
-        console.log(`🔄 Starting invoice polling...`);
+        log.info(`Starting invoice polling...`);
         this.isPolling = true;
         this.scheduleNextPoll();
     }
@@ -308,11 +361,11 @@ class InvoicePoller {
      */
     stopPolling() {
         if (!this.isPolling) {
-            console.log(`⚠️ Polling is not running`);
+            log.warn(`Polling is not running`);
             return;
         }
 
-        console.log(`⏹️ Stopping invoice polling...`);
+        log.info(`Stopping invoice polling...`);
         this.isPolling = false;
 
         if (this.pollingTimer) {
@@ -343,7 +396,7 @@ class InvoicePoller {
     async pollForInvoices() {
         if (this.registeredInvoices.size === 0) {
             if (!this.hasShownNoInvoicesMessage) {
-                console.log(`📄 No registered invoices to poll for - pausing polling until next registered invoice`);
+                log.info(`No registered invoices to poll for - pausing polling until next registered invoice`);
                 this.hasShownNoInvoicesMessage = true;
             }
             return;
@@ -352,22 +405,26 @@ class InvoicePoller {
         // Reset the flag since we have invoices to poll for
         this.hasShownNoInvoicesMessage = false;
         
-        console.log(`🔍 Polling for ${this.registeredInvoices.size} registered invoices...`);
+        log.debug(`Polling for ${this.registeredInvoices.size} registered invoices...`);
 
+        const endTimer = pollDuration.startTimer();
         try {
             // Get all objects in the bucket
             const objects = await this.s3Client.listObjects(this.config.bucketName);
             
             // Check each registered invoice
             for (const [invoiceNumber, registrationData] of this.registeredInvoices.entries()) {
-                await this.checkInvoiceInObjects(invoiceNumber, registrationData, objects);
+                const check = () => this.checkInvoiceInObjects(invoiceNumber, registrationData, objects);
+                await (registrationData.correlationId ? runWithCorrelationId(registrationData.correlationId, check) : check());
             }
 
             // Clean up old registrations
             this.cleanupExpiredRegistrations();
 
         } catch (error) {
-            console.error(`❌ Error during polling: ${error.message}`);
+            log.error(`Error during polling: ${error.message}`);
+        } finally {
+            endTimer();
         }
     }
 
@@ -380,6 +437,9 @@ class InvoicePoller {
      */
     async checkInvoiceInObjects(invoiceNumber, registrationData, objects) {
         try {
+            if (!registrationData.lastChecked) {
+                this.notifyStatus(invoiceNumber, registrationData, 'polling');
+            }
             registrationData.lastChecked = new Date().toISOString();
 
             // Look for files containing the invoice number
@@ -389,7 +449,7 @@ class InvoicePoller {
             );
 
             if (matchingObjects.length > 0) {
-                console.log(`📄 Found ${matchingObjects.length} matching files for invoice ${invoiceNumber}`);
+                log.info(`Found ${matchingObjects.length} matching files for invoice ${invoiceNumber}`);
                 
                 // Process the first matching file
                 const invoiceFile = matchingObjects[0];
@@ -403,17 +463,21 @@ class InvoicePoller {
                 registrationData.retryCount++;
                 
                 if (this.config.maxRetries === Infinity) {
-                    console.log(`🔍 Invoice ${invoiceNumber} not found, retry ${registrationData.retryCount} (polling indefinitely)`);
+                    log.debug(`Invoice ${invoiceNumber} not found, retry ${registrationData.retryCount} (polling indefinitely)`);
                 } else if (registrationData.retryCount >= this.config.maxRetries) {
-                    console.log(`⚠️ Invoice ${invoiceNumber} exceeded max retries (${this.config.maxRetries}), removing from polling`);
+                    log.warn(`Invoice ${invoiceNumber} exceeded max retries (${this.config.maxRetries}), removing from polling`);
                     this.registeredInvoices.delete(invoiceNumber);
+                    this.notifyStatus(invoiceNumber, registrationData, 'failed', {
+                        reason: 'max_retries_exceeded',
+                        message: `Invoice not found after ${registrationData.retryCount} attempts`
+                    });
                 } else {
-                    console.log(`🔍 Invoice ${invoiceNumber} not found, retry ${registrationData.retryCount}/${this.config.maxRetries}`);
+                    log.debug(`Invoice ${invoiceNumber} not found, retry ${registrationData.retryCount}/${this.config.maxRetries}`);
                 }
             }
 
         } catch (error) {
-            console.error(`❌ Error checking invoice ${invoiceNumber}: ${error.message}`);
+            log.error(`Error checking invoice ${invoiceNumber}: ${error.message}`);
             registrationData.retryCount++;
         }
     }
@@ -427,7 +491,7 @@ class InvoicePoller {
      */
     async processAndStoreInvoice(invoiceNumber, invoiceFile, registrationData) {
         try {
-            console.log(`📥 Processing invoice file: ${invoiceFile.name} (${(invoiceFile.size / 1024).toFixed(2)} KB)`);
+            log.info(`Processing invoice file: ${invoiceFile.name} (${(invoiceFile.size / 1024).toFixed(2)} KB)`);
 
             // Download the PDF from S3
             const pdfBuffer = await this.s3Client.getObject(this.config.bucketName, invoiceFile.name);
@@ -435,9 +499,7 @@ class InvoicePoller {
             // Convert to base64
             const base64Pdf = pdfBuffer.toString('base64');
             
-            console.log(`📄 Converted PDF to base64 (${base64Pdf.length} characters)`);
-
-            console.log(`📄 Base64 PDF: ${base64Pdf}`); 
+            log.debug(`Converted PDF to base64 (${base64Pdf.length} characters)`);
             
             // Store the processed invoice
             const processedData = {
@@ -446,6 +508,7 @@ class InvoicePoller {
                 filename: invoiceFile.name,
                 fileSize: invoiceFile.size,
                 processedAt: new Date().toISOString(),
+                correlationId: registrationData.correlationId || null,
                 s3Metadata: {
                     s3Key: invoiceFile.name,
                     s3Size: invoiceFile.size,
@@ -454,29 +517,35 @@ class InvoicePoller {
             };
 
             this.processedInvoices.set(invoiceNumber, processedData);
+            invoicesProcessed.inc();
 
             // Save to filesystem
             try {
                 await this.saveInvoiceToFilesystem(invoiceNumber, processedData);
             } catch (filesystemError) {
-                console.error(`⚠️ Failed to save invoice ${invoiceNumber} to filesystem: ${filesystemError.message}`);
+                log.warn(`Failed to save invoice ${invoiceNumber} to filesystem: ${filesystemError.message}`);
                 // Continue processing even if filesystem save fails
             }
 
-            console.log(`✅ Invoice ${invoiceNumber} processed and stored successfully for player ${registrationData.playerId}`);
+            log.info(`Invoice ${invoiceNumber} processed and stored successfully for player ${registrationData.playerId}`);
+            this.notifyStatus(invoiceNumber, registrationData, 'processed', {
+                filename: processedData.filename,
+                fileSize: processedData.fileSize,
+                processedAt: processedData.processedAt
+            });
 
             // Call the callback function if registered to send invoice via websocket
             if (this.invoiceProcessedCallback) {
                 try {
-                    console.log(`📤 Sending processed invoice ${invoiceNumber} to player ${registrationData.playerId} via websocket`);
+                    log.info(`Sending processed invoice ${invoiceNumber} to player ${registrationData.playerId} via websocket`);
                     await this.invoiceProcessedCallback(invoiceNumber, processedData);
                 } catch (callbackError) {
-                    console.error(`❌ Error in invoice processed callback: ${callbackError.message}`);
+                    log.error(`Error in invoice processed callback: ${callbackError.message}`);
                 }
             }
 
         } catch (error) {
-            console.error(`❌ Error processing invoice file ${invoiceFile.name}: ${error.message}`);
+            log.error(`Error processing invoice file ${invoiceFile.name}: ${error.message}`);
             throw error;
         }
     }
@@ -493,8 +562,12 @@ class InvoicePoller {
             const registeredAt = new Date(registrationData.registeredAt).getTime();
             
             if (now - registeredAt > maxAge) {
-                console.log(`🧹 Removing expired registration for invoice ${invoiceNumber}`);
+                log.info(`Removing expired registration for invoice ${invoiceNumber}`);
                 this.registeredInvoices.delete(invoiceNumber);
+                this.notifyStatus(invoiceNumber, registrationData, 'failed', {
+                    reason: 'expired',
+                    message: 'Invoice did not appear within 24 hours'
+                });
             }
         }
     }
@@ -508,7 +581,7 @@ class InvoicePoller {
             throw new Error(`Invoice ${invoiceNumber} is not registered`);
         }
 
-        console.log(`🔍 Force checking invoice ${invoiceNumber}...`);
+        log.info(`Force checking invoice ${invoiceNumber}...`);
 
         try {
             const objects = await this.s3Client.listObjects(this.config.bucketName);
@@ -519,7 +592,7 @@ class InvoicePoller {
             return this.processedInvoices.has(invoiceNumber) ? 'found_and_stored' : 'not_found';
             
         } catch (error) {
-            console.error(`❌ Error during force check: ${error.message}`);
+            log.error(`Error during force check: ${error.message}`);
             throw error;
         }
     }
@@ -569,26 +642,58 @@ class InvoicePoller {
                     this.processedInvoices.delete(invoiceNumber);
                 }
             }
-            console.log(`🧹 Cleared processed invoices for player ${playerId}`);
+            log.info(`Cleared processed invoices for player ${playerId}`);
         } else {
             // Clear all processed invoices
             const count = this.processedInvoices.size;
             this.processedInvoices.clear();
-            console.log(`🧹 Cleared ${count} processed invoices`);
+            log.info(`Cleared ${count} processed invoices`);
         }
     }
 
+    /**
+     * Remove invoices of an erased or expired player from memory and the local filesystem
+     * @param {Array} invoiceNumbers - Invoice numbers (PO numbers) to remove
+     * @returns {Promise<number>} Number of invoice files deleted
+     */
+    async eraseInvoices(invoiceNumbers) {
+        let deletedFiles = 0;
+
+        for (const invoiceNumber of invoiceNumbers) {
+            // Invoices are keyed either by the PO number or by the S3 object name (invoice_<po>)
+            const keys = [String(invoiceNumber), `invoice_${invoiceNumber}`];
+
+            for (const key of keys) {
+                this.registeredInvoices.delete(key);
+                this.processedInvoices.delete(key);
+
+                try {
+                    await fs.unlink(path.join(this.config.invoiceStorageDir, `${key}.json`));
+                    deletedFiles++;
+                } catch (error) {
+                    if (error.code !== 'ENOENT') {
+                        log.error(`Error deleting invoice file ${key}.json: ${error.message}`);
+                        throw error;
+                    }
+                }
+            }
+        }
+
+        log.info(`Erased ${invoiceNumbers.length} invoice(s), ${deletedFiles} file(s) deleted`);
+        return deletedFiles;
+    }
+
     /**
      * Cleanup and shutdown
      */
     async shutdown() {
-        console.log(`🛑 Shutting down Invoice Poller...`);
+        log.info(`Shutting down Invoice Poller...`);
         
         this.stopPolling(); 
         this.registeredInvoices.clear();
         // Keep processed invoices as they contain valuable data
         
-        console.log(`✅ Invoice Poller shutdown complete`);
+        log.info(`Invoice Poller shutdown complete`);
     }
 }
 
@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+
+/**
+ * Logger Module
+ * Levelled logging as JSON lines (or a readable single-line format) with correlation IDs and redaction
+ *
+ * Levels and format come from the 'logging' configuration block (LOG_LEVEL, LOG_FORMAT). A correlation ID
+ * set with runWithCorrelationId() is added to every line logged while that call, and anything it awaits,
+ * runs. Email addresses are masked and base64 payloads replaced by their length before a line is written.
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { getConfig } = require('./config');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const CORRELATION_HEADER = 'X-Correlation-ID';
+const CORRELATION_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+const EMAIL_PATTERN = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+const BASE64_PATTERN = /[A-Za-z0-9+/]{200,}={0,2}/g;
+const MAX_DEPTH = 6;
+
+const correlationStore = new AsyncLocalStorage();
+let settings = null;
+
+/**
+ * Read the level and format once, on the first log call
+ * @private
+ */
+function getSettings() {
+    if (!settings) {
+        const logging = getConfig().logging || {};
+        settings = {
+            level: LEVELS[logging.level] ? logging.level : 'info',
+            format: logging.format === 'simple' ? 'simple' : 'json'
+        };
+    }
+    return settings;
+}
+
+/**
+ * Create a correlation ID
+ * @returns {string} A random UUID
+ */
+function newCorrelationId() {
+    return crypto.randomUUID();
+}
+
+/**
+ * Check a correlation ID received from a client
+ * @param {*} value - Header or message field
+ * @returns {string|null} The ID, or null when it is missing or not a safe token
+ */
+function parseCorrelationId(value) {
+    return typeof value === 'string' && CORRELATION_ID_PATTERN.test(value) ? value : null;
+}
+
+/**
+ * Run a function with a correlation ID attached to everything it logs
+ * @param {string} correlationId - The ID (a new one is created when empty)
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's return value
+ */
+function runWithCorrelationId(correlationId, fn) {
+    return correlationStore.run({ correlationId: correlationId || newCorrelationId() }, fn);
+}
+
+/**
+ * Get the correlation ID of the current call
+ * @returns {string|null} The ID, or null outside runWithCorrelationId()
+ */
+function getCorrelationId() {
+    const store = correlationStore.getStore();
+    return store ? store.correlationId : null;
+}
+
+/**
+ * Mask email addresses and replace base64 payloads in a string
+ * @param {string} text - Text to redact
+ * @returns {string} e.g. 'a***@example.com', '[base64 48212 chars]'
+ */
+function redactText(text) {
+    return text
+        .replace(BASE64_PATTERN, match => `[base64 ${match.length} chars]`)
+        .replace(EMAIL_PATTERN, '$1***@$2');
+}
+
+/**
+ * Redact a value for logging: strings are redacted, objects and arrays copied with redacted values
+ * @param {*} value - Value to redact
+ * @returns {*} The redacted copy
+ */
+function redact(value, depth = 0) {
+    if (typeof value === 'string') {
+        return redactText(value);
+    }
+    if (value instanceof Error) {
+        return { message: redactText(value.message), ...(value.code ? { code: value.code } : {}) };
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+    if (depth >= MAX_DEPTH) {
+        return '[truncated]';
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, depth + 1));
+    }
+    if (Buffer.isBuffer(value)) {
+        return `[buffer ${value.length} bytes]`;
+    }
+    const copy = {};
+    Object.keys(value).forEach(key => copy[key] = redact(value[key], depth + 1));
+    return copy;
+}
+
+/**
+ * Turn the second log argument into fields
+ * Accepts fields, an Error (logged as `error`) or any other value (logged as `detail`).
+ * @private
+ */
+function toFields(extra) {
+    if (extra === undefined) return {};
+    if (extra instanceof Error) return { error: extra };
+    if (extra && typeof extra === 'object' && !Array.isArray(extra)) return extra;
+    return { detail: extra };
+}
+
+/**
+ * Format a line for the 'simple' format
+ * @private
+ */
+function formatSimple(entry) {
+    const { timestamp, level, module, message, correlationId, ...fields } = entry;
+    const details = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+    const correlation = correlationId ? ` (${correlationId})` : '';
+    return `${timestamp} ${level.toUpperCase().padEnd(5)} [${module}]${correlation} ${message}${details}`;
+}
+
+class Logger {
+    /**
+     * Create a new Logger
+     * @param {string} module - Module name written with every line (e.g. 'http-server', 'order')
+     */
+    constructor(module) {
+        this.module = module;
+    }
+
+    /**
+     * Write a line if its level is enabled
+     * @param {string} level - 'debug', 'info', 'warn' or 'error'
+     * @param {string} message - Message
+     * @param {Object|Error|*} extra - Fields (a `correlationId` field overrides the current one)
+     */
+    log(level, message, extra) {
+        const { level: minimum, format } = getSettings();
+        if (LEVELS[level] < LEVELS[minimum]) {
+            return;
+        }
+
+        const { correlationId, ...fields } = toFields(extra);
+        const entry = {
+            timestamp: new Date().toISOString(),
+            level: level,
+            module: this.module,
+            message: redactText(String(message)),
+            correlationId: correlationId || getCorrelationId() || undefined,
+            ...redact(fields)
+        };
+
+        const line = format === 'simple' ? formatSimple(entry) : JSON.stringify(entry);
+        const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+        stream.write(line + '\n');
+    }
+
+    debug(message, extra) {
+        this.log('debug', message, extra);
+    }
+
+    info(message, extra) {
+        this.log('info', message, extra);
+    }
+
+    warn(message, extra) {
+        this.log('warn', message, extra);
+    }
+
+    error(message, extra) {
+        this.log('error', message, extra);
+    }
+}
+
+/**
+ * Create a logger for a module
+ * @param {string} module - Module name
+ * @returns {Logger} The logger
+ */
+function createLogger(module) {
+    return new Logger(module);
+}
+
+/**
+ * Create HTTP middleware that runs the request with a correlation ID
+ * Uses the client's X-Correlation-ID header when it is a safe token, otherwise creates one, and echoes
+ * it in the response. The ID is also available as req.correlationId.
+ * @returns {Function} (req, res, next) middleware
+ */
+function correlation() {
+    return (req, res, next) => {
+        req.correlationId = parseCorrelationId(req.headers[CORRELATION_HEADER.toLowerCase()]) || newCorrelationId();
+        res.setHeader(CORRELATION_HEADER, req.correlationId);
+        return runWithCorrelationId(req.correlationId, next);
+    };
+}
+
+module.exports = {
+    createLogger,
+    correlation,
+    runWithCorrelationId,
+    getCorrelationId,
+    newCorrelationId,
+    parseCorrelationId,
+    redact,
+    CORRELATION_HEADER
+};
@@ -0,0 +1,269 @@
+#!/usr/bin/env node
+
+/**
+ * Metrics Module
+ * Counters, gauges and histograms rendered in the Prometheus text exposition format
+ *
+ * Shared modules record into the process-wide `metrics` registry; each server serves it at /metrics.
+ * Gauges (and counters kept elsewhere) can pass a collect() callback that is read at scrape time.
+ */
+
+const { createLogger } = require('./logger');
+
+const log = createLogger('metrics');
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Escape a label value for the exposition format
+ * @private
+ */
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Render a label set such as {method="GET",route="/leaderboard"}
+ * @private
+ */
+function formatLabels(labels) {
+    const pairs = Object.keys(labels).map(key => `${key}="${escapeLabel(labels[key])}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Format a sample value
+ * @private
+ */
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return Number.isFinite(value) ? String(value) : 'NaN';
+}
+
+class Metric {
+    /**
+     * @param {string} type - 'counter', 'gauge' or 'histogram'
+     * @param {Object} options - { name, help, labelNames, collect }
+     */
+    constructor(type, options) {
+        this.type = type;
+        this.name = options.name;
+        this.help = options.help;
+        this.labelNames = options.labelNames || [];
+        this.collectFn = options.collect || null; // () => number | Array<{ labels, value }>
+        this.values = new Map(); // Map of label key -> { labels, value }
+    }
+
+    /**
+     * Pick the declared labels in a fixed order
+     * @private
+     */
+    labelsFor(labels = {}) {
+        const picked = {};
+        this.labelNames.forEach(name => picked[name] = labels[name] !== undefined ? labels[name] : '');
+        return picked;
+    }
+
+    /**
+     * Get (or create) the sample for a label set
+     * @private
+     */
+    sample(labels, initial) {
+        const picked = this.labelsFor(labels);
+        const key = JSON.stringify(picked);
+        if (!this.values.has(key)) {
+            this.values.set(key, { labels: picked, value: initial() });
+        }
+        return this.values.get(key);
+    }
+
+    /**
+     * Samples to render: collected values when a collect callback is set, otherwise recorded ones
+     * @private
+     */
+    samples() {
+        if (!this.collectFn) {
+            return Array.from(this.values.values());
+        }
+        const collected = this.collectFn();
+        if (Array.isArray(collected)) {
+            return collected.map(item => ({ labels: this.labelsFor(item.labels), value: item.value }));
+        }
+        return [{ labels: {}, value: collected }];
+    }
+
+    /**
+     * Render the metric in the exposition format
+     * @returns {string} HELP and TYPE lines followed by the samples
+     */
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        this.samples().forEach(({ labels, value }) => {
+            lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+        });
+        return lines.join('\n');
+    }
+}
+
+class Counter extends Metric {
+    constructor(options) {
+        super('counter', options);
+    }
+
+    /**
+     * Increase the counter
+     * @param {Object} labels - Label values
+     * @param {number} value - Amount (default: 1)
+     */
+    inc(labels = {}, value = 1) {
+        this.sample(labels, () => 0).value += value;
+    }
+}
+
+class Gauge extends Metric {
+    constructor(options) {
+        super('gauge', options);
+    }
+
+    /**
+     * Set the gauge
+     * @param {Object} labels - Label values
+     * @param {number} value - New value
+     */
+    set(labels = {}, value) {
+        this.sample(labels, () => 0).value = value;
+    }
+}
+
+class Histogram extends Metric {
+    constructor(options) {
+        super('histogram', options);
+        this.buckets = (options.buckets || DEFAULT_BUCKETS).slice().sort((a, b) => a - b);
+    }
+
+    /**
+     * Record an observation
+     * @param {Object} labels - Label values
+     * @param {number} value - Observed value (seconds for durations)
+     */
+    observe(labels = {}, value) {
+        const sample = this.sample(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) sample.value.counts[index]++;
+        });
+        sample.value.sum += value;
+        sample.value.count++;
+    }
+
+    /**
+     * Start timing a duration
+     * @param {Object} labels - Label values known up front
+     * @returns {Function} end(extraLabels) records the elapsed seconds
+     */
+    startTimer(labels = {}) {
+        const startedAt = process.hrtime.bigint();
+        return (extraLabels = {}) => {
+            this.observe({ ...labels, ...extraLabels }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+        };
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+        this.values.forEach(({ labels, value }) => {
+            this.buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${value.counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(value.sum)}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${value.count}`);
+        });
+        return lines.join('\n');
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map(); // Map of name -> metric
+    }
+
+    /**
+     * Register a metric, or return the one already registered under the same name
+     * @private
+     */
+    register(MetricClass, options) {
+        if (!this.metrics.has(options.name)) {
+            this.metrics.set(options.name, new MetricClass(options));
+        }
+        return this.metrics.get(options.name);
+    }
+
+    /**
+     * Create a counter
+     * @param {Object} options - { name, help, labelNames, collect }
+     * @returns {Counter} The counter
+     */
+    counter(options) {
+        return this.register(Counter, options);
+    }
+
+    /**
+     * Create a gauge
+     * @param {Object} options - { name, help, labelNames, collect }
+     * @returns {Gauge} The gauge
+     */
+    gauge(options) {
+        return this.register(Gauge, options);
+    }
+
+    /**
+     * Create a histogram
+     * @param {Object} options - { name, help, labelNames, buckets }
+     * @returns {Histogram} The histogram
+     */
+    histogram(options) {
+        return this.register(Histogram, options);
+    }
+
+    /**
+     * Add process uptime and memory gauges
+     */
+    collectDefaultMetrics() {
+        this.gauge({ name: 'process_uptime_seconds', help: 'Process uptime in seconds', collect: () => process.uptime() });
+        this.gauge({ name: 'process_resident_memory_bytes', help: 'Resident memory size in bytes', collect: () => process.memoryUsage().rss });
+        this.gauge({ name: 'nodejs_heap_used_bytes', help: 'V8 heap used in bytes', collect: () => process.memoryUsage().heapUsed });
+    }
+
+    /**
+     * Render every metric
+     * A metric whose collect callback throws is skipped so one broken source does not fail the scrape.
+     * @returns {string} Prometheus text exposition
+     */
+    render() {
+        const blocks = [];
+        this.metrics.forEach(metric => {
+            try {
+                blocks.push(metric.render());
+            } catch (error) {
+                log.error(`Failed to collect metric ${metric.name}: ${error.message}`);
+            }
+        });
+        return blocks.join('\n') + '\n';
+    }
+
+    /**
+     * Write the metrics as an HTTP response
+     * @param {http.ServerResponse} res - The response
+     */
+    send(res) {
+        const body = this.render();
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPE, 'Content-Length': Buffer.byteLength(body) });
+        res.end(body);
+    }
+}
+
+module.exports = {
+    MetricsRegistry,
+    metrics: new MetricsRegistry() // Process-wide registry
+};
@@ -0,0 +1,516 @@
+#!/usr/bin/env node
+
+/**
+ * OpenAPI Module
+ * OpenAPI 3.1 description of the HTTP API and contract validation middleware
+ *
+ * The document's paths are generated from the routes registered on the router, with the summaries,
+ * security and schemas below. Routes wrapped with contract() have their JSON request bodies and
+ * responses validated against the same schemas: invalid requests get 400. A response that does not
+ * match the contract is logged and counted (contract_violations_total); in development it is also
+ * replaced with a 500 so the mismatch is noticed, while in production the response is sent as it is,
+ * because the work behind it (a stored score, a placed order) has already been done.
+ */
+
+const { RequestError, sendJson } = require('./router');
+const { validateSchema, formatErrors } = require('./schema-validator');
+const { version } = require('../../package.json');
+const { createLogger } = require('./logger');
+const { metrics } = require('./metrics');
+
+const log = createLogger('openapi');
+
+const contractViolations = metrics.counter({
+    name: 'contract_violations_total',
+    help: 'Responses that did not match the API contract by operation and status code',
+    labelNames: ['operation', 'status']
+});
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const nullable = (type) => ({ type: [type, 'null'] });
+
+const SCHEMAS = {
+    ErrorResponse: {
+        type: 'object',
+        required: ['success', 'error'],
+        properties: {
+            success: { const: false },
+            error: { type: 'string' },
+            message: { type: 'string' },
+            timestamp: { type: 'string', format: 'date-time' }
+        }
+    },
+    LeaderboardEntry: {
+        type: 'object',
+        required: ['rank', 'userId', 'score', 'level'],
+        properties: {
+            rank: { type: 'integer', minimum: 1 },
+            userId: { type: 'string' },
+            username: nullable('string'),
+            score: { type: 'number' },
+            claimedScore: { type: ['number', 'null'] },
+            tShirtValue: { type: 'number' },
+            coinsRemaining: { type: 'number' },
+            tShirtsCount: { type: 'number' },
+            level: { type: 'number' },
+            timestamp: nullable('string'),
+            gameSession: nullable('string'),
+            season: nullable('string'),
+            flagged: { type: 'boolean' },
+            flagReasons: { type: 'array', items: { type: 'object' } },
+            anonymisedAt: { type: 'string', format: 'date-time' }
+        }
+    },
+    LeaderboardResponse: {
+        type: 'object',
+        required: ['success', 'count', 'total', 'data'],
+        properties: {
+            success: { const: true },
+            count: { type: 'integer', minimum: 0 },
+            total: { type: 'integer', minimum: 0 },
+            limit: { type: 'integer' },
+            offset: { type: 'integer' },
+            rankingMode: { type: 'string' },
+            board: { type: 'string' },
+            data: { type: 'array', items: ref('LeaderboardEntry') },
+            lastUpdated: { type: 'string', format: 'date-time' }
+        }
+    },
+    GameOverEvent: {
+        type: 'object',
+        required: ['player', 'gameData'],
+        properties: {
+            type: { type: 'string' },
+            event: { type: 'string' },
+            timestamp: { type: 'string', format: 'date-time' },
+            player: {
+                type: 'object',
+                required: ['userId'],
+                properties: {
+                    userId: { type: 'string', minLength: 1 },
+                    email: nullable('string'),
+                    username: nullable('string')
+                }
+            },
+            serverTiming: {
+                type: 'object',
+                required: ['receivedAt'],
+                properties: {
+                    startedAt: nullable('string'),
+                    receivedAt: { type: 'string', format: 'date-time' }
+                }
+            },
+            gameData: {
+                type: 'object',
+                properties: {
+                    gameSession: { type: 'string', minLength: 1 },
+                    gameScore: { type: 'number' },
+                    currentLevel: { type: 'number' },
+                    coinsRemaining: { type: 'number' },
+                    gameDuration: { type: 'number' },
+                    startTime: { type: 'string' },
+                    tShirtsCollected: {
+                        type: 'object',
+                        properties: {
+                            totalValue: { type: 'number' },
+                            totalCount: { type: 'number' }
+                        }
+                    }
+                }
+            }
+        }
+    },
+    GameOverResponse: {
+        type: 'object',
+        required: ['success', 'score'],
+        properties: {
+            success: { const: true },
+            message: { type: 'string' },
+            score: { type: 'number' },
+            flagged: { type: 'boolean' },
+            timestamp: { type: 'string', format: 'date-time' }
+        }
+    },
+    ScoreRejected: {
+        type: 'object',
+        required: ['success', 'error', 'reasons'],
+        properties: {
+            success: { const: false },
+            error: { type: 'string' },
+            message: { type: 'string' },
+            reasons: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['code', 'message'],
+                    properties: { code: { type: 'string' }, message: { type: 'string' } }
+                }
+            },
+            timestamp: { type: 'string', format: 'date-time' }
+        }
+    },
+    OrderRequest: {
+        type: 'object',
+        required: ['customerName', 'customerEmail', 'items'],
+        properties: {
+            customerName: { type: 'string', minLength: 1 },
+            customerEmail: { type: 'string', format: 'email' },
+            gameSession: { type: 'string' },
+            userId: { type: 'string', minLength: 1 },
+            items: {
+                type: 'array',
+                minItems: 1,
+                items: {
+                    type: 'object',
+                    required: ['description', 'quantity', 'unitPrice'],
+                    properties: {
+                        description: { type: 'string', minLength: 1 },
+                        quantity: { type: 'number', exclusiveMinimum: 0 },
+                        unitPrice: { type: 'number', minimum: 0 }
+                    }
+                }
+            }
+        }
+    },
+    OrderResult: {
+        type: 'object',
+        required: ['success', 'orderId', 'customerName', 'customerEmail', 'itemCount'],
+        properties: {
+            success: { const: true },
+            message: { type: 'string' },
+            orderId: { type: 'string', minLength: 1 },
+            customerName: { type: 'string' },
+            customerEmail: { type: 'string' },
+            gameSession: nullable('string'),
+            itemCount: { type: 'integer', minimum: 1 },
+            po: { type: 'string', minLength: 1 },
+            backendOrderId: nullable('string'),
+            backendResponse: { type: 'object' },
+            timestamp: { type: 'string', format: 'date-time' },
+            statusCode: { type: 'integer' }
+        }
+    },
+    OrderQueued: {
+        type: 'object',
+        required: ['success', 'queued', 'orderId', 'queuePosition'],
+        properties: {
+            success: { const: true },
+            queued: { const: true },
+            message: { type: 'string' },
+            orderId: { type: 'string', minLength: 1 },
+            customerName: { type: 'string' },
+            customerEmail: { type: 'string' },
+            gameSession: nullable('string'),
+            itemCount: { type: 'integer', minimum: 1 },
+            queuePosition: { type: 'integer', minimum: 1 },
+            timestamp: { type: 'string', format: 'date-time' },
+            statusCode: { type: 'integer' }
+        }
+    },
+    OrderError: {
+        type: 'object',
+        required: ['success', 'error'],
+        properties: {
+            success: { const: false },
+            error: { type: 'string' },
+            message: { type: 'string' },
+            orderId: { type: 'string' },
+            backendStatus: { type: 'integer' },
+            statusCode: { type: 'integer' }
+        }
+    },
+    HealthResponse: {
+        type: 'object',
+        required: ['status', 'service', 'timestamp', 'uptime'],
+        properties: {
+            status: { type: 'string' },
+            service: { type: 'string' },
+            timestamp: { type: 'string', format: 'date-time' },
+            uptime: { type: 'number' },
+            leaderboardEntries: { type: 'integer', minimum: 0 },
+            players: { type: 'integer', minimum: 0 },
+            retention: { type: 'object' },
+            rateLimit: { type: 'object' },
+            idempotency: { type: 'object' },
+            orderBackend: {
+                type: 'object',
+                properties: {
+                    circuit: {
+                        type: 'object',
+                        required: ['state', 'failures'],
+                        properties: {
+                            state: { enum: ['closed', 'open', 'half_open'] },
+                            failures: { type: 'integer', minimum: 0 },
+                            failureThreshold: { type: 'integer' },
+                            openedAt: nullable('string'),
+                            retryAt: nullable('string'),
+                            lastError: nullable('string')
+                        }
+                    },
+                    queue: {
+                        type: 'object',
+                        required: ['enabled', 'size'],
+                        properties: {
+                            enabled: { type: 'boolean' },
+                            size: { type: 'integer', minimum: 0 },
+                            oldestQueuedAt: nullable('string')
+                        }
+                    }
+                }
+            },
+            websocket: {
+                type: 'object',
+                required: ['isConnected'],
+                properties: {
+                    isConnected: { type: 'boolean' },
+                    isReconnecting: { type: 'boolean' },
+                    reconnectAttempts: { type: 'integer' },
+                    queuedMessages: { type: 'integer' },
+                    uptime: { type: 'number' },
+                    url: { type: 'string' }
+                }
+            }
+        }
+    },
+    LivenessResponse: {
+        type: 'object',
+        required: ['status', 'service', 'timestamp', 'uptime'],
+        properties: {
+            status: { const: 'alive' },
+            service: { type: 'string' },
+            timestamp: { type: 'string', format: 'date-time' },
+            uptime: { type: 'number' }
+        }
+    },
+    DependencyCheck: {
+        type: 'object',
+        required: ['status', 'critical', 'latencyMs'],
+        properties: {
+            status: { enum: ['up', 'down'] },
+            critical: { type: 'boolean' },
+            latencyMs: { type: 'integer', minimum: 0 },
+            error: { type: 'string' }
+        }
+    },
+    ReadinessResponse: {
+        type: 'object',
+        required: ['status', 'service', 'timestamp', 'checks'],
+        properties: {
+            status: { enum: ['ready', 'degraded', 'not_ready'] },
+            service: { type: 'string' },
+            timestamp: { type: 'string', format: 'date-time' },
+            checks: { type: 'object', additionalProperties: ref('DependencyCheck') }
+        }
+    }
+};
+
+// Operation details keyed by 'METHOD /pattern'; request and response schemas are validated by contract()
+const OPERATIONS = {
+    'GET /leaderboard': {
+        summary: 'Ranked leaderboard page',
+        parameters: ['limit', 'offset', 'level', 'gameSession', 'from', 'to', 'board'],
+        responses: { 200: 'LeaderboardResponse', 400: 'ErrorResponse', 404: 'ErrorResponse' }
+    },
+    'GET /leaderboard/stream': { summary: 'Server-Sent Events stream of leaderboard updates', contentType: 'text/event-stream' },
+    'GET /leaderboard/player/:userId': { summary: "Player's best entry, rank and neighbours", parameters: ['neighbours', 'board'] },
+    'GET /leaderboard/export': { summary: 'Full score history as CSV or JSON', roles: ['admin'], parameters: ['format', 'from', 'to', 'top', 'board'] },
+    'GET /leaderboard/session/:gameSession': { summary: 'Order and invoice linked to a game session', roles: ['admin', 'service'] },
+    'GET /leaderboard/invoice/:invoiceNumber': { summary: 'Game session and entry an invoice belongs to', roles: ['admin', 'service'] },
+    'GET /leaderboard/boards': { summary: 'All-time and season boards' },
+    'GET /admin/seasons': { summary: 'List seasons', roles: ['admin'] },
+    'POST /admin/seasons': { summary: 'Open a season', roles: ['admin'] },
+    'POST /admin/seasons/:name/:action': { summary: 'Close or archive a season', roles: ['admin'] },
+    'POST /players': { summary: 'Create or update a player', roles: ['service'] },
+    'POST /players/:userId/token': { summary: 'Create or update a player and issue its WebSocket player token', roles: ['admin', 'service'] },
+    'GET /players/:id': { summary: 'Player profile with games, orders and invoices', roles: ['admin', 'service', 'player'] },
+    'DELETE /players/:id': { summary: "Erase a player's personal data", roles: ['admin'] },
+    'POST /game-over': {
+        summary: 'Record a finished game',
+        roles: ['service'],
+        requestBody: 'GameOverEvent',
+        responses: { 200: 'GameOverResponse', 400: 'ErrorResponse', 422: 'ScoreRejected' }
+    },
+    'POST /process-order': {
+        summary: 'Validate an order and forward it to the order backend',
+        roles: ['service', 'player'],
+        headers: ['Idempotency-Key'],
+        requestBody: 'OrderRequest',
+        responses: { 200: 'OrderResult', 202: 'OrderQueued', default: 'OrderError' }
+    },
+    'GET /orders': { summary: 'Orders with their status', roles: ['admin', 'service', 'player'], parameters: ['customerEmail', 'status'] },
+    'GET /orders/:orderId': { summary: 'A single order with its status history', roles: ['admin', 'service', 'player'] },
+    'GET /invoices': { summary: 'Invoices with their polling status', roles: ['admin', 'service'], parameters: ['player', 'status', 'from', 'to'] },
+    'GET /invoices/stats': { summary: 'Invoice counts, average time to invoice and failure reasons', roles: ['admin', 'service'] },
+    'GET /invoices/:invoiceNumber': { summary: 'A single invoice record', roles: ['admin', 'service'] },
+    'GET /invoices/:invoiceNumber/pdf': { summary: 'Download a processed invoice', roles: ['admin', 'player'], contentType: 'application/pdf' },
+    'GET /health': { summary: 'Service health and counters', responses: { 200: 'HealthResponse' } },
+    'GET /health/live': { summary: 'Liveness probe', responses: { 200: 'LivenessResponse' } },
+    'GET /health/ready': {
+        summary: 'Readiness probe with per-dependency status',
+        responses: { 200: 'ReadinessResponse', 503: 'ReadinessResponse' }
+    },
+    'GET /metrics': { summary: 'Prometheus metrics', roles: ['admin', 'service'], contentType: 'text/plain' },
+    'GET /openapi.json': { summary: 'This document' }
+};
+
+/**
+ * Build the OpenAPI document for the routes registered on a router
+ * @param {Router} router - The HTTP server's router
+ * @returns {Object} OpenAPI 3.1 document
+ */
+function buildDocument(router) {
+    const paths = {};
+
+    router.routes.forEach(route => {
+        const key = `${route.method} ${route.pattern}`;
+        const details = OPERATIONS[key] || {};
+        const path = route.pattern.replace(/:(\w+)/g, '{$1}');
+        const parameters = [
+            ...route.keys.map(name => ({ name, in: 'path', required: true, schema: { type: 'string' } })),
+            ...(details.parameters || []).map(name => ({ name, in: 'query', required: false, schema: { type: 'string' } })),
+            ...(details.headers || []).map(name => ({ name, in: 'header', required: false, schema: { type: 'string' } }))
+        ];
+
+        const responses = {};
+        Object.entries(details.responses || { 200: null }).forEach(([status, schema]) => {
+            const contentType = details.contentType || 'application/json';
+            responses[status] = {
+                description: status === 'default' ? 'Error' : `HTTP ${status}`,
+                content: { [contentType]: schema ? { schema: ref(schema) } : {} }
+            };
+        });
+        if (details.roles) {
+            responses[401] = { description: 'Missing or invalid bearer token', content: { 'application/json': { schema: ref('ErrorResponse') } } };
+            responses[403] = { description: 'Role not allowed', content: { 'application/json': { schema: ref('ErrorResponse') } } };
+        }
+
+        const operation = {
+            operationId: key.replace(/[^\w]+/g, '_').replace(/_$/, ''),
+            summary: details.summary || key,
+            parameters: parameters,
+            responses: responses
+        };
+        if (details.roles) {
+            operation.security = [{ bearerAuth: [] }];
+            operation.description = `Requires a ${details.roles.join(', ')} token.`;
+        }
+        if (details.requestBody) {
+            operation.requestBody = {
+                required: true,
+                content: { 'application/json': { schema: ref(details.requestBody) } }
+            };
+        }
+
+        paths[path] = paths[path] || {};
+        paths[path][route.method.toLowerCase()] = operation;
+    });
+
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'Red Hat Quest HTTP API',
+            version: version,
+            description: 'Leaderboard, player, order and invoice endpoints of the ShopMaze HTTP server'
+        },
+        servers: [{ url: '/' }],
+        paths: paths,
+        components: {
+            schemas: SCHEMAS,
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer', description: 'Service secret, admin token or player token' }
+            }
+        }
+    };
+}
+
+/**
+ * Create middleware that validates a route against its contract
+ * The request body is checked before the handler runs; JSON responses are held back until they are
+ * checked against the schema for their status code.
+ * @param {string} key - Operation key, e.g. 'POST /game-over'
+ * @returns {Function} (req, res, next) middleware
+ */
+function contract(key) {
+    const operation = OPERATIONS[key];
+    if (!operation) {
+        throw new Error(`No OpenAPI operation for ${key}`);
+    }
+    const root = { components: { schemas: SCHEMAS } };
+
+    return async (req, res, next) => {
+        if (operation.requestBody) {
+            const errors = req.body === null || req.body === undefined ?
+                [{ path: '$', message: 'request body is required' }] :
+                validateSchema(ref(operation.requestBody), req.body, { root });
+            if (errors.length > 0) {
+                throw new RequestError('Invalid request body', formatErrors(errors), 400);
+            }
+        }
+
+        if (operation.responses) {
+            checkResponses(res, operation.responses, key, root);
+        }
+        return next();
+    };
+}
+
+/**
+ * Hold back writeHead() until end() so a response that breaks the contract can still become a 500
+ * (outside production)
+ * @private
+ */
+function checkResponses(res, responses, key, root) {
+    const writeHead = res.writeHead;
+    const end = res.end;
+    let head = null;
+
+    res.writeHead = (...args) => {
+        head = args;
+        res.statusCode = args[0];
+        return res;
+    };
+
+    res.end = (chunk, ...rest) => {
+        res.writeHead = writeHead;
+        res.end = end;
+
+        const statusCode = head ? head[0] : res.statusCode;
+        const schema = responses[statusCode] || (statusCode >= 400 ? responses.default : null);
+        const headers = head ? head.find(arg => arg && typeof arg === 'object') : null;
+        const contentType = (headers && (headers['Content-Type'] || headers['content-type'])) || res.getHeader('Content-Type') || '';
+        let errors = [];
+        if (schema && chunk && /json/.test(contentType)) {
+            try {
+                errors = validateSchema(ref(schema), JSON.parse(chunk.toString()), { root });
+            } catch (error) {
+                errors = [{ path: '$', message: `is not valid JSON (${error.message})` }];
+            }
+        }
+
+        if (errors.length > 0) {
+            log.error(`${key} ${statusCode} response does not match ${schema}: ${formatErrors(errors)}`);
+            contractViolations.inc({ operation: key, status: statusCode });
+        }
+
+        if (errors.length > 0 && process.env.NODE_ENV !== 'production') {
+            sendJson(res, 500, {
+                success: false,
+                error: 'Response validation failed',
+                message: `The ${key} response did not match the API contract`,
+                details: errors,
+                timestamp: new Date().toISOString()
+            });
+            return res;
+        }
+
+        if (head) {
+            writeHead.apply(res, head);
+        }
+        return end.call(res, chunk, ...rest);
+    };
+}
+
+module.exports = {
+    buildDocument,
+    contract
+};
@@ -0,0 +1,229 @@
+#!/usr/bin/env node
+
+/**
+ * Order Registry Module
+ * Order records kept by the HTTP server for the /orders endpoints and order_status notifications
+ *
+ * An order is recorded when /process-order receives it and moves through its statuses as it is
+ * forwarded to the EDI backend, accepted with a PO number and invoiced by the invoice poller.
+ * Status flow: received -> forwarded -> accepted -> invoiced, with failed reachable from every
+ * non-final status. Orders the backend cannot be reached for are queued and move on to accepted or
+ * failed once the queue is drained. Every change is emitted as a 'statusChange' event.
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { createStorage } = require('./storage');
+const { createLogger } = require('./logger');
+
+const log = createLogger('order-registry');
+
+const ORDER_STATUSES = ['received', 'forwarded', 'queued', 'accepted', 'invoiced', 'failed'];
+
+// Statuses each status may move to
+const TRANSITIONS = {
+    received: ['forwarded', 'queued', 'failed'],
+    forwarded: ['accepted', 'queued', 'failed'],
+    queued: ['accepted', 'failed'],
+    accepted: ['invoiced', 'failed'],
+    invoiced: [],
+    failed: []
+};
+
+class OrderRegistry extends EventEmitter {
+    constructor() {
+        super();
+        this.orders = new Map(); // Map of orderId -> order record
+        this.storage = null;
+    }
+
+    /**
+     * Load persisted orders and persist changes through the given storage adapter
+     * @param {Object} storage - Storage adapter (default: 'orders' storage)
+     */
+    async initialize(storage = createStorage('orders')) {
+        this.storage = storage;
+
+        // Order records are appended on every change, the last one per order ID wins
+        const records = await this.storage.load();
+        records.forEach(record => this.orders.set(record.orderId, record));
+        log.info(`Restored ${this.orders.size} orders from storage`);
+    }
+
+    // Flush pending writes
+    async close() {
+        if (this.storage) {
+            await this.storage.close();
+        }
+    }
+
+    // Persist the current state of an order
+    persistOrder(order) {
+        if (!this.storage) {
+            return;
+        }
+        this.storage.append(order).catch(error => {
+            log.error(`Failed to persist order ${order.orderId}: ${error.message}`);
+        });
+    }
+
+    /**
+     * Record a newly received order
+     * @param {Object} payload - The order as received ({ customerName, customerEmail, items, gameSession })
+     * @param {Object} details - { userId: player notified of status changes, correlationId }
+     * @returns {Object} The order record, with status 'received'
+     */
+    receive(payload, details = {}) {
+        const now = new Date().toISOString();
+        const order = {
+            orderId: `order-${crypto.randomUUID()}`,
+            status: 'received',
+            userId: details.userId || null,
+            customerName: payload.customerName || null,
+            customerEmail: payload.customerEmail || null,
+            gameSession: payload.gameSession || null,
+            payload: payload,
+            invoiceNumber: null,
+            backendOrderId: null,
+            totalAmount: null,
+            failureReason: null,
+            correlationId: details.correlationId || null,
+            history: [{ status: 'received', at: now }],
+            receivedAt: now,
+            updatedAt: now
+        };
+
+        this.orders.set(order.orderId, order);
+        this.persistOrder(order);
+        this.emit('statusChange', order);
+        log.info(`Order ${order.orderId} received`);
+        return order;
+    }
+
+    /**
+     * Move an order to a new status
+     * @param {string} orderId - The order ID
+     * @param {string} status - 'forwarded', 'queued', 'accepted', 'invoiced' or 'failed'
+     * @param {Object} changes - Fields to set with the status (e.g. { invoiceNumber }, { failureReason })
+     * @returns {Object|null} The updated record, or null if the order is unknown or the transition not allowed
+     */
+    updateStatus(orderId, status, changes = {}) {
+        const order = this.orders.get(orderId);
+        if (!order) {
+            log.warn(`Ignoring status '${status}' for unknown order ${orderId}`);
+            return null;
+        }
+        if (!ORDER_STATUSES.includes(status) || !TRANSITIONS[order.status].includes(status)) {
+            log.warn(`Ignoring status change of order ${orderId} from '${order.status}' to '${status}'`);
+            return null;
+        }
+
+        const now = new Date().toISOString();
+        const updated = {
+            ...order,
+            ...changes,
+            status: status,
+            history: [...order.history, { status: status, at: now }],
+            updatedAt: now
+        };
+
+        this.orders.set(orderId, updated);
+        this.persistOrder(updated);
+        this.emit('statusChange', updated);
+        log.info(`Order ${orderId} is now ${status}`);
+        return updated;
+    }
+
+    /**
+     * Record the outcome of forwarding an order to the EDI backend
+     * @param {string} orderId - The order ID
+     * @param {Object} result - Result from OrderProcessor.processOrder()
+     * @returns {Object|null} The updated record
+     */
+    recordResult(orderId, result) {
+        if (!result.success) {
+            return this.updateStatus(orderId, 'failed', { failureReason: result.message || result.error || 'unknown' });
+        }
+        return this.updateStatus(orderId, 'accepted', {
+            invoiceNumber: result.po,
+            backendOrderId: result.backendOrderId,
+            totalAmount: result.backendResponse.summary.totalAmount
+        });
+    }
+
+    /**
+     * Get an order record
+     * @param {string} orderId - The order ID
+     * @returns {Object|null} The order record
+     */
+    getOrder(orderId) {
+        return this.orders.get(orderId) || null;
+    }
+
+    /**
+     * Find the order an invoice belongs to
+     * @param {string} invoiceNumber - The invoice (PO) number
+     * @returns {Object|null} The order record
+     */
+    findByInvoiceNumber(invoiceNumber) {
+        const key = String(invoiceNumber);
+        return Array.from(this.orders.values()).find(order => order.invoiceNumber === key) || null;
+    }
+
+    /**
+     * List orders, newest first
+     * @param {Object} options - Filters
+     * @param {Array} options.emails - Only orders for these customer emails (lowercased)
+     * @param {string} options.status - Only orders with this status
+     * @returns {Array} Order records
+     */
+    listOrders(options = {}) {
+        return Array.from(this.orders.values())
+            .filter(order => {
+                if (options.emails && !(order.customerEmail && options.emails.includes(order.customerEmail.toLowerCase()))) return false;
+                if (options.status && order.status !== options.status) return false;
+                return true;
+            })
+            .sort((a, b) => new Date(b.receivedAt) - new Date(a.receivedAt));
+    }
+
+    /**
+     * Count orders per status
+     * @returns {Object} status -> count
+     */
+    getStatusCounts() {
+        const counts = {};
+        ORDER_STATUSES.forEach(status => counts[status] = 0);
+        this.orders.forEach(order => counts[order.status]++);
+        return counts;
+    }
+
+    /**
+     * Remove personal data from order records of an erased or expired player
+     * @param {Object} options - { invoiceNumbers, emails (lowercased) }
+     * @returns {Promise<number>} Number of anonymised orders
+     */
+    async anonymise({ invoiceNumbers = [], emails = [] }) {
+        const numbers = invoiceNumbers.map(String);
+        const matches = Array.from(this.orders.values()).filter(order =>
+            (order.invoiceNumber && numbers.includes(order.invoiceNumber)) ||
+            (order.customerEmail && emails.includes(order.customerEmail.toLowerCase())));
+
+        matches.forEach(order => this.orders.set(order.orderId, {
+            ...order,
+            userId: null,
+            customerName: null,
+            customerEmail: null,
+            payload: { items: order.payload ? order.payload.items : [] },
+            anonymisedAt: new Date().toISOString()
+        }));
+
+        if (matches.length > 0 && this.storage) {
+            await this.storage.rewrite(Array.from(this.orders.values()));
+        }
+        return matches.length;
+    }
+}
+
+// Export singleton instance
+module.exports = new OrderRegistry();
@@ -3,15 +3,143 @@
 /**
  * Order Processing Module
  * Handles order validation and forwarding to backend systems
+ *
+ * Orders the backend did not process (no connection could be made, a retryStatuses answer such as
+ * the router's 503 while the backend pods are down, or an open circuit) are kept in a durable queue
+ * and answered with 202 'queued'. Orders the backend may have processed are never queued, since
+ * sending them again later could create a second purchase order. The queue is drained oldest first
+ * once the backend answers again, and every drained order is emitted as a 'dequeued' event with its
+ * final result.
  */
 
-class OrderProcessor {
+const net = require('net');
+const EventEmitter = require('events');
+const { readJson } = require('./body-parser');
+const { createStorage } = require('./storage');
+const { metrics } = require('./metrics');
+const { CircuitBreaker, CircuitOpenError } = require('./circuit-breaker');
+const { validateSchema, formatErrors } = require('./schema-validator');
+const { createLogger, getCorrelationId, runWithCorrelationId, CORRELATION_HEADER } = require('./logger');
+
+const log = createLogger('order');
+
+const ordersForwarded = metrics.counter({
+    name: 'orders_forwarded_total',
+    help: 'Orders by outcome (success, rejected, invalid, error, queued)',
+    labelNames: ['outcome']
+});
+const orderForwardDuration = metrics.histogram({
+    name: 'order_forward_duration_seconds',
+    help: 'Time taken by the EDI backend to answer a forwarded order',
+    labelNames: ['outcome']
+});
+const orderForwardRetries = metrics.counter({
+    name: 'order_forward_retries_total',
+    help: 'Orders forwarded again after the EDI backend could not be reached or answered 429 or 503'
+});
+
+// What a successful EDI backend response must contain
+const BACKEND_RESPONSE_SCHEMA = {
+    type: 'object',
+    required: ['po', 'summary'],
+    properties: {
+        po: { type: ['string', 'integer'], minLength: 1, minimum: 0 },
+        orderId: { type: ['string', 'integer', 'null'] },
+        summary: {
+            type: 'object',
+            required: ['totalAmount'],
+            properties: {
+                totalAmount: { type: 'number', minimum: 0 },
+                itemCount: { type: 'integer', minimum: 0 }
+            }
+        }
+    }
+};
+
+// Backend statuses that mean the order was not processed, so it can be sent again (retryStatuses).
+// Other 5xx (500, and 502/504 from the OpenShift router when the backend is slow) may follow a
+// created purchase order and are not retried by default.
+const DEFAULT_RETRY_STATUSES = [429, 503];
+
+// Backend rejections of the order itself, passed on to the client with these status codes
+const CLIENT_REJECTIONS = {
+    400: 422,
+    409: 409,
+    422: 422
+};
+
+/**
+ * Wait before the next attempt
+ * @private
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class OrderProcessor extends EventEmitter {
+    /**
+     * Create a new OrderProcessor
+     * @param {Object} config - Options, usually the 'orderBackend' configuration block
+     * @param {string} config.backendUrl - EDI purchase-order URL (BACKEND_ORDER_URL)
+     * @param {number} config.timeout - Milliseconds to wait for the backend per attempt (default: 30000)
+     * @param {number} config.retryAttempts - Attempts per order, including the first (default: 3)
+     * @param {number} config.retryBaseDelayMs - Backoff before the first retry, doubled for each further one (default: 500)
+     * @param {number} config.retryMaxDelayMs - Longest backoff between attempts (default: 5000)
+     * @param {Array} config.retryStatuses - Backend 429/5xx statuses that are retried (default: [429, 503])
+     * @param {number} config.circuitFailureThreshold - Consecutive failed attempts that open the circuit (default: 5)
+     * @param {number} config.circuitResetTimeoutMs - Milliseconds orders fail fast before the backend is tried again (default: 30000)
+     * @param {boolean} config.queueEnabled - Queue orders while the backend is unreachable (default: true)
+     * @param {number} config.queueRetryIntervalMs - How often the queue is retried (default: 15000)
+     * @param {number} config.queueMaxSize - Most orders queued; further orders fail with 503 (default: 1000)
+     */
     constructor(config = {}) {
+        super();
         this.config = {
             backendUrl: config.backendUrl || process.env.BACKEND_ORDER_URL || 'https://mobile-backend-route-demo.apps.cluster-75kk9.75kk9.sandbox2022.opentlc.com/api/edi/purchase-order',
             timeout: config.timeout || 30000,
-            userAgent: config.userAgent || 'ShopMaze-Backend/1.0'
+            userAgent: config.userAgent || 'ShopMaze-Backend/1.0',
+            retryAttempts: Math.max(1, config.retryAttempts ?? 3),
+            retryBaseDelayMs: config.retryBaseDelayMs ?? 500,
+            retryMaxDelayMs: config.retryMaxDelayMs ?? 5000,
+            retryStatuses: config.retryStatuses || DEFAULT_RETRY_STATUSES,
+            queueEnabled: config.queueEnabled !== false,
+            queueRetryIntervalMs: config.queueRetryIntervalMs || 15000,
+            queueMaxSize: config.queueMaxSize || 1000
         };
+        this.queue = []; // Orders waiting for the backend, oldest first: { orderId, orderData, correlationId, queuedAt }
+        this.queueStorage = null;
+        this.drainTimer = null;
+        this.draining = false;
+        this.circuitBreaker = new CircuitBreaker({
+            name: 'EDI backend',
+            failureThreshold: config.circuitFailureThreshold,
+            resetTimeoutMs: config.circuitResetTimeoutMs
+        });
+    }
+
+    /**
+     * Load queued orders and start draining the queue
+     * @param {Object} storage - Storage adapter for the queue (default: 'order-queue' storage)
+     */
+    async initialize(storage = createStorage('order-queue')) {
+        this.queue = await storage.load();
+        this.queueStorage = storage;
+        if (this.queue.length > 0) {
+            log.info(`Restored ${this.queue.length} queued orders from storage`);
+        }
+
+        this.drainTimer = setInterval(() => this.drainQueue(), this.config.queueRetryIntervalMs);
+        this.drainTimer.unref();
+        this.drainQueue();
+    }
+
+    // Stop draining and flush pending queue writes
+    async close() {
+        clearInterval(this.drainTimer);
+        this.drainTimer = null;
+        if (this.queueStorage) {
+            await this.queueStorage.close();
+        }
     }
 
     /**
@@ -20,7 +148,7 @@ class OrderProcessor {
      * @returns {Object} Validation result with success flag and error details
      */
     validateOrder(orderData) {
-        console.log(`📦 Validating order data`);
+        log.debug('Validating order data');
 
         const { customerName, customerEmail, items } = orderData;
 
@@ -76,27 +204,33 @@ class OrderProcessor {
             }
         }
 
-        console.log(`✅ Order validation passed for ${customerName} with ${items.length} items`);
+        log.debug('Order validation passed', { customerName: customerName, itemCount: items.length });
         return { success: true };
     }
 
     /**
      * Process order by forwarding to backend API
      * @param {Object} orderData - The order data to process
-     * @returns {Promise<Object>} Processing result
+     * @param {Object} options - Options
+     * @param {Function} options.onForward - Called once the order is valid, before it is sent to the backend
+     * @param {string} options.orderId - ID the order is queued under when the backend is unreachable;
+     *   without it the order fails instead of being queued
+     * @returns {Promise<Object>} Processing result; { queued: true, statusCode: 202 } when queued
      */
-    async processOrder(orderData) {
-        console.log(`📦 Processing order for ${orderData.customerName || 'unknown customer'}`);
+    async processOrder(orderData, options = {}) {
+        log.info('Processing order', { customerName: orderData.customerName || 'unknown customer' });
 
         // Validate order first
         const validation = this.validateOrder(orderData);
         if (!validation.success) {
+            ordersForwarded.inc({ outcome: 'invalid' });
             return validation;
         }
 
         // Check backend URL configuration
         if (!this.config.backendUrl) {
-            console.error('❌ Backend order URL not configured');
+            log.error('Backend order URL not configured');
+            ordersForwarded.inc({ outcome: 'error' });
             return {
                 success: false,
                 error: 'Configuration error',
@@ -105,25 +239,292 @@ class OrderProcessor {
             };
         }
 
-        console.log(`📦 Forwarding order to: ${this.config.backendUrl}`);
+        // Queued orders go first, so while the queue is not empty new orders join it
+        if (options.orderId && this.queue.length > 0 && this.queueStorage && this.config.queueEnabled) {
+            return this.enqueue(orderData, options.orderId, `${this.queue.length} earlier orders are waiting`);
+        }
+
+        log.info('Forwarding order to backend', { backendUrl: this.config.backendUrl });
+        if (options.onForward) {
+            options.onForward();
+        }
 
+        const endTimer = orderForwardDuration.startTimer();
         try {
-            const result = await this.forwardToBackend(orderData);
-            console.log(`✅ Order processed successfully`);
+            const result = await this.forwardWithRetry(orderData);
+            const outcome = result.success ? 'success' : 'rejected';
+            endTimer({ outcome });
+            ordersForwarded.inc({ outcome });
+            log.info('Order processed', { outcome: outcome, po: result.po });
             return result;
         } catch (error) {
-            console.error(`❌ Error processing order:`, error.message);
+            endTimer({ outcome: 'error' });
+            if (options.orderId && this.isQueueable(error)) {
+                return this.enqueue(orderData, options.orderId, error.message);
+            }
+            ordersForwarded.inc({ outcome: 'error' });
+            log.error('Error processing order', { error: error.message });
+            return this.failureResult(error);
+        }
+    }
+
+    /**
+     * Turn a forwarding error into an order result
+     * @private
+     */
+    failureResult(error) {
+        return {
+            success: false,
+            error: error.code || 'Processing error',
+            message: error.message,
+            statusCode: error.statusCode || 500
+        };
+    }
+
+    /**
+     * Check whether an order that failed with this error can wait in the queue
+     * Only failures that mean the backend did not process the order qualify: the retryable ones (a
+     * connection that could not be made, retryStatuses responses) and an open circuit. Other
+     * responses, timeouts after connecting and connections lost after the order was sent may follow
+     * a purchase order being created.
+     * @private
+     */
+    isQueueable(error) {
+        return this.config.queueEnabled && !!this.queueStorage && (!!error.retryable || error instanceof CircuitOpenError);
+    }
+
+    /**
+     * Add an order to the end of the queue
+     * The queue is written to storage before the order is reported as queued.
+     * @param {Object} orderData - The order
+     * @param {string} orderId - Order ID, passed back with the 'dequeued' event
+     * @param {string} reason - Why the order could not be sent now
+     * @returns {Promise<Object>} Queued result (202), or a 503 failure when the queue is full or cannot be written
+     * @private
+     */
+    async enqueue(orderData, orderId, reason) {
+        if (this.queue.length >= this.config.queueMaxSize) {
+            log.error(`Order queue is full (${this.queue.length} orders), order ${orderId} not accepted`);
+            ordersForwarded.inc({ outcome: 'error' });
+            return this.failureResult({ code: 'Backend unavailable', message: 'Order backend is unreachable and the order queue is full', statusCode: 503 });
+        }
+
+        const entry = { orderId: orderId, orderData: orderData, correlationId: getCorrelationId(), queuedAt: new Date().toISOString() };
+        try {
+            await this.queueStorage.append(entry);
+        } catch (error) {
+            log.error(`Failed to persist queued order ${orderId}: ${error.message}`);
+            ordersForwarded.inc({ outcome: 'error' });
+            return this.failureResult({ code: 'Backend unavailable', message: 'Order backend is unreachable and the order could not be queued', statusCode: 503 });
+        }
+        this.queue.push(entry);
+        ordersForwarded.inc({ outcome: 'queued' });
+        log.warn(`Order ${orderId} queued until the backend is reachable (${reason})`, { queueSize: this.queue.length });
+
+        return {
+            success: true,
+            queued: true,
+            message: 'The order backend is unreachable; the order is queued and will be sent when it is back',
+            customerName: orderData.customerName,
+            customerEmail: orderData.customerEmail,
+            gameSession: orderData.gameSession,
+            itemCount: orderData.items.length,
+            queuePosition: this.queue.length,
+            timestamp: new Date().toISOString(),
+            statusCode: 202
+        };
+    }
+
+    /**
+     * Send queued orders to the backend, oldest first
+     * Stops at the first order the backend still did not process, which stays at the head of the
+     * queue; the rest wait for the next run. Every order that got an answer (accepted, rejected or failed) leaves the queue and is
+     * emitted as 'dequeued' (entry, result) under its correlation ID.
+     * @returns {Promise<number>} Number of orders that left the queue
+     */
+    async drainQueue() {
+        if (this.draining || this.queue.length === 0) {
+            return 0;
+        }
+        this.draining = true;
+        let drained = 0;
+
+        try {
+            while (this.queue.length > 0) {
+                const entry = this.queue[0];
+                const handled = await runWithCorrelationId(entry.correlationId, async () => {
+                    let result;
+                    try {
+                        result = await this.circuitBreaker.execute(() => this.forwardToBackend(entry.orderData));
+                    } catch (error) {
+                        if (this.isQueueable(error)) {
+                            log.info(`Order backend still unreachable, ${this.queue.length} orders queued`, { error: error.message });
+                            return false;
+                        }
+                        result = this.failureResult(error);
+                    }
+
+                    this.queue.shift();
+                    await this.queueStorage.rewrite(this.queue).catch(error => {
+                        log.error(`Failed to persist order queue: ${error.message}`);
+                    });
+                    const outcome = result.success ? 'success' : (result.error === 'Order rejected' ? 'rejected' : 'error');
+                    ordersForwarded.inc({ outcome });
+                    log.info(`Queued order ${entry.orderId} sent`, { outcome: outcome, po: result.po, queuedAt: entry.queuedAt });
+                    this.emit('dequeued', entry, result);
+                    return true;
+                });
+                if (!handled) {
+                    break;
+                }
+                drained++;
+            }
+        } finally {
+            this.draining = false;
+        }
+        return drained;
+    }
+
+    /**
+     * Get the order queue state
+     * @returns {Object} { enabled, size, oldestQueuedAt }
+     */
+    getQueueStatus() {
+        return {
+            enabled: this.config.queueEnabled,
+            size: this.queue.length,
+            oldestQueuedAt: this.queue.length > 0 ? this.queue[0].queuedAt : null
+        };
+    }
+
+    /**
+     * Forward order to backend API, retrying only attempts the backend did not process
+     * Those are connections that could not be made and retryStatuses responses. Timeouts, other 5xx and
+     * connections lost after the order was sent are not retried: the backend may already have created
+     * the purchase order, and a retry would place it twice. Every attempt goes through the circuit
+     * breaker, so once the backend is known to be down orders fail fast with 503 instead of waiting
+     * out the retries.
+     * @param {Object} orderData - The order data to forward
+     * @returns {Promise<Object>} Backend response
+     * @private
+     */
+    async forwardWithRetry(orderData) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await this.circuitBreaker.execute(() => this.forwardToBackend(orderData));
+            } catch (error) {
+                if (!error.retryable || attempt >= this.config.retryAttempts) {
+                    throw error;
+                }
+                const delay = this.backoffDelay(attempt);
+                log.warn(`Order forwarding attempt ${attempt} failed, retrying in ${delay}ms`, { error: error.message });
+                orderForwardRetries.inc();
+                await sleep(delay);
+            }
+        }
+    }
+
+    /**
+     * Exponential backoff with jitter, so retries from several orders do not hit the backend together
+     * @param {number} attempt - The attempt that just failed (1 for the first)
+     * @returns {number} Milliseconds to wait: between half and all of min(max, base * 2^(attempt - 1))
+     * @private
+     */
+    backoffDelay(attempt) {
+        const ceiling = Math.min(this.config.retryMaxDelayMs, this.config.retryBaseDelayMs * 2 ** (attempt - 1));
+        return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+    }
+
+    /**
+     * Turn an EDI backend response into an order result
+     * - 2xx with a JSON body matching BACKEND_RESPONSE_SCHEMA: the order was accepted
+     * - 400, 409, 422: the backend rejected the order; resolved as a failed result with 422 (or 409)
+     * - 429 and 5xx in retryStatuses (429 and 503 by default): thrown with retryable set
+     * - anything else (other 5xx, 401/403/404, redirects, non-JSON or incomplete 2xx bodies): thrown
+     *   as a 502, since the problem lies with the backend or its configuration rather than the order
+     * @param {number} statusCode - Backend HTTP status code
+     * @param {string} body - Backend response body
+     * @param {Object} orderData - The forwarded order
+     * @returns {Object} Order result
+     * @throws {Object} { code, message, statusCode, retryable }
+     * @private
+     */
+    interpretResponse(statusCode, body, orderData) {
+        let backendResponse = null;
+        try {
+            backendResponse = JSON.parse(body);
+        } catch (parseError) {
+            // Left null: HTML error pages and empty bodies are handled below
+        }
+        const backendMessage = backendResponse && typeof backendResponse === 'object'
+            ? backendResponse.message || backendResponse.error
+            : null;
+
+        if (statusCode >= 500 || statusCode === 429) {
+            const retryable = this.config.retryStatuses.includes(statusCode);
+            log.error('Backend error forwarding order', { statusCode: statusCode, backendMessage: backendMessage, retryable: retryable });
+            throw {
+                code: statusCode === 429 ? 'Backend busy' : 'Backend error',
+                message: `Backend API responded with HTTP ${statusCode}${backendMessage ? `: ${backendMessage}` : ''}`,
+                statusCode: statusCode === 429 ? 503 : 502,
+                retryable: retryable
+            };
+        }
+
+        if (CLIENT_REJECTIONS[statusCode]) {
+            log.warn('Order rejected by backend', { statusCode: statusCode, backendResponse: backendResponse || body });
             return {
                 success: false,
-                error: error.code || 'Processing error',
-                message: error.message,
-                statusCode: error.statusCode || 500
+                error: 'Order rejected',
+                message: backendMessage || `Backend API rejected the order with HTTP ${statusCode}`,
+                backendStatus: statusCode,
+                statusCode: CLIENT_REJECTIONS[statusCode]
             };
         }
+
+        if (statusCode < 200 || statusCode >= 300) {
+            log.error('Unexpected backend response to order', { statusCode: statusCode, backendMessage: backendMessage });
+            throw {
+                code: 'Backend error',
+                message: `Backend API responded with HTTP ${statusCode}${backendMessage ? `: ${backendMessage}` : ''}`,
+                statusCode: 502
+            };
+        }
+
+        const errors = backendResponse === null
+            ? [{ path: '$', message: 'must be JSON' }]
+            : validateSchema(BACKEND_RESPONSE_SCHEMA, backendResponse);
+        if (errors.length > 0) {
+            // The backend may still have created a purchase order, so this is not retried
+            log.error('Invalid backend response to order', { statusCode: statusCode, errors: formatErrors(errors), backendBody: body.slice(0, 500) });
+            throw {
+                code: 'Invalid backend response',
+                message: `Backend API response is invalid: ${formatErrors(errors)}`,
+                statusCode: 502
+            };
+        }
+
+        log.info('Order forwarded', { statusCode: statusCode, backendResponse: backendResponse });
+        return {
+            success: true,
+            message: 'Order processed successfully',
+            backendOrderId: backendResponse.orderId !== undefined && backendResponse.orderId !== null ? String(backendResponse.orderId) : null,
+            po: String(backendResponse.po),
+            customerName: orderData.customerName,
+            customerEmail: orderData.customerEmail,
+            gameSession: orderData.gameSession,
+            itemCount: orderData.items.length,
+            backendResponse: backendResponse,
+            timestamp: new Date().toISOString(),
+            statusCode: 200
+        };
     }
 
     /**
      * Forward order to backend API
+     * Resolves with the result from interpretResponse(); rejects with retryable set when the
+     * connection could not be made (refused, or timed out while connecting) and for retryStatuses
+     * responses.
      * @param {Object} orderData - The order data to forward
      * @returns {Promise<Object>} Backend response
      * @private
@@ -148,7 +549,13 @@ class OrderProcessor {
                         'User-Agent': this.config.userAgent
                     }
                 };
+                const correlationId = getCorrelationId();
+                if (correlationId) {
+                    options.headers[CORRELATION_HEADER] = correlationId; // Lets the EDI backend's logs be joined with ours
+                }
 
+                // Once the connection is made the order may reach the backend, so later errors are not retried
+                let connected = false;
                 const backendReq = httpModule.request(options, (backendRes) => {
                     let backendBody = '';
 
@@ -158,66 +565,59 @@ class OrderProcessor {
 
                     backendRes.on('end', () => {
                         try {
-                            // Try to parse as JSON
-                            const backendResponse = JSON.parse(backendBody);
-                            console.log(`✅ Order forwarded successfully. Backend response: ${JSON.stringify(backendResponse)}`);
-
-                            resolve({
-                                success: true,
-                                message: 'Order processed successfully',
-                                orderId: backendResponse.orderId || `ORDER-${Date.now()}`,
-                                customerName: orderData.customerName,
-                                customerEmail: orderData.customerEmail,
-                                itemCount: orderData.items.length,
-                                backendResponse: backendResponse,
-                                timestamp: new Date().toISOString(),
-                                statusCode: 200
-                            });
-
-                        } catch (parseError) {
-                            // Backend returned non-JSON response
-                            console.log(`✅ Order forwarded, but backend response was not JSON: ${backendBody}`);
-
-                            resolve({
-                                success: true,
-                                message: 'Order processed successfully',
-                                orderId: `ORDER-${Date.now()}`,
-                                customerName: orderData.customerName,
-                                customerEmail: orderData.customerEmail,
-                                itemCount: orderData.items.length,
-                                backendResponse: backendBody,
-                                timestamp: new Date().toISOString(),
-                                statusCode: 200
-                            });
+                            resolve(this.interpretResponse(backendRes.statusCode, backendBody, orderData));
+                        } catch (error) {
+                            reject(error);
                         }
                     });
                 });
 
-                backendReq.on('error', (error) => {
-                    console.error(`❌ Error forwarding order to backend:`, error.message);
+                // The request timeout only starts once the socket is connected, so a connect that hangs
+                // (dropped packets) gets its own timer
+                const onTimeout = () => {
+                    log.error('Timeout forwarding order to backend', { timeoutMs: this.config.timeout, connected: connected });
                     reject({
-                        code: 'Backend communication error',
-                        message: error.message,
-                        statusCode: 500
+                        code: 'Backend timeout',
+                        message: connected
+                            ? `Backend API did not respond within ${this.config.timeout / 1000} seconds`
+                            : `Could not connect to the backend API within ${this.config.timeout / 1000} seconds`,
+                        statusCode: 500,
+                        retryable: !connected
+                    });
+                    backendReq.destroy(); // Its 'error' event no longer changes the settled result
+                };
+
+                backendReq.on('socket', (socket) => {
+                    if (!socket.connecting) {
+                        connected = true; // Reused keep-alive connection
+                        return;
+                    }
+                    const connectTimer = setTimeout(onTimeout, this.config.timeout);
+                    socket.once('connect', () => {
+                        connected = true;
+                        clearTimeout(connectTimer);
                     });
+                    backendReq.once('close', () => clearTimeout(connectTimer));
                 });
 
-                backendReq.setTimeout(this.config.timeout, () => {
-                    console.error(`❌ Timeout forwarding order to backend`);
-                    backendReq.destroy();
+                backendReq.on('error', (error) => {
+                    log.error('Error forwarding order to backend', { error: error.message, connected: connected });
                     reject({
-                        code: 'Backend timeout',
-                        message: `Backend API did not respond within ${this.config.timeout / 1000} seconds`,
-                        statusCode: 500
+                        code: 'Backend communication error',
+                        message: error.message,
+                        statusCode: 500,
+                        retryable: !connected
                     });
                 });
 
+                backendReq.setTimeout(this.config.timeout, onTimeout);
+
                 // Send the order data
                 backendReq.write(orderPayload);
                 backendReq.end();
 
             } catch (urlError) {
-                console.error('❌ Invalid backend URL:', urlError.message);
+                log.error('Invalid backend URL', { error: urlError.message });
                 reject({
                     code: 'Invalid backend URL',
                     message: 'Backend URL is not a valid URL',
@@ -229,76 +629,101 @@ class OrderProcessor {
 
     /**
      * Handle HTTP request for order processing and return the result
+     * Uses req.body when the request body was already parsed (see body-parser.js), otherwise reads the request.
      * @param {Object} req - HTTP request object
      * @param {Object} res - HTTP response object
      * @returns {Promise<Object>} Promise that resolves with the order processing result
      */
     async handleOrderRequest(req, res) {
-        return new Promise((resolve, reject) => {
-            let body = '';
+        if (req.body !== undefined) {
+            log.info('Received order processing request');
+            const result = await this.processOrder(req.body || {});
             
-            req.on('data', chunk => {
-                body += chunk.toString();
-            });
+            res.writeHead(result.statusCode || 200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(result));
+            return result;
+        }
 
-            req.on('end', async () => {
-                try {
-                    const orderData = JSON.parse(body);
-                    console.log(`📦 Received order processing request`);
-                    
-                    // Process the order
-                    const result = await this.processOrder(orderData);
-                    
-                    // Send HTTP response
-                    res.writeHead(result.statusCode || 200, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify(result));
-                    
-                    // Return the result to the caller
-                    resolve(result);
-                    
-                } catch (error) {
-                    console.error('❌ Error parsing order request:', error);
-                    
-                    const errorResult = {
-                        success: false,
-                        error: 'Invalid order data',
-                        message: error.message,
-                        timestamp: new Date().toISOString(),
-                        statusCode: 400
-                    };
-                    
-                    // Send HTTP error response
-                    res.writeHead(400, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify(errorResult));
-                    
-                    // Return the error result to the caller
-                    resolve(errorResult);
-                }
-            });
+        let orderData;
+        try {
+            orderData = await readJson(req);
+        } catch (error) {
+            log.error(`Error reading order request: ${error.message}`);
+            
+            const errorResult = {
+                success: false,
+                error: error.error || 'Invalid order data',
+                message: error.message,
+                timestamp: new Date().toISOString(),
+                statusCode: error.statusCode || 400
+            };
+            
+            // Send HTTP error response if possible
+            if (!res.headersSent) {
+                res.writeHead(errorResult.statusCode, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(errorResult));
+            }
+            
+            // Return the error result to the caller
+            return errorResult;
+        }
 
-            req.on('error', (error) => {
-                console.error('❌ Request error:', error);
-                
-                const errorResult = {
-                    success: false,
-                    error: 'Request error',
-                    message: error.message,
-                    timestamp: new Date().toISOString(),
-                    statusCode: 500
-                };
-                
-                // Send HTTP error response if possible
-                if (!res.headersSent) {
-                    res.writeHead(500, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify(errorResult));
-                }
-                
-                // Return the error result to the caller
-                resolve(errorResult);
+        log.info('Received order processing request');
+        
+        // Process the order
+        const result = await this.processOrder(orderData || {});
+        
+        // Send HTTP response
+        res.writeHead(result.statusCode || 200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(result));
+        
+        // Return the result to the caller
+        return result;
+    }
+
+    /**
+     * Check that the backend URL is configured and its host accepts connections
+     * Only a TCP connection is opened; no order is sent.
+     * @param {number} timeout - Milliseconds to wait for the connection (default: 2000)
+     * @returns {Promise<Object>} { backend: 'host:port' }
+     */
+    checkBackend(timeout = 2000) {
+        return new Promise((resolve, reject) => {
+            if (!this.config.backendUrl) {
+                return reject(new Error('Backend order URL not configured'));
+            }
+            let url;
+            try {
+                url = new URL(this.config.backendUrl);
+            } catch (urlError) {
+                return reject(new Error('Backend URL is not a valid URL'));
+            }
+
+            const port = url.port || (url.protocol === 'https:' ? 443 : 80);
+            const socket = net.connect({ host: url.hostname, port: port });
+            socket.setTimeout(timeout, () => {
+                socket.destroy();
+                reject(new Error(`No connection to ${url.hostname}:${port} within ${timeout}ms`));
+            });
+            socket.once('connect', () => {
+                socket.destroy();
+                resolve({ backend: `${url.hostname}:${port}` });
+            });
+            socket.once('error', (error) => {
+                socket.destroy();
+                reject(error);
             });
         });
     }
 
+    /**
+     * Get the EDI backend circuit breaker state
+     * @returns {Object} { state, failures, failureThreshold, openedAt, retryAt, lastError }
+     */
+    getCircuitStatus() {
+        return this.circuitBreaker.getStatus();
+    }
+
     /**
      * Get configuration info
      * @returns {Object} Configuration details (without sensitive data)
@@ -307,7 +732,8 @@ class OrderProcessor {
         return {
             backendUrl: this.config.backendUrl ? '***configured***' : 'not configured',
             timeout: this.config.timeout,
-            userAgent: this.config.userAgent
+            userAgent: this.config.userAgent,
+            retryAttempts: this.config.retryAttempts
         };
     }
 }
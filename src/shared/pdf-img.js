@@ -1,6 +1,9 @@
 const pdf2pic = require('pdf2pic');
 const fs = require('fs-extra');
 const path = require('path');
+const { createLogger } = require('./logger');
+
+const log = createLogger('pdf-img');
 
 /**
  * PDF to JPG Conversion Utilities
@@ -57,11 +60,11 @@ async function convertPdfPageToJpg(pdfPath, pageNumber = 1, options = {}) {
       throw new Error(`Failed to convert page ${pageNumber} of PDF`);
     }
 
-    console.log(`Successfully converted page ${pageNumber} to: ${result.path}`);
+    log.info(`Successfully converted page ${pageNumber} to: ${result.path}`);
     return result.path;
 
   } catch (error) {
-    console.error(`Error converting PDF page to JPG: ${error.message}`);
+    log.error(`Error converting PDF page to JPG: ${error.message}`);
     throw error;
   }
 }
@@ -103,12 +106,12 @@ async function convertPdfToJpgs(pdfPath, options = {}) {
     }
 
     const imagePaths = results.map(result => result.path);
-    console.log(`Successfully converted ${imagePaths.length} pages to JPG images`);
+    log.info(`Successfully converted ${imagePaths.length} pages to JPG images`);
     
     return imagePaths;
 
   } catch (error) {
-    console.error(`Error converting PDF to JPGs: ${error.message}`);
+    log.error(`Error converting PDF to JPGs: ${error.message}`);
     throw error;
   }
 }
@@ -139,11 +142,11 @@ async function convertPdfToSingleJpg(pdfPath, outputPath, options = {}) {
     // Clean up temp directory
     await fs.remove(tempDir);
     
-    console.log(`Successfully converted PDF to single JPG: ${outputPath}`);
+    log.info(`Successfully converted PDF to single JPG: ${outputPath}`);
     return outputPath;
 
   } catch (error) {
-    console.error(`Error converting PDF to single JPG: ${error.message}`);
+    log.error(`Error converting PDF to single JPG: ${error.message}`);
     throw error;
   }
 }
@@ -169,7 +172,7 @@ async function getPdfInfo(pdfPath) {
     };
 
   } catch (error) {
-    console.error(`Error getting PDF info: ${error.message}`);
+    log.error(`Error getting PDF info: ${error.message}`);
     throw error;
   }
 }
@@ -183,7 +186,7 @@ async function getPdfInfo(pdfPath) {
 async function cleanupImages(directoryPath, pattern = '*.jpg') {
   try {
     if (!await fs.pathExists(directoryPath)) {
-      console.log(`Directory does not exist: ${directoryPath}`);
+      log.info(`Directory does not exist: ${directoryPath}`);
       return;
     }
 
@@ -196,13 +199,13 @@ async function cleanupImages(directoryPath, pattern = '*.jpg') {
     for (const file of imageFiles) {
       const filePath = path.join(directoryPath, file);
       await fs.remove(filePath);
-      console.log(`Deleted: ${filePath}`);
+      log.info(`Deleted: ${filePath}`);
     }
 
-    console.log(`Cleaned up ${imageFiles.length} image files from ${directoryPath}`);
+    log.info(`Cleaned up ${imageFiles.length} image files from ${directoryPath}`);
 
   } catch (error) {
-    console.error(`Error cleaning up images: ${error.message}`);
+    log.error(`Error cleaning up images: ${error.message}`);
     throw error;
   }
 }
@@ -0,0 +1,256 @@
+#!/usr/bin/env node
+
+/**
+ * Player Registry Module
+ * Player profiles keyed by a stable playerId, created or updated on register, game_over and process-order
+ *
+ * A player who reconnects with the same email under a different userId is merged into one profile,
+ * so lookups by any known userId, email or playerId resolve to the same player.
+ */
+
+const crypto = require('crypto');
+const { createStorage } = require('./storage');
+const { createLogger } = require('./logger');
+
+const log = createLogger('player-registry');
+
+class PlayerRegistry {
+    constructor() {
+        this.players = new Map(); // Map of playerId -> player record
+        this.userIndex = new Map(); // Map of userId -> playerId
+        this.emailIndex = new Map(); // Map of lowercased email -> playerId
+        this.mergedPlayers = new Map(); // Map of merged playerId -> surviving playerId
+        this.storage = null;
+    }
+
+    /**
+     * Load persisted players and persist changes through the given storage adapter
+     * @param {Object} storage - Storage adapter (default: 'players' storage)
+     */
+    async initialize(storage = createStorage('players')) {
+        this.storage = storage;
+
+        // Player snapshots are appended on every change, the last one per playerId wins
+        const records = await this.storage.load();
+        const latest = new Map();
+        records.forEach(record => latest.set(record.playerId, record));
+
+        latest.forEach(record => {
+            if (record.mergedInto) {
+                this.mergedPlayers.set(record.playerId, record.mergedInto);
+            } else {
+                this.indexPlayer(record);
+            }
+        });
+
+        log.info(`Restored ${this.players.size} players from storage`);
+    }
+
+    // Flush pending writes
+    async close() {
+        if (this.storage) {
+            await this.storage.close();
+        }
+    }
+
+    // Add a player record to the in-memory indexes
+    indexPlayer(player) {
+        this.players.set(player.playerId, player);
+        player.userIds.forEach(userId => this.userIndex.set(userId, player.playerId));
+        player.emails.forEach(email => this.emailIndex.set(email, player.playerId));
+    }
+
+    // Persist the current state of a player
+    persistPlayer(player) {
+        if (!this.storage) {
+            return;
+        }
+        this.storage.append(player).catch(error => {
+            log.error(`Failed to persist player ${player.playerId}: ${error.message}`);
+        });
+    }
+
+    /**
+     * Create or update a player from an identity seen in a register, game_over or order message
+     * @param {Object} identity - { userId, email, username }
+     * @param {string} source - Where the identity was seen ('register', 'game_over', 'process-order')
+     * @returns {Object|null} The player record, or null if the identity has neither userId nor email
+     */
+    upsertPlayer(identity, source) {
+        const userId = identity.userId || null;
+        const email = identity.email ? String(identity.email).trim().toLowerCase() : null;
+        if (!userId && !email) {
+            return null;
+        }
+
+        const byUser = userId ? this.players.get(this.userIndex.get(userId)) : null;
+        const byEmail = email ? this.players.get(this.emailIndex.get(email)) : null;
+        const now = new Date().toISOString();
+
+        let player;
+        if (byUser && byEmail && byUser !== byEmail) {
+            // Same person known under two profiles - keep the one that owns the email
+            player = this.mergePlayers(byUser, byEmail);
+        } else {
+            player = byUser || byEmail;
+        }
+
+        if (!player) {
+            player = {
+                playerId: `player-${crypto.randomUUID()}`,
+                userIds: [],
+                emails: [],
+                username: null,
+                orders: [],
+                createdAt: now
+            };
+            log.info(`New player ${player.playerId} (${userId || email})`);
+        }
+
+        if (userId && !player.userIds.includes(userId)) {
+            player.userIds.push(userId);
+        }
+        if (email && !player.emails.includes(email)) {
+            player.emails.push(email);
+        }
+        if (identity.username) {
+            player.username = identity.username;
+        }
+        player.lastSeenAt = now;
+        player.lastSource = source;
+        player.updatedAt = now;
+
+        this.indexPlayer(player);
+        this.persistPlayer(player);
+        return player;
+    }
+
+    /**
+     * Merge one player profile into another
+     * @param {Object} source - Profile to merge away
+     * @param {Object} target - Surviving profile
+     * @returns {Object} The surviving profile
+     * @private
+     */
+    mergePlayers(source, target) {
+        source.userIds.forEach(userId => !target.userIds.includes(userId) && target.userIds.push(userId));
+        source.emails.forEach(email => !target.emails.includes(email) && target.emails.push(email));
+        target.orders = [...target.orders, ...source.orders];
+        target.username = target.username || source.username;
+        if (source.createdAt < target.createdAt) {
+            target.createdAt = source.createdAt;
+        }
+
+        this.players.delete(source.playerId);
+        this.mergedPlayers.set(source.playerId, target.playerId);
+        this.persistPlayer({ playerId: source.playerId, mergedInto: target.playerId, updatedAt: new Date().toISOString() });
+        log.info(`Merged player ${source.playerId} into ${target.playerId}`);
+
+        return target;
+    }
+
+    /**
+     * Record an order placed by a player
+     * @param {Object} identity - { email, username } of the customer
+     * @param {Object} order - { orderId, invoiceNumber, totalAmount, gameSession }
+     * @returns {Object|null} The player record
+     */
+    recordOrder(identity, order) {
+        const player = this.upsertPlayer(identity, 'process-order');
+        if (!player) {
+            return null;
+        }
+
+        player.orders.push({
+            orderId: order.orderId,
+            invoiceNumber: order.invoiceNumber !== undefined && order.invoiceNumber !== null ? String(order.invoiceNumber) : null,
+            totalAmount: order.totalAmount !== undefined ? order.totalAmount : null,
+            gameSession: order.gameSession || null,
+            placedAt: new Date().toISOString()
+        });
+        this.persistPlayer(player);
+        return player;
+    }
+
+    /**
+     * Find a player by playerId, userId or email
+     * @param {string} id - Any of the player's identifiers
+     * @returns {Object|null} The player record
+     */
+    getPlayer(id) {
+        if (!id) {
+            return null;
+        }
+        const playerId = this.mergedPlayers.get(id) || id;
+        return this.players.get(playerId) ||
+            this.players.get(this.userIndex.get(id)) ||
+            this.players.get(this.emailIndex.get(String(id).toLowerCase())) ||
+            null;
+    }
+
+    /**
+     * Remove a player's profile (right to erasure)
+     * @param {string} id - playerId, userId or email
+     * @returns {Promise<Object|null>} The removed player record, or null if the player is unknown
+     */
+    async erasePlayer(id) {
+        const player = this.getPlayer(id);
+        if (!player) {
+            return null;
+        }
+
+        this.removePlayer(player);
+        await this.compact();
+        log.info(`Erased player ${player.playerId}`);
+        return player;
+    }
+
+    /**
+     * Remove profiles of players not seen since the cutoff
+     * @param {Date} cutoff - Players last seen before this time are removed
+     * @returns {Promise<Array>} The removed player records
+     */
+    async purgeInactive(cutoff) {
+        const expired = Array.from(this.players.values())
+            .filter(player => new Date(player.lastSeenAt).getTime() < cutoff.getTime());
+
+        if (expired.length > 0) {
+            expired.forEach(player => this.removePlayer(player));
+            await this.compact();
+        }
+        return expired;
+    }
+
+    // Drop a player from the in-memory indexes
+    removePlayer(player) {
+        this.players.delete(player.playerId);
+        player.userIds.forEach(userId => this.userIndex.delete(userId));
+        player.emails.forEach(email => this.emailIndex.delete(email));
+        this.mergedPlayers.forEach((survivor, mergedId) => {
+            if (survivor === player.playerId) {
+                this.mergedPlayers.delete(mergedId);
+            }
+        });
+    }
+
+    /**
+     * Rewrite storage with only the current players, so removed profiles no longer exist on disk
+     * @private
+     */
+    async compact() {
+        if (!this.storage) {
+            return;
+        }
+        const redirects = Array.from(this.mergedPlayers.entries())
+            .map(([playerId, mergedInto]) => ({ playerId, mergedInto }));
+        await this.storage.rewrite([...this.players.values(), ...redirects]);
+    }
+
+    // Get the number of known players
+    getPlayerCount() {
+        return this.players.size;
+    }
+}
+
+// Export singleton instance
+module.exports = new PlayerRegistry();
@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+
+/**
+ * Rate Limiter Module
+ * Token-bucket rate limiting for HTTP routes and WebSocket message types
+ *
+ * Each rule (e.g. 'order', 'game-over') has its own buckets, one per key such as 'ip:10.0.0.7' or
+ * 'user:alice'. A bucket holds up to `capacity` tokens and refills at `refillPerMinute`; a request
+ * takes one token from every key it is checked against and is limited when any of them is empty.
+ * A rule can give 'ip:' keys their own `ip: { capacity, refillPerMinute }` limits, so that many
+ * players behind one address (a conference NAT) are not limited by the per-player limit.
+ */
+
+const { RequestError } = require('./router');
+
+const DEFAULT_IDLE_TTL = 10 * 60 * 1000; // Forget buckets unused for 10 minutes
+
+class RateLimiter {
+    /**
+     * Create a new RateLimiter
+     * @param {Object} config - The 'rateLimit' configuration block
+     * @param {boolean} config.enabled - Set to false to let every request through (default: true)
+     * @param {boolean|number} config.trustProxy - Take the client IP from X-Forwarded-For: true (or 1) for one
+     *   trusted proxy in front of the server, a number for that many (default: false)
+     * @param {Object} config.rules - Rule name -> { capacity, refillPerMinute, ip: { capacity, refillPerMinute } }
+     * @param {number} config.idleTtl - Milliseconds after which unused buckets are dropped (default: 10 minutes)
+     */
+    constructor(config = {}) {
+        this.enabled = config.enabled !== false;
+        this.trustedProxies = config.trustProxy === true ? 1 : Math.max(0, parseInt(config.trustProxy) || 0);
+        this.rules = config.rules || {};
+        this.idleTtl = config.idleTtl || DEFAULT_IDLE_TTL;
+        this.buckets = new Map(); // Map of 'rule|key' -> { tokens, updatedAt }
+        this.counters = {}; // Map of rule -> { allowed, limited }
+        this.lastPrune = Date.now();
+    }
+
+    /**
+     * Check whether a rule is configured and limiting is enabled
+     * @param {string} rule - Rule name
+     * @returns {boolean} True if requests for the rule are limited
+     */
+    hasRule(rule) {
+        return this.enabled && !!this.rules[rule];
+    }
+
+    /**
+     * Take a token for a request
+     * Nothing is taken when any of the keys is out of tokens, so a limited request does not count.
+     * @param {string} rule - Rule name
+     * @param {Array} keys - Keys the request is limited by (e.g. ['ip:10.0.0.7', 'user:alice'])
+     * @param {number} now - Current time in ms (default: Date.now())
+     * @returns {Object} { allowed, remaining, retryAfterMs }
+     */
+    consume(rule, keys, now = Date.now()) {
+        if (!this.hasRule(rule) || keys.length === 0) {
+            return { allowed: true, remaining: null, retryAfterMs: 0 };
+        }
+
+        const buckets = keys.map(key => {
+            const { capacity, refillPerMinute } = this.limitsFor(rule, key);
+            const id = `${rule}|${key}`;
+            const bucket = this.buckets.get(id) || { tokens: capacity, updatedAt: now };
+            bucket.refillPerMs = refillPerMinute / 60000;
+            bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * bucket.refillPerMs);
+            bucket.updatedAt = now;
+            this.buckets.set(id, bucket);
+            return bucket;
+        });
+
+        const counters = this.counters[rule] || (this.counters[rule] = { allowed: 0, limited: 0 });
+        const empty = buckets.filter(bucket => bucket.tokens < 1);
+        this.prune(now);
+
+        if (empty.length > 0) {
+            counters.limited++;
+            const retryAfterMs = Math.max(...empty.map(bucket => (1 - bucket.tokens) / bucket.refillPerMs));
+            return { allowed: false, remaining: 0, retryAfterMs: Math.ceil(retryAfterMs) };
+        }
+
+        buckets.forEach(bucket => bucket.tokens -= 1);
+        counters.allowed++;
+        return {
+            allowed: true,
+            remaining: Math.floor(Math.min(...buckets.map(bucket => bucket.tokens))),
+            retryAfterMs: 0
+        };
+    }
+
+    /**
+     * Get the limits a key is held to under a rule
+     * @private
+     */
+    limitsFor(rule, key) {
+        const limits = this.rules[rule];
+        return key.startsWith('ip:') && limits.ip ? limits.ip : limits;
+    }
+
+    /**
+     * Drop buckets that have not been used for idleTtl (they would be full again anyway)
+     * @private
+     */
+    prune(now) {
+        if (now - this.lastPrune < this.idleTtl) {
+            return;
+        }
+        this.lastPrune = now;
+        this.buckets.forEach((bucket, id) => {
+            if (now - bucket.updatedAt > this.idleTtl) {
+                this.buckets.delete(id);
+            }
+        });
+    }
+
+    /**
+     * Get the client IP of an HTTP request or WebSocket upgrade request
+     * Each proxy appends the address it was connected from to X-Forwarded-For, so only the entries
+     * added by the trusted proxies, counted from the right, can be relied on; anything to their left
+     * was sent by the client.
+     * @param {http.IncomingMessage} req - The request
+     * @returns {string} Client IP
+     */
+    clientIp(req) {
+        const header = this.trustedProxies > 0 && req.headers['x-forwarded-for'];
+        const forwarded = header ? String(header).split(',').map(entry => entry.trim()).filter(Boolean) : [];
+        if (forwarded.length === 0) {
+            return req.socket.remoteAddress;
+        }
+        return forwarded[Math.max(0, forwarded.length - this.trustedProxies)];
+    }
+
+    /**
+     * Create HTTP middleware for a rule
+     * Responds 429 with a Retry-After header when the rule's limit is reached.
+     * @param {string} rule - Rule name
+     * @param {Function} keysFor - (req) => Array of keys, an empty list skips limiting
+     * @returns {Function} (req, res, next) middleware
+     */
+    middleware(rule, keysFor) {
+        return (req, res, next) => {
+            const result = this.consume(rule, keysFor(req));
+            if (!result.allowed) {
+                const retryAfter = Math.ceil(result.retryAfterMs / 1000);
+                throw new RequestError('Too many requests', `Rate limit exceeded, retry in ${retryAfter} seconds`, 429, {
+                    'Retry-After': String(retryAfter)
+                });
+            }
+            return next();
+        };
+    }
+
+    /**
+     * Get counters for health reporting
+     * @returns {Object} { enabled, trackedKeys, allowed, limited, rules }
+     */
+    getStats() {
+        const rules = {};
+        let allowed = 0;
+        let limited = 0;
+        Object.keys(this.rules).forEach(rule => {
+            const counters = this.counters[rule] || { allowed: 0, limited: 0 };
+            rules[rule] = { ...this.rules[rule], ...counters };
+            allowed += counters.allowed;
+            limited += counters.limited;
+        });
+
+        return {
+            enabled: this.enabled,
+            trackedKeys: this.buckets.size,
+            allowed: allowed,
+            limited: limited,
+            rules: rules
+        };
+    }
+}
+
+module.exports = { RateLimiter };
@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+
+/**
+ * Retention Job Module
+ * Periodically purges personal data once the retention period after an event has passed
+ *
+ * Leaderboard entries, game links and rejected submissions are anonymised (scores stay on the boards),
+ * player profiles not seen within the period are removed, and the invoice numbers of purged orders are
+ * handed to the onPurge callback so invoice files held by the WebSocket server can be deleted too.
+ */
+
+const { createLogger } = require('./logger');
+
+const log = createLogger('retention-job');
+
+class RetentionJob {
+    /**
+     * Create a new RetentionJob
+     * @param {Object} options - Job options
+     * @param {Object} options.dataStore - DataStore instance
+     * @param {Object} options.playerRegistry - PlayerRegistry instance
+     * @param {number} options.retentionDays - Days personal data is kept after an event ends (RETENTION_DAYS, default: disabled)
+     * @param {number} options.checkInterval - How often to run in ms (RETENTION_CHECK_INTERVAL_MS, default: 1 hour)
+     * @param {Function} options.onPurge - Called with the purge result when anything was purged
+     */
+    constructor(options = {}) {
+        const retentionDays = options.retentionDays !== undefined ? options.retentionDays : process.env.RETENTION_DAYS;
+
+        this.config = {
+            retentionDays: retentionDays !== undefined && retentionDays !== '' ? Number(retentionDays) : null,
+            checkInterval: options.checkInterval || parseInt(process.env.RETENTION_CHECK_INTERVAL_MS || '3600000')
+        };
+        this.dataStore = options.dataStore;
+        this.playerRegistry = options.playerRegistry;
+        this.onPurge = options.onPurge || null;
+        this.timer = null;
+        this.lastRun = null;
+        this.lastResult = null;
+    }
+
+    /**
+     * Check whether a retention period is configured
+     * @returns {boolean} True if the job purges data
+     */
+    isEnabled() {
+        return Number.isFinite(this.config.retentionDays) && this.config.retentionDays >= 0;
+    }
+
+    /**
+     * Run the job now and then on every check interval
+     */
+    start() {
+        if (!this.isEnabled()) {
+            log.info(`Data retention disabled (set RETENTION_DAYS to enable)`);
+            return;
+        }
+
+        log.info(`Data retention: personal data purged ${this.config.retentionDays} days after an event ends`);
+        const runSafely = () => this.run().catch(error => {
+            log.error(`Data retention run failed: ${error.message}`);
+        });
+
+        runSafely();
+        this.timer = setInterval(runSafely, this.config.checkInterval);
+        this.timer.unref();
+    }
+
+    // Stop the periodic runs
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Purge personal data older than the retention period
+     * @param {Date} now - Reference time (default: now)
+     * @returns {Promise<Object>} { cutoff, entries, links, rejections, players, invoiceNumbers }
+     */
+    async run(now = new Date()) {
+        const cutoff = new Date(now.getTime() - this.config.retentionDays * 24 * 60 * 60 * 1000);
+
+        const purged = await this.dataStore.purgeExpired(cutoff);
+        const players = await this.playerRegistry.purgeInactive(cutoff);
+
+        // Invoices of removed players may belong to orders without a game link
+        const invoiceNumbers = new Set(purged.invoiceNumbers);
+        players.forEach(player => player.orders.forEach(order => order.invoiceNumber && invoiceNumbers.add(order.invoiceNumber)));
+
+        const result = {
+            cutoff: cutoff.toISOString(),
+            entries: purged.entries,
+            links: purged.links,
+            rejections: purged.rejections,
+            players: players.length,
+            invoiceNumbers: Array.from(invoiceNumbers)
+        };
+
+        this.lastRun = now.toISOString();
+        this.lastResult = result;
+
+        if (result.entries || result.links || result.rejections || result.players) {
+            log.info(`Data retention purged ${result.entries} entries, ${result.links} game links, ${result.rejections} rejections and ${result.players} players older than ${result.cutoff}`);
+            if (this.onPurge) {
+                this.onPurge(result);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Get status information
+     * @returns {Object} Retention settings and the last run
+     */
+    getStatus() {
+        return {
+            enabled: this.isEnabled(),
+            retentionDays: this.config.retentionDays,
+            lastRun: this.lastRun,
+            lastResult: this.lastResult
+        };
+    }
+}
+
+module.exports = { RetentionJob };
@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+
+/**
+ * Router Module
+ * Small declarative router with path parameters, method matching and an ordered middleware pipeline
+ *
+ * Middleware and route handlers share the signature (req, res, next). next() returns a promise, so a
+ * middleware can run code after the rest of the pipeline (logging) or wrap it in try/catch (error handling).
+ * Matched routes get req.params (decoded path parameters), req.query and req.pathname.
+ */
+
+const url = require('url');
+const { createLogger } = require('./logger');
+
+const log = createLogger('router');
+
+/**
+ * Error that maps to an HTTP error response
+ * Thrown by middleware and handlers; the error handling middleware turns it into
+ * { success: false, error, message } with the given status code.
+ */
+class RequestError extends Error {
+    /**
+     * @param {string} error - Short error title (e.g. 'Invalid JSON')
+     * @param {string} message - Human readable details
+     * @param {number} statusCode - HTTP status code (default: 400)
+     * @param {Object} headers - Extra response headers (e.g. Allow, Retry-After)
+     */
+    constructor(error, message, statusCode = 400, headers = {}) {
+        super(message);
+        this.name = 'RequestError';
+        this.error = error;
+        this.statusCode = statusCode;
+        this.headers = headers;
+    }
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - The response
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} payload - Response body
+ * @param {Object} headers - Extra response headers
+ */
+function sendJson(res, statusCode, payload, headers = {}) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(payload));
+}
+
+/**
+ * Compile a route pattern such as '/leaderboard/player/:userId' into a regular expression
+ * @param {string} pattern - Route pattern, ':name' segments become parameters
+ * @returns {Object} { regex, keys }
+ * @private
+ */
+function compilePattern(pattern) {
+    const keys = [];
+    const source = pattern.split('/').map(segment => {
+        if (segment.startsWith(':')) {
+            keys.push(segment.slice(1));
+            return '([^/]+)';
+        }
+        return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }).join('/');
+
+    return { regex: new RegExp(`^${source}$`), keys };
+}
+
+class Router {
+    constructor() {
+        this.middleware = []; // Run in order for every request
+        this.routes = []; // { method, pattern, regex, keys, handlers }
+    }
+
+    /**
+     * Add middleware that runs for every request, in registration order
+     * @param {Function} fn - (req, res, next) => Promise|void
+     * @returns {Router} this, for chaining
+     */
+    use(fn) {
+        this.middleware.push(fn);
+        return this;
+    }
+
+    /**
+     * Register a route
+     * @param {string} method - HTTP method
+     * @param {string} pattern - Path pattern with optional ':param' segments
+     * @param {...Function} handlers - Route middleware followed by the handler
+     * @returns {Router} this, for chaining
+     */
+    route(method, pattern, ...handlers) {
+        this.routes.push({ method: method.toUpperCase(), pattern, handlers, ...compilePattern(pattern) });
+        return this;
+    }
+
+    get(pattern, ...handlers) {
+        return this.route('GET', pattern, ...handlers);
+    }
+
+    post(pattern, ...handlers) {
+        return this.route('POST', pattern, ...handlers);
+    }
+
+    put(pattern, ...handlers) {
+        return this.route('PUT', pattern, ...handlers);
+    }
+
+    delete(pattern, ...handlers) {
+        return this.route('DELETE', pattern, ...handlers);
+    }
+
+    /**
+     * Find the route for a request
+     * @param {string} method - HTTP method
+     * @param {string} pathname - Request path
+     * @returns {Object} { route, params } when matched, otherwise { allowed } listing methods the path supports
+     */
+    match(method, pathname) {
+        const allowed = new Set();
+
+        for (const route of this.routes) {
+            const match = route.regex.exec(pathname);
+            if (!match) continue;
+
+            if (route.method === method || (method === 'HEAD' && route.method === 'GET')) {
+                const params = {};
+                route.keys.forEach((key, index) => {
+                    try {
+                        params[key] = decodeURIComponent(match[index + 1]);
+                    } catch (error) {
+                        throw new RequestError('Invalid path', `Malformed ${key} in request path`);
+                    }
+                });
+                return { route, params };
+            }
+            allowed.add(route.method);
+        }
+
+        return { allowed: Array.from(allowed) };
+    }
+
+    /**
+     * Methods registered for a path (used for Allow and CORS preflight headers)
+     * @param {string} pathname - Request path
+     * @returns {Array} HTTP methods
+     */
+    allowedMethods(pathname) {
+        const methods = this.routes.filter(route => route.regex.test(pathname)).map(route => route.method);
+        return Array.from(new Set(methods));
+    }
+
+    /**
+     * Dispatch the request to the matching route
+     * Responds 404 for unknown paths and 405 with an Allow header for unsupported methods.
+     * @private
+     */
+    dispatch(req, res) {
+        const { route, params, allowed } = this.match(req.method, req.pathname);
+
+        if (!route) {
+            if (allowed.length > 0) {
+                throw new RequestError('Method not allowed', `${req.method} is not supported for ${req.pathname}`, 405, {
+                    'Allow': allowed.join(', ')
+                });
+            }
+            throw new RequestError('Not found', `No route for ${req.pathname}`, 404);
+        }
+
+        req.params = params;
+        req.route = route.pattern;
+        return this.run(route.handlers, req, res);
+    }
+
+    /**
+     * Run a list of (req, res, next) functions in order
+     * @private
+     */
+    run(stack, req, res, done = () => Promise.resolve()) {
+        const step = async (index) => {
+            if (index === stack.length) {
+                return done();
+            }
+            let called = false;
+            await stack[index](req, res, () => {
+                if (called) {
+                    return Promise.reject(new Error('next() called multiple times'));
+                }
+                called = true;
+                return step(index + 1);
+            });
+        };
+        return step(0);
+    }
+
+    /**
+     * Handle a request: global middleware first, then the matching route
+     * Use as the http.createServer request listener.
+     * @param {http.IncomingMessage} req - The request
+     * @param {http.ServerResponse} res - The response
+     * @returns {Promise<void>}
+     */
+    async handle(req, res) {
+        const parsedUrl = url.parse(req.url, true);
+        req.pathname = parsedUrl.pathname;
+        req.query = parsedUrl.query;
+        req.params = {};
+
+        try {
+            await this.run(this.middleware, req, res, () => this.dispatch(req, res));
+        } catch (error) {
+            // Last resort when no error handling middleware is registered
+            log.error(`Unhandled error for ${req.method} ${req.pathname}: ${error.message}`);
+            if (!res.headersSent) {
+                sendJson(res, error.statusCode || 500, { success: false, error: error.error || 'Internal server error' });
+            } else {
+                res.destroy();
+            }
+        }
+    }
+}
+
+module.exports = {
+    Router,
+    RequestError,
+    sendJson
+};
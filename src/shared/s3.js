@@ -6,6 +6,9 @@
  */
 
 const { Client } = require('minio');
+const { createLogger } = require('./logger');
+
+const log = createLogger('s3');
 
 class S3Client {
     constructor(config = {}) {
@@ -28,25 +31,50 @@ class S3Client {
      */
     async connect() {
         try {
-            console.log(`🔗 Connecting to MinIO server at ${this.config.endPoint}:${this.config.port}`);
+            log.info(`Connecting to MinIO server at ${this.config.endPoint}:${this.config.port}`);
             
-            this.client = new Client({
-                endPoint: this.config.endPoint,
-                port: this.config.port,
-                useSSL: this.config.useSSL,
-                accessKey: this.config.accessKey,
-                secretKey: this.config.secretKey,
-                region: this.config.region
-            });
+            this.client = this.createClient();
 
             // Test connection by listing buckets
             await this.client.listBuckets();
             this.connected = true;
-            console.log(`✅ Successfully connected to MinIO server`);
+            log.info(`Successfully connected to MinIO server`);
             return true;
 
         } catch (error) {
-            console.error(`❌ Failed to connect to MinIO server:`, error.message);
+            log.error(`Failed to connect to MinIO server`, { error: error.message });
+            this.connected = false;
+            throw error;
+        }
+    }
+
+    /**
+     * Create the MinIO client (no request is made until it is used)
+     * @private
+     */
+    createClient() {
+        return new Client({
+            endPoint: this.config.endPoint,
+            port: this.config.port,
+            useSSL: this.config.useSSL,
+            accessKey: this.config.accessKey,
+            secretKey: this.config.secretKey,
+            region: this.config.region
+        });
+    }
+
+    /**
+     * Check that the server is reachable and accepts the credentials
+     * Unlike connect() nothing is logged, so readiness probes can call it often.
+     * @returns {Promise<boolean>} True if the server answered
+     */
+    async ping() {
+        this.client = this.client || this.createClient();
+        try {
+            await this.client.listBuckets();
+            this.connected = true;
+            return true;
+        } catch (error) {
             this.connected = false;
             throw error;
         }
@@ -67,12 +95,12 @@ class S3Client {
     async listBuckets() {
         this.ensureConnected();
         try {
-            console.log(`📂 Listing all buckets`);
+            log.debug(`Listing all buckets`);
             const buckets = await this.client.listBuckets();
-            console.log(`📂 Found ${buckets.length} buckets`);
+            log.debug(`Found ${buckets.length} buckets`);
             return buckets;
         } catch (error) {
-            console.error(`❌ Error listing buckets:`, error.message);
+            log.error(`Error listing buckets`, { error: error.message });
             throw error;
         }
     }
@@ -87,7 +115,7 @@ class S3Client {
     async listObjects(bucketName, prefix = '', recursive = true) {
         this.ensureConnected();
         try {
-            console.log(`📋 Listing objects in bucket '${bucketName}' with prefix '${prefix}'`);
+            log.debug(`Listing objects in bucket '${bucketName}' with prefix '${prefix}'`);
             
             const objects = [];
             const stream = this.client.listObjects(bucketName, prefix, recursive);
@@ -103,17 +131,17 @@ class S3Client {
                 });
                 
                 stream.on('end', () => {
-                    console.log(`📋 Found ${objects.length} objects in bucket '${bucketName}'`);
+                    log.debug(`Found ${objects.length} objects in bucket '${bucketName}'`);
                     resolve(objects);
                 });
                 
                 stream.on('error', (error) => {
-                    console.error(`❌ Error listing objects in bucket '${bucketName}':`, error.message);
+                    log.error(`Error listing objects in bucket '${bucketName}'`, { error: error.message });
                     reject(error);
                 });
             });
         } catch (error) {
-            console.error(`❌ Error accessing bucket '${bucketName}':`, error.message);
+            log.error(`Error accessing bucket '${bucketName}'`, { error: error.message });
             throw error;
         }
     }
@@ -127,7 +155,7 @@ class S3Client {
     async getObject(bucketName, objectName) {
         this.ensureConnected();
         try {
-            console.log(`📥 Fetching object '${objectName}' from bucket '${bucketName}'`);
+            log.debug(`Fetching object '${objectName}' from bucket '${bucketName}'`);
             
             const stream = await this.client.getObject(bucketName, objectName);
             const chunks = [];
@@ -139,17 +167,17 @@ class S3Client {
                 
                 stream.on('end', () => {
                     const buffer = Buffer.concat(chunks);
-                    console.log(`✅ Successfully fetched object '${objectName}' (${buffer.length} bytes)`);
+                    log.info(`Successfully fetched object '${objectName}' (${buffer.length} bytes)`);
                     resolve(buffer);
                 });
                 
                 stream.on('error', (error) => {
-                    console.error(`❌ Error fetching object '${objectName}':`, error.message);
+                    log.error(`Error fetching object '${objectName}'`, { error: error.message });
                     reject(error);
                 });
             });
         } catch (error) {
-            console.error(`❌ Error accessing object '${objectName}' in bucket '${bucketName}':`, error.message);
+            log.error(`Error accessing object '${objectName}' in bucket '${bucketName}'`, { error: error.message });
             throw error;
         }
     }
@@ -177,11 +205,53 @@ class S3Client {
         try {
             return JSON.parse(content);
         } catch (error) {
-            console.error(`❌ Error parsing JSON from object '${objectName}':`, error.message);
+            log.error(`Error parsing JSON from object '${objectName}'`, { error: error.message });
             throw new Error(`Invalid JSON in object '${objectName}': ${error.message}`);
         }
     }
 
+    /**
+     * Upload an object to MinIO
+     * @param {string} bucketName - Name of the bucket
+     * @param {string} objectName - Name of the object
+     * @param {Buffer|string} data - Object content
+     * @param {Object} metaData - Optional object metadata (e.g. Content-Type)
+     * @returns {Promise<Object>} Upload result with etag
+     */
+    async putObject(bucketName, objectName, data, metaData = {}) {
+        this.ensureConnected();
+        try {
+            const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
+            log.info(`Uploading object '${objectName}' to bucket '${bucketName}' (${buffer.length} bytes)`);
+            const result = await this.client.putObject(bucketName, objectName, buffer, buffer.length, metaData);
+            return result;
+        } catch (error) {
+            log.error(`Error uploading object '${objectName}'`, { error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Create a bucket if it does not already exist
+     * @param {string} bucketName - Name of the bucket
+     * @returns {Promise<boolean>} True if the bucket was created
+     */
+    async ensureBucket(bucketName) {
+        this.ensureConnected();
+        try {
+            const exists = await this.client.bucketExists(bucketName);
+            if (exists) {
+                return false;
+            }
+            log.info(`Creating bucket '${bucketName}'`);
+            await this.client.makeBucket(bucketName, this.config.region);
+            return true;
+        } catch (error) {
+            log.error(`Error ensuring bucket '${bucketName}'`, { error: error.message });
+            throw error;
+        }
+    }
+
     /**
      * Get object metadata
      * @param {string} bucketName - Name of the bucket
@@ -191,12 +261,12 @@ class S3Client {
     async getObjectStat(bucketName, objectName) {
         this.ensureConnected();
         try {
-            console.log(`📊 Getting stats for object '${objectName}' in bucket '${bucketName}'`);
+            log.debug(`Getting stats for object '${objectName}' in bucket '${bucketName}'`);
             const stat = await this.client.statObject(bucketName, objectName);
-            console.log(`📊 Object '${objectName}' size: ${stat.size} bytes, modified: ${stat.lastModified}`);
+            log.debug(`Object '${objectName}' size: ${stat.size} bytes, modified: ${stat.lastModified}`);
             return stat;
         } catch (error) {
-            console.error(`❌ Error getting stats for object '${objectName}':`, error.message);
+            log.error(`Error getting stats for object '${objectName}'`, { error: error.message });
             throw error;
         }
     }
@@ -229,12 +299,12 @@ class S3Client {
     async getPresignedUrl(bucketName, objectName, expiry = 24 * 60 * 60) {
         this.ensureConnected();
         try {
-            console.log(`🔗 Generating presigned URL for '${objectName}' (expires in ${expiry}s)`);
+            log.debug(`Generating presigned URL for '${objectName}' (expires in ${expiry}s)`);
             const url = await this.client.presignedGetObject(bucketName, objectName, expiry);
-            console.log(`✅ Generated presigned URL for '${objectName}'`);
+            log.info(`Generated presigned URL for '${objectName}'`);
             return url;
         } catch (error) {
-            console.error(`❌ Error generating presigned URL for '${objectName}':`, error.message);
+            log.error(`Error generating presigned URL for '${objectName}'`, { error: error.message });
             throw error;
         }
     }
@@ -256,7 +326,7 @@ class S3Client {
         const regex = new RegExp(regexPattern, 'i');
         
         const matchingObjects = allObjects.filter(obj => regex.test(obj.name));
-        console.log(`🔍 Found ${matchingObjects.length} objects matching pattern '${pattern}'`);
+        log.info(`Found ${matchingObjects.length} objects matching pattern '${pattern}'`);
         
         return matchingObjects;
     }
@@ -282,7 +352,7 @@ class S3Client {
                         data: data
                     };
                 } catch (error) {
-                    console.error(`❌ Failed to fetch object '${obj.name}':`, error.message);
+                    log.error(`Failed to fetch object '${obj.name}'`, { error: error.message });
                     return {
                         name: obj.name,
                         error: error.message
@@ -295,7 +365,7 @@ class S3Client {
             .filter(result => result.status === 'fulfilled')
             .map(result => result.value);
 
-        console.log(`📥 Successfully fetched ${successful.length} out of ${matchingObjects.length} objects`);
+        log.info(`Successfully fetched ${successful.length} out of ${matchingObjects.length} objects`);
         return successful;
     }
 
@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+
+/**
+ * Schema Validator Module
+ * Validates values against the JSON Schema subset used by the OpenAPI document (openapi.js)
+ *
+ * Supported keywords: type (single or list, including 'integer' and 'null'), enum, const, required,
+ * properties, additionalProperties, items, minItems, maxItems, minimum, maximum, exclusiveMinimum,
+ * minLength, maxLength, pattern, format ('date-time', 'email') and local $ref ('#/components/schemas/Name').
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+
+/**
+ * Get the JSON Schema type of a value
+ * @private
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+/**
+ * Check a value against a schema type
+ * @private
+ */
+function matchesType(value, type) {
+    if (type === 'integer') return Number.isInteger(value);
+    if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+    return typeOf(value) === type;
+}
+
+/**
+ * Resolve a local $ref such as '#/components/schemas/LeaderboardEntry'
+ * @private
+ */
+function resolveRef(ref, root) {
+    const target = ref.replace(/^#\//, '').split('/').reduce((node, key) => node && node[key], root);
+    if (!target) {
+        throw new Error(`Unresolvable schema reference ${ref}`);
+    }
+    return target;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - The schema
+ * @param {*} value - Value to validate
+ * @param {Object} options - Options
+ * @param {Object} options.root - Document $ref values are resolved against (default: the schema)
+ * @param {string} options.path - Path of the value, used in error messages (default: '$')
+ * @returns {Array} Errors as { path, message }; empty when the value is valid
+ */
+function validateSchema(schema, value, options = {}) {
+    const root = options.root || schema;
+    const path = options.path || '$';
+    const errors = [];
+    const fail = (message) => errors.push({ path, message });
+
+    if (schema.$ref) {
+        return validateSchema(resolveRef(schema.$ref, root), value, { root, path });
+    }
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            fail(`must be ${types.join(' or ')}, got ${typeOf(value)}`);
+            return errors;
+        }
+    }
+
+    if (schema.const !== undefined && value !== schema.const) {
+        fail(`must be ${JSON.stringify(schema.const)}`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail(`must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) fail(`must be > ${schema.exclusiveMinimum}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) fail(`must be at least ${schema.minLength} characters`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must be at most ${schema.maxLength} characters`);
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`must match ${schema.pattern}`);
+        if (schema.format === 'date-time' && isNaN(Date.parse(value))) fail('must be an ISO 8601 date-time');
+        if (schema.format === 'email' && !EMAIL_PATTERN.test(value)) fail('must be an email address');
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} items`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+        if (schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...validateSchema(schema.items, item, { root, path: `${path}[${index}]` }));
+            });
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                errors.push({ path: `${path}.${key}`, message: 'is required' });
+            }
+        });
+        Object.keys(value).forEach(key => {
+            if (value[key] === undefined) return;
+            if (properties[key]) {
+                errors.push(...validateSchema(properties[key], value[key], { root, path: `${path}.${key}` }));
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: `${path}.${key}`, message: 'is not allowed' });
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                errors.push(...validateSchema(schema.additionalProperties, value[key], { root, path: `${path}.${key}` }));
+            }
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Format validation errors for a response message
+ * @param {Array} errors - Errors from validateSchema()
+ * @returns {string} e.g. '$.player.userId is required; $.items must have at least 1 items'
+ */
+function formatErrors(errors) {
+    return errors.map(error => `${error.path} ${error.message}`).join('; ');
+}
+
+module.exports = {
+    validateSchema,
+    formatErrors
+};
@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+
+/**
+ * Score Validator Module
+ * Recomputes game scores on the server and checks game_over submissions for plausibility
+ *
+ * Score formula: T-shirt value × T-shirt multiplier + coins remaining + level × level bonus
+ */
+
+class ScoreValidator {
+    /**
+     * Create a new ScoreValidator
+     * @param {Object} config - Validation configuration (defaults read from environment variables)
+     * @param {number} config.tShirtMultiplier - Points per unit of T-shirt value (SCORE_TSHIRT_MULTIPLIER, default: 2)
+     * @param {number} config.levelBonus - Points per level reached (SCORE_LEVEL_BONUS, default: 10)
+     * @param {number} config.tolerance - Allowed difference between claimed and computed score (SCORE_TOLERANCE, default: 0)
+     * @param {string} config.mismatchAction - 'reject' or 'flag' when the claimed score disagrees (SCORE_MISMATCH_ACTION, default: 'flag')
+     * @param {number} config.maxLevel - Highest level a game can reach (SCORE_MAX_LEVEL, default: 20)
+     * @param {number} config.maxCoinsPerLevel - Most coins a player can hold per level reached (SCORE_MAX_COINS_PER_LEVEL, default: 100)
+     * @param {number} config.maxTShirtsPerLevel - Most T-shirts a player can collect per level reached (SCORE_MAX_TSHIRTS_PER_LEVEL, default: 20)
+     * @param {number} config.minSessionDuration - Shortest plausible game in ms (SCORE_MIN_SESSION_MS, default: 10000)
+     * @param {number} config.maxSessionDuration - Longest plausible game in ms (SCORE_MAX_SESSION_MS, default: 3600000)
+     */
+    constructor(config = {}) {
+        const numberFrom = (value, envName, fallback) => {
+            if (value !== undefined) return value;
+            const envValue = process.env[envName];
+            return envValue !== undefined && envValue !== '' ? Number(envValue) : fallback;
+        };
+
+        this.config = {
+            tShirtMultiplier: numberFrom(config.tShirtMultiplier, 'SCORE_TSHIRT_MULTIPLIER', 2),
+            levelBonus: numberFrom(config.levelBonus, 'SCORE_LEVEL_BONUS', 10),
+            tolerance: numberFrom(config.tolerance, 'SCORE_TOLERANCE', 0),
+            mismatchAction: config.mismatchAction || process.env.SCORE_MISMATCH_ACTION || 'flag',
+            maxLevel: numberFrom(config.maxLevel, 'SCORE_MAX_LEVEL', 20),
+            maxCoinsPerLevel: numberFrom(config.maxCoinsPerLevel, 'SCORE_MAX_COINS_PER_LEVEL', 100),
+            maxTShirtsPerLevel: numberFrom(config.maxTShirtsPerLevel, 'SCORE_MAX_TSHIRTS_PER_LEVEL', 20),
+            minSessionDuration: numberFrom(config.minSessionDuration, 'SCORE_MIN_SESSION_MS', 10000),
+            maxSessionDuration: numberFrom(config.maxSessionDuration, 'SCORE_MAX_SESSION_MS', 3600000)
+        };
+    }
+
+    /**
+     * Compute the score for a finished game
+     * @param {Object} stats - Game statistics
+     * @param {number} stats.tShirtValue - Total value of T-shirts collected
+     * @param {number} stats.coinsRemaining - Coins left at the end of the game
+     * @param {number} stats.level - Level reached
+     * @returns {number} Server-side score
+     */
+    computeScore({ tShirtValue, coinsRemaining, level }) {
+        return tShirtValue * this.config.tShirtMultiplier + coinsRemaining + level * this.config.levelBonus;
+    }
+
+    /**
+     * Work out how long a game session lasted
+     * Uses serverTiming (set by the WebSocket server: when the game started, from connecting,
+     * registration, game_start or the previous game_over, and when game_over arrived) when present. Events without it
+     * fall back to the client's gameData.gameDuration (ms), then to the time between gameData.startTime
+     * and the event timestamp.
+     * @param {Object} gameEvent - The game_over event
+     * @returns {number|null} Duration in ms or null if it cannot be determined
+     */
+    getSessionDuration(gameEvent) {
+        const gameData = gameEvent.gameData || {};
+        const serverTiming = gameEvent.serverTiming;
+
+        if (serverTiming) {
+            if (!serverTiming.startedAt) {
+                return null;
+            }
+            const duration = new Date(serverTiming.receivedAt).getTime() - new Date(serverTiming.startedAt).getTime();
+            return isNaN(duration) ? null : duration;
+        }
+
+        if (typeof gameData.gameDuration === 'number') {
+            return gameData.gameDuration;
+        }
+
+        if (gameData.startTime && gameEvent.timestamp) {
+            const duration = new Date(gameEvent.timestamp).getTime() - new Date(gameData.startTime).getTime();
+            return isNaN(duration) ? null : duration;
+        }
+
+        return null;
+    }
+
+    /**
+     * Validate a game_over event and compute its score
+     * @param {Object} gameEvent - The game_over event ({ player, gameData, timestamp })
+     * @returns {Object} { accepted, flagged, computedScore, claimedScore, stats, reasons }
+     */
+    validate(gameEvent) {
+        const gameData = gameEvent.gameData || {};
+        const tShirts = gameData.tShirtsCollected || {};
+
+        const stats = {
+            tShirtValue: tShirts.totalValue || 0,
+            tShirtsCount: tShirts.totalCount || 0,
+            coinsRemaining: gameData.coinsRemaining || 0,
+            level: gameData.currentLevel || 1
+        };
+
+        const rejections = [];
+        const flags = [];
+
+        // Field types and ranges
+        Object.entries(stats).forEach(([field, value]) => {
+            if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+                rejections.push({ code: 'invalid_field', message: `${field} must be a non-negative number` });
+            }
+        });
+
+        if (rejections.length === 0) {
+            // Plausibility bounds
+            if (!Number.isInteger(stats.level) || stats.level < 1 || stats.level > this.config.maxLevel) {
+                rejections.push({ code: 'level_out_of_range', message: `Level ${stats.level} is outside 1-${this.config.maxLevel}` });
+            }
+
+            const maxCoins = stats.level * this.config.maxCoinsPerLevel;
+            if (stats.coinsRemaining > maxCoins) {
+                rejections.push({ code: 'too_many_coins', message: `${stats.coinsRemaining} coins exceeds the maximum of ${maxCoins} for level ${stats.level}` });
+            }
+
+            const maxTShirts = stats.level * this.config.maxTShirtsPerLevel;
+            if (stats.tShirtsCount > maxTShirts) {
+                rejections.push({ code: 'too_many_tshirts', message: `${stats.tShirtsCount} T-shirts exceeds the maximum of ${maxTShirts} for level ${stats.level}` });
+            }
+
+            // Without a duration the bounds cannot be checked, so a game must have one while they apply.
+            // A server-measured duration may include idle time before the game, so it only proves a game too short.
+            const duration = this.getSessionDuration(gameEvent);
+            if (duration === null) {
+                if (this.config.minSessionDuration > 0) {
+                    rejections.push({ code: 'session_duration_unknown', message: 'Game duration could not be determined' });
+                }
+            } else if (duration < this.config.minSessionDuration) {
+                rejections.push({ code: 'session_too_short', message: `Game lasted ${duration}ms, minimum is ${this.config.minSessionDuration}ms` });
+            } else if (duration > this.config.maxSessionDuration && !gameEvent.serverTiming) {
+                rejections.push({ code: 'session_too_long', message: `Game lasted ${duration}ms, maximum is ${this.config.maxSessionDuration}ms` });
+            }
+        }
+
+        const computedScore = rejections.length === 0 ? this.computeScore(stats) : null;
+        const claimedScore = gameData.gameScore;
+
+        // Compare the client's score with ours
+        if (computedScore !== null && claimedScore !== undefined &&
+            (typeof claimedScore !== 'number' || Math.abs(claimedScore - computedScore) > this.config.tolerance)) {
+            const mismatch = {
+                code: 'score_mismatch',
+                message: `Claimed score ${claimedScore} does not match computed score ${computedScore}`
+            };
+            if (this.config.mismatchAction === 'reject') {
+                rejections.push(mismatch);
+            } else {
+                flags.push(mismatch);
+            }
+        }
+
+        return {
+            accepted: rejections.length === 0,
+            flagged: flags.length > 0,
+            computedScore: computedScore,
+            claimedScore: claimedScore,
+            stats: stats,
+            reasons: rejections.length > 0 ? rejections : flags
+        };
+    }
+
+    /**
+     * Get configuration info
+     * @returns {Object} Active validation settings
+     */
+    getConfig() {
+        return { ...this.config };
+    }
+}
+
+module.exports = { ScoreValidator };
@@ -0,0 +1,347 @@
+#!/usr/bin/env node
+
+/**
+ * Storage Adapters Module
+ * Pluggable persistence for records that must survive a restart (leaderboard scores, etc.)
+ *
+ * Every adapter implements the same small interface:
+ *   - load()            -> Promise<Array>  all persisted records, oldest first
+ *   - append(record)    -> Promise<void>   durably add one record
+ *   - rewrite(records)  -> Promise<void>   atomically replace the full record set (compaction)
+ *   - update(transform) -> Promise<void>   read, transform and rewrite the persisted records as one
+ *                                          write, so appends queued meanwhile are not lost; transform is
+ *                                          records => records, or null to leave them unchanged
+ *   - checkWritable()   -> Promise<void>   reject when records could not be written (readiness probe)
+ *   - close()           -> Promise<void>   release any resources
+ *
+ * A SQLite or database backed adapter only needs to provide these six methods
+ * and be registered in createStorage().
+ */
+
+const fs = require('fs').promises;
+const { constants: fsConstants } = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const log = createLogger('storage');
+
+/**
+ * Append-only JSON-lines file storage (default)
+ * Each record is written as a single line followed by a newline and flushed to disk.
+ * A crash mid-write can only leave a truncated final line, which load() discards.
+ */
+class JsonLinesStorage {
+    /**
+     * @param {Object} options - Storage options
+     * @param {string} options.filePath - Path of the .jsonl file
+     */
+    constructor(options = {}) {
+        if (!options.filePath) {
+            throw new Error('JsonLinesStorage requires a filePath');
+        }
+        this.filePath = options.filePath;
+        this.writeChain = Promise.resolve(); // Serialises appends and rewrites
+    }
+
+    /**
+     * Run a write after the pending ones
+     * A failed write rejects only its own promise; later writes still run.
+     * @param {Function} task - async () => void
+     * @returns {Promise<void>} Settles when this write is done
+     * @private
+     */
+    queueWrite(task) {
+        const write = this.writeChain.then(task);
+        this.writeChain = write.catch(() => {});
+        return write;
+    }
+
+    /**
+     * Load all records from the file
+     * @returns {Promise<Array>} Persisted records
+     */
+    async load() {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+        const { records, corruptLines, truncated } = await this.readRecords();
+        if (corruptLines > 0 || truncated) {
+            // Interrupted write - compact so later appends start on a clean line
+            log.warn(`Discarded ${corruptLines} incomplete record(s) in ${this.filePath}, compacting file`);
+            await this.rewrite(records);
+        }
+
+        log.info(`Loaded ${records.length} records from ${this.filePath}`);
+        return records;
+    }
+
+    /**
+     * Parse the file, skipping lines that are not valid JSON
+     * @returns {Promise<Object>} { records, corruptLines, truncated }
+     * @private
+     */
+    async readRecords() {
+        let content;
+        try {
+            content = await fs.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                log.info(`No existing storage file at ${this.filePath}, starting empty`);
+                return { records: [], corruptLines: 0, truncated: false };
+            }
+            throw error;
+        }
+
+        const records = [];
+        let corruptLines = 0;
+
+        content.split('\n').forEach((line) => {
+            if (!line.trim()) return;
+            try {
+                records.push(JSON.parse(line));
+            } catch (parseError) {
+                corruptLines++;
+            }
+        });
+
+        return { records, corruptLines, truncated: content.length > 0 && !content.endsWith('\n') };
+    }
+
+    /**
+     * Append a single record
+     * @param {Object} record - Record to persist
+     * @returns {Promise<void>}
+     */
+    append(record) {
+        const line = JSON.stringify(record) + '\n';
+
+        return this.queueWrite(async () => {
+            const handle = await fs.open(this.filePath, 'a');
+            try {
+                await handle.write(line);
+                await handle.datasync();
+            } finally {
+                await handle.close();
+            }
+        });
+    }
+
+    /**
+     * Atomically replace the file contents
+     * Writes to a temporary file first and renames it over the original.
+     * @param {Array} records - Full record set
+     * @returns {Promise<void>}
+     */
+    rewrite(records) {
+        const content = records.map(record => JSON.stringify(record) + '\n').join('');
+        return this.queueWrite(() => this.replaceFile(content));
+    }
+
+    /**
+     * Read, transform and rewrite the records after the pending writes, as a single write
+     * @param {Function} transform - records => records, or null to leave the file unchanged
+     * @returns {Promise<void>}
+     */
+    update(transform) {
+        return this.queueWrite(async () => {
+            const { records } = await this.readRecords();
+            const updated = transform(records);
+            if (updated) {
+                await this.replaceFile(updated.map(record => JSON.stringify(record) + '\n').join(''));
+            }
+        });
+    }
+
+    /**
+     * Write the content to a temporary file and rename it over the original
+     * @private
+     */
+    async replaceFile(content) {
+        const tempPath = `${this.filePath}.tmp`;
+        const handle = await fs.open(tempPath, 'w');
+        try {
+            await handle.write(content);
+            await handle.datasync();
+        } finally {
+            await handle.close();
+        }
+        await fs.rename(tempPath, this.filePath);
+    }
+
+    /**
+     * Check that the file (or, before the first write, its directory) can be written
+     * @returns {Promise<void>}
+     */
+    async checkWritable() {
+        try {
+            await fs.access(this.filePath, fsConstants.W_OK);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+            await fs.access(path.dirname(this.filePath), fsConstants.W_OK);
+        }
+    }
+
+    /**
+     * Wait for pending writes to finish
+     * @returns {Promise<void>}
+     */
+    async close() {
+        await this.writeChain;
+    }
+}
+
+/**
+ * In-memory storage
+ * Keeps the previous non-durable behaviour; useful for development and testing.
+ */
+class MemoryStorage {
+    constructor() {
+        this.records = [];
+    }
+
+    async load() {
+        return [...this.records];
+    }
+
+    async append(record) {
+        this.records.push(record);
+    }
+
+    async rewrite(records) {
+        this.records = [...records];
+    }
+
+    async update(transform) {
+        const updated = transform([...this.records]);
+        if (updated) {
+            this.records = [...updated];
+        }
+    }
+
+    async checkWritable() {}
+
+    async close() {}
+}
+
+/**
+ * S3/MinIO storage using the shared S3Client
+ * Objects cannot be appended to, so the full record set is kept in memory and
+ * uploaded as a single JSON document after every change. Suitable for low volume
+ * data such as event leaderboards.
+ */
+class S3Storage {
+    /**
+     * @param {Object} options - Storage options
+     * @param {string} options.bucketName - Bucket to store the document in
+     * @param {string} options.objectName - Object key of the JSON document
+     * @param {Object} options.s3Client - Optional existing S3Client instance
+     * @param {Object} options.s3Config - Optional S3Client configuration
+     */
+    constructor(options = {}) {
+        const { S3Client } = require('./s3');
+
+        this.bucketName = options.bucketName || process.env.STORAGE_BUCKET || 'shopmaze-data';
+        this.objectName = options.objectName;
+        this.s3Client = options.s3Client || new S3Client(options.s3Config);
+        this.records = [];
+        this.writeChain = Promise.resolve();
+    }
+
+    async load() {
+        if (!this.s3Client.isConnected()) {
+            await this.s3Client.connect();
+        }
+        await this.s3Client.ensureBucket(this.bucketName);
+
+        const exists = await this.s3Client.objectExists(this.bucketName, this.objectName);
+        this.records = exists ? await this.s3Client.getObjectAsJSON(this.bucketName, this.objectName) : [];
+
+        log.info(`Loaded ${this.records.length} records from s3://${this.bucketName}/${this.objectName}`);
+        return [...this.records];
+    }
+
+    append(record) {
+        this.records.push(record);
+        return this.upload();
+    }
+
+    rewrite(records) {
+        this.records = [...records];
+        return this.upload();
+    }
+
+    // The in-memory record set already holds every append, so it is transformed directly
+    update(transform) {
+        const updated = transform([...this.records]);
+        if (!updated) {
+            return this.writeChain;
+        }
+        this.records = [...updated];
+        return this.upload();
+    }
+
+    /**
+     * Upload the current record set
+     * @private
+     */
+    upload() {
+        const body = JSON.stringify(this.records);
+        const upload = this.writeChain.then(() =>
+            this.s3Client.putObject(this.bucketName, this.objectName, body, { 'Content-Type': 'application/json' })
+        );
+        this.writeChain = upload.catch(() => {}); // A failed upload must not block later ones
+        return upload;
+    }
+
+    /**
+     * Check that MinIO is reachable and the bucket exists
+     * @returns {Promise<void>}
+     */
+    async checkWritable() {
+        await this.s3Client.ping();
+        if (!await this.s3Client.client.bucketExists(this.bucketName)) {
+            throw new Error(`Bucket ${this.bucketName} does not exist`);
+        }
+    }
+
+    async close() {
+        await this.writeChain;
+    }
+}
+
+/**
+ * Create a storage adapter for a named data set
+ * The backend is chosen by options.backend or the STORAGE_BACKEND environment variable
+ * (jsonl | memory | s3, default jsonl).
+ * @param {string} name - Data set name (e.g. 'leaderboard'), used for the file/object name
+ * @param {Object} options - Adapter options
+ * @returns {Object} Storage adapter
+ */
+function createStorage(name, options = {}) {
+    const backend = options.backend || process.env.STORAGE_BACKEND || 'jsonl';
+    const storageDir = options.storageDir || process.env.STORAGE_DIR || path.join(process.cwd(), 'data');
+
+    switch (backend) {
+        case 'jsonl':
+            return new JsonLinesStorage({
+                filePath: options.filePath || path.join(storageDir, `${name}.jsonl`)
+            });
+        case 'memory':
+            return new MemoryStorage();
+        case 's3':
+            return new S3Storage({
+                objectName: `${name}.json`,
+                ...options
+            });
+        default:
+            throw new Error(`Unknown storage backend: ${backend}`);
+    }
+}
+
+module.exports = {
+    JsonLinesStorage,
+    MemoryStorage,
+    S3Storage,
+    createStorage
+};
@@ -5,8 +5,11 @@
 
 const { spawn } = require('child_process');
 const path = require('path');
+const { createLogger } = require('./shared/logger');
 
-console.log('🚀 Starting Red Hat Quest Backend Services...\n');
+const log = createLogger('start-servers');
+
+log.info('Starting Red Hat Quest Backend Services...');
 
 // Start WebSocket server
 const wsServer = spawn('node', [path.join(__dirname, 'websocket-server.js')], {
@@ -22,39 +25,39 @@ const httpServer = spawn('node', [path.join(__dirname, 'http-server.js')], {
 
 // Handle WebSocket server events
 wsServer.on('close', (code) => {
-    console.log(`\n🔌 WebSocket server exited with code ${code}`);
+    log.info(`WebSocket server exited with code ${code}`);
     if (code !== 0) {
-        console.log('❌ WebSocket server crashed, shutting down all services...');
+        log.error('WebSocket server crashed, shutting down all services...');
         httpServer.kill('SIGTERM');
         process.exit(1);
     }
 });
 
 wsServer.on('error', (err) => {
-    console.error('❌ WebSocket server error:', err);
+    log.error('WebSocket server error', err);
     httpServer.kill('SIGTERM');
     process.exit(1);
 });
 
 // Handle HTTP server events
 httpServer.on('close', (code) => {
-    console.log(`\n📊 HTTP server exited with code ${code}`);
+    log.info(`HTTP server exited with code ${code}`);
     if (code !== 0) {
-        console.log('❌ HTTP server crashed, shutting down all services...');
+        log.error('HTTP server crashed, shutting down all services...');
         wsServer.kill('SIGTERM');
         process.exit(1);
     }
 });
 
 httpServer.on('error', (err) => {
-    console.error('❌ HTTP server error:', err);
+    log.error('HTTP server error', err);
     wsServer.kill('SIGTERM');
     process.exit(1);
 });
 
 // Handle graceful shutdown
 function shutdown() {
-    console.log('\n🛑 Shutting down all servers gracefully...');
+    log.info('Shutting down all servers gracefully...');
     
     wsServer.kill('SIGTERM');
     httpServer.kill('SIGTERM');
@@ -70,5 +73,5 @@ function shutdown() {
 process.on('SIGINT', shutdown);
 process.on('SIGTERM', shutdown);
 
-console.log('✅ Both servers started successfully');
-console.log('📝 Use Ctrl+C to stop all services\n');
+log.info('Both servers started successfully');
+log.info('Use Ctrl+C to stop all services');
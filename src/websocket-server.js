@@ -3,13 +3,23 @@
 // Simple WebSocket Server for Red Hat Quest Game Control
 // This is a demonstration server that listens for game commands
 
+const http = require('http');
 const WebSocket = require('ws');
 const { HttpClient } = require('./shared/HttpClient');
 const { InvoicePoller } = require('./shared/invoicePoller');
+const { AuthService, ROLES } = require('./shared/auth');
+const { RateLimiter } = require('./shared/rate-limiter');
+const { getConfig } = require('./shared/config');
+const { metrics } = require('./shared/metrics');
+const { IDEMPOTENCY_HEADER } = require('./shared/idempotency');
+const { createLogger, runWithCorrelationId, getCorrelationId, newCorrelationId, parseCorrelationId, CORRELATION_HEADER } = require('./shared/logger');
+
+const log = createLogger('websocket-server');
 
 const WS_PORT = 8080;
 const HTTP_PORT = process.env.HTTP_PORT || 8099;
 const HTTP_SERVER = process.env.HTTP_SERVER || 'localhost';
+const METRICS_PORT = process.env.METRICS_PORT || 9091;
 
 const server = new WebSocket.Server({ 
     port: WS_PORT,
@@ -17,29 +27,91 @@ const server = new WebSocket.Server({
     //path: '/chat/display'
 });
 
-console.log(`🎮 Red Hat Quest WebSocket Control Server running on ws://localhost:${WS_PORT}/game-control`);
-console.log('📡 Waiting for game client to connect...');
-console.log('');
-console.log('Available commands:');
-console.log('  - start  : Start/Resume the game');
-console.log('  - pause  : Pause the game');
-console.log('  - new    : Create a new game');
-console.log('  - endgame: End the game');
-console.log('');
+log.info(`Red Hat Quest WebSocket Control Server running on ws://localhost:${WS_PORT}/game-control`);
+log.info('Waiting for game client to connect...');
 
 let connectedClients = new Set();
 let userConnections = new Map(); // Map of userId -> ws object
 let connectionUsers = new Map();  // Map of ws object -> userId (reverse lookup)
+let leaderboardSubscribers = new Set(); // ws objects subscribed to live leaderboard updates
+let connectionRoles = new Map(); // Map of ws object -> { role, userId } for authenticated connections
+let gameStarts = new Map(); // Map of ws object -> when its current game started (connect, registration, game_start or previous game_over)
+
+// Service secret, admin token and player token verification
+const auth = new AuthService();
+
+// Token-bucket rate limits for order, game_over and send-to messages (config 'rateLimit' block)
+const rateLimiter = new RateLimiter(getConfig().rateLimit);
+
+// User IDs only a service connection may register as
+const RESERVED_USER_IDS = ['http-server'];
 
 // Create invoice poller instance (declare before use)
 let invoicePoller = null;
 
+// Prometheus metrics served at /metrics on METRICS_PORT
+// Incoming message types outside this list are counted as 'other' to keep label values bounded
+const KNOWN_MESSAGE_TYPES = ['register', 'invoice_register', 'player_erase', 'subscribe_leaderboard', 'unsubscribe_leaderboard',
+    'leaderboard_update', 'order_status', 'game_event', 'order', 'send-to', 'request_invoice', 'ping', 'pong', 'raw'];
+
+metrics.collectDefaultMetrics();
+const websocketMessages = metrics.counter({
+    name: 'websocket_messages_total',
+    help: 'WebSocket messages by direction (in, out) and type',
+    labelNames: ['direction', 'type']
+});
+metrics.gauge({ name: 'websocket_connected_clients', help: 'Open WebSocket connections', collect: () => connectedClients.size });
+metrics.gauge({ name: 'websocket_registered_users', help: 'Users registered on an open connection', collect: () => userConnections.size });
+metrics.gauge({ name: 'websocket_leaderboard_subscribers', help: 'Connections subscribed to leaderboard updates', collect: () => leaderboardSubscribers.size });
+metrics.gauge({ name: 'invoice_poller_registered_invoices', help: 'Invoices waiting to be found in the bucket', collect: () => invoicePoller ? invoicePoller.registeredInvoices.size : 0 });
+metrics.gauge({ name: 'invoice_poller_cached_invoices', help: 'Processed invoices held in memory', collect: () => invoicePoller ? invoicePoller.processedInvoices.size : 0 });
+
+/**
+ * Get the metrics label for an incoming message
+ * @param {Object} messageData - Parsed message
+ * @returns {string} Message type, 'command' for admin-panel commands or 'other'
+ */
+function incomingMessageType(messageData) {
+    if (KNOWN_MESSAGE_TYPES.includes(messageData.type)) {
+        return messageData.type;
+    }
+    return messageData.command ? 'command' : 'other';
+}
+
+/**
+ * Count every message sent on a connection by its type
+ * Wraps ws.send so broadcasts and direct replies are counted alike.
+ * @param {WebSocket} ws - The connection
+ */
+function countOutgoingMessages(ws) {
+    const send = ws.send.bind(ws);
+    ws.send = (data, ...args) => {
+        const match = typeof data === 'string' && /^\{\s*"(type|command)"\s*:\s*"([^"]*)"/.exec(data);
+        websocketMessages.inc({ direction: 'out', type: match ? (match[1] === 'command' ? 'command' : match[2]) : 'other' });
+        return send(data, ...args);
+    };
+}
+
+const metricsServer = http.createServer((req, res) => {
+    if (req.method === 'GET' && req.url.split('?')[0] === '/metrics') {
+        metrics.send(res);
+        return;
+    }
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Not found', message: `No route for ${req.url}` }));
+});
+
+metricsServer.listen(METRICS_PORT, () => {
+    log.info(`Metrics: http://localhost:${METRICS_PORT}/metrics`);
+});
+
 // Create a direct instance of the generic HttpClient for HTTP server communication
 const httpClient = new HttpClient({
     baseUrl: `http://${HTTP_SERVER}:${HTTP_PORT}`,
     defaultHeaders: {
         'Content-Type': 'application/json',
-        'User-Agent': 'WebSocket-Server/1.0'
+        'User-Agent': 'WebSocket-Server/1.0',
+        'Authorization': `Bearer ${auth.getServiceSecret()}`
     },
     timeout: 5000
 });
@@ -47,7 +119,7 @@ const httpClient = new HttpClient({
 // Initialize invoice poller and set up websocket integration
 async function initializeInvoicePoller() {
     try {
-        console.log(`📄 Setting up Invoice Poller integration...`);
+        log.info(`Setting up Invoice Poller integration...`);
         
         invoicePoller = new InvoicePoller({
             pollingInterval: 5000, // Poll every 5 seconds
@@ -61,16 +133,17 @@ async function initializeInvoicePoller() {
         // Set up the callback to send invoice ready notifications via websocket when processed
         invoicePoller.setInvoiceProcessedCallback(sendInvoiceReadyNotification);
         
-        console.log(`✅ Invoice Poller integration setup complete`);
+        // Report invoice status changes to the http server, which serves /invoices
+        invoicePoller.setInvoiceStatusCallback(sendInvoiceStatus);
+        
+        log.info(`Invoice Poller integration setup complete`);
         
     } catch (error) {
-        console.error(`❌ Failed to setup Invoice Poller integration: ${error.message}`);
-        console.error(`⚠️ Invoice processing will not be available`);
+        log.error(`Failed to setup Invoice Poller integration: ${error.message}`);
+        log.warn(`Invoice processing will not be available`);
     }
 }
 
-//console.log(' HTTP Server URL: ' + `http://${HTTP_SERVER}:${HTTP_PORT}`);
-
 /**
  * Send game over event to HTTP server
  * @param {Object} gameOverData - The game over event data
@@ -79,28 +152,46 @@ async function initializeInvoicePoller() {
 async function sendGameOverEvent(gameOverData) {
 
     try {
-        console.log(`🎮 Sending game over event to HTTP server`);
+        log.info(`Sending game over event to HTTP server`);
         const response = await httpClient.post('/game-over', gameOverData);
-        //console.log(`✅ Game over event successfully processed by HTTP server`);
         return response;
     } catch (error) {
-        console.error(`❌ Error sending game over event to HTTP server:`, error.message);
+        log.error(`Error sending game over event to HTTP server`, { error: error.message });
+        throw error;
+    }
+}
+
+/**
+ * Create or update the player's profile on the HTTP server
+ * @param {Object} registration - The register message ({ userId, email, username })
+ * @returns {Promise} Promise that resolves with the player profile
+ */
+async function registerPlayer(registration) {
+    try {
+        const response = await httpClient.post('/players', {
+            userId: registration.userId,
+            email: registration.email,
+            username: registration.username
+        });
+        return response;
+    } catch (error) {
+        log.error(`Error registering player ${registration.userId} with HTTP server`, { error: error.message });
         throw error;
     }
 }
 
 /**
  * Get leaderboard data from HTTP server
+ * @param {string} path - Leaderboard path including any query string (default: '/leaderboard')
  * @returns {Promise} Promise that resolves with leaderboard data
  */
-async function getLeaderboard() {
+async function getLeaderboard(path = '/leaderboard') {
     try {
-        console.log(`📊 Fetching leaderboard from HTTP server`);
-        const response = await httpClient.get('/leaderboard');
-        //console.log(`✅ Retrieved ${response.data.count} leaderboard entries`);
+        log.info(`Fetching leaderboard from HTTP server`);
+        const response = await httpClient.get(path);
         return response;
     } catch (error) {
-        console.error(`❌ Error fetching leaderboard from HTTP server:`, error.message);
+        log.error(`Error fetching leaderboard from HTTP server`, { error: error.message });
         throw error;
     }
 }
@@ -114,7 +205,7 @@ async function getHealth() {
         const response = await httpClient.get('/health');
         return response;
     } catch (error) {
-        console.error(`❌ Error fetching health from HTTP server:`, error.message);
+        log.error(`Error fetching health from HTTP server`, { error: error.message });
         throw error;
     }
 }
@@ -125,30 +216,36 @@ async function getHealth() {
  */
 async function getInvoices() {
     try {
-        console.log(`📄 Fetching invoices from HTTP server`);
+        log.info(`Fetching invoices from HTTP server`);
         const response = await httpClient.get('/invoices');
-        //console.log(`✅ Retrieved ${response.data.count} invoices`);
         return response;
     } catch (error) {
-        console.error(`❌ Error fetching invoices from HTTP server:`, error.message);
+        log.error(`Error fetching invoices from HTTP server`, { error: error.message });
         throw error;
     }
 }
 
 /**
  * Process order by forwarding to HTTP server
- * @param {Object} orderData - The order data to process
+ * The message's idempotencyKey is sent as the Idempotency-Key header, so a repeated message gets the
+ * first order's result instead of placing a second one.
+ * @param {Object} orderData - The order message ({ data, idempotencyKey })
+ * @param {string} userId - Player the HTTP server pushes order_status messages to
  * @returns {Promise} Promise that resolves when order is processed
  */
-async function processOrder(orderData) {
+async function processOrder(orderData, userId) {
     try {
-        JSON.stringify(orderData)
-        console.log(`📦 Processing order for ${JSON.stringify(orderData.data) || 'unknown customer'}`);
-        const response = await httpClient.post('/process-order', orderData.data);
-        console.log(`✅ Order processed successfully by HTTP server`);
+        log.info('Forwarding order to HTTP server', { customerName: orderData.data && orderData.data.customerName });
+        const headers = { [CORRELATION_HEADER]: getCorrelationId() };
+        if (orderData.idempotencyKey !== undefined && orderData.idempotencyKey !== null) {
+            headers[IDEMPOTENCY_HEADER] = String(orderData.idempotencyKey);
+        }
+        const body = userId ? { ...orderData.data, userId: userId } : orderData.data;
+        const response = await httpClient.post('/process-order', body, { headers: headers });
+        log.info(`Order processed successfully by HTTP server`);
         return response;
     } catch (error) {
-        console.error(`❌ Failed to process order via HTTP server:`, error.message);
+        log.error(`Failed to process order via HTTP server`, { error: error.message });
         throw error;
     }
 }
@@ -157,22 +254,23 @@ async function processOrder(orderData) {
 * Register an invoice for polling
 * @param {string} invoiceNumber - The invoice number to register
 * @param {string} playerId - The player ID associated with the invoice
+* @param {Object} details - Optional order details ({ orderId })
 * @returns {void}
 */
-function registerInvoice(invoiceNumber, playerId) {
+function registerInvoice(invoiceNumber, playerId, details = {}) {
     if (invoicePoller) {
         try {
-            const result = invoicePoller.registerInvoice(invoiceNumber, playerId);
+            const result = invoicePoller.registerInvoice(invoiceNumber, playerId, details);
             if (result) {
-                console.log(`✅ Invoice ${invoiceNumber} was already processed for player ${playerId}`);
+                log.info(`Invoice ${invoiceNumber} was already processed for player ${playerId}`);
             } else {
-                console.log(`📄 Registered invoice ${invoiceNumber} for player ${playerId} for polling`);
+                log.info(`Registered invoice ${invoiceNumber} for player ${playerId} for polling`);
             }
         } catch (error) {
-            console.log(`❌ Failed to register invoice: ${error.message}`);
+            log.error(`Failed to register invoice: ${error.message}`);
         }
     } else {
-        console.log(`❌ Invoice Poller not initialized`);
+        log.error(`Invoice Poller not initialized`);
     }
     return;
 }
@@ -187,12 +285,12 @@ function registerUser(userId, ws) {
     if (userConnections.has(userId)) {
         const existingWs = userConnections.get(userId);
         connectionUsers.delete(existingWs);
-        console.log(`🔄 User ${userId} reconnected, removing old connection`);
+        log.info(`User ${userId} reconnected, removing old connection`);
     }
     
     userConnections.set(userId, ws);
     connectionUsers.set(ws, userId);
-    console.log(`👤 User registered: ${userId} (Total users: ${userConnections.size})`);
+    log.info(`User registered: ${userId} (Total users: ${userConnections.size})`);
 }
 
 /**
@@ -204,10 +302,137 @@ function unregisterUser(ws) {
     if (userId) {
         userConnections.delete(userId);
         connectionUsers.delete(ws);
-        //console.log(`👋 User disconnected: ${userId} (Total users: ${userConnections.size})`);
     }
 }
 
+/**
+ * Reject a frame the connection is not allowed to send
+ * @param {WebSocket} ws - The WebSocket connection
+ * @param {string} error - 'unauthorized' (no or invalid token) or 'forbidden' (role not allowed)
+ * @param {string} message - Human readable reason
+ * @param {string} requestType - Type (or command) of the rejected frame
+ */
+function rejectFrame(ws, error, message, requestType) {
+    log.warn(`Rejected ${requestType} frame from ${connectionUsers.get(ws) || 'unregistered client'}: ${message}`);
+    if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify({
+            type: 'error',
+            error: error,
+            message: message,
+            requestType: requestType,
+            timestamp: new Date().toISOString()
+        }));
+    }
+}
+
+/**
+ * Check that a connection is authenticated with one of the given roles, rejecting the frame otherwise
+ * @param {WebSocket} ws - The WebSocket connection
+ * @param {string} requestType - Type of the frame being checked
+ * @param {...string} roles - Allowed roles
+ * @returns {Object|null} The connection identity ({ role, userId }) or null if the frame was rejected
+ */
+function requireConnectionRole(ws, requestType, ...roles) {
+    const identity = connectionRoles.get(ws);
+    if (!identity) {
+        rejectFrame(ws, 'unauthorized', 'Register before sending this message', requestType);
+        return null;
+    }
+    if (!roles.includes(identity.role)) {
+        rejectFrame(ws, 'forbidden', `${requestType} is not available to the ${identity.role} role`, requestType);
+        return null;
+    }
+    return identity;
+}
+
+/**
+ * Check a message against its rate limit, answering with a 'rate_limited' message when exceeded
+ * Messages are limited per client IP and per registered user; service connections are not limited.
+ * @param {WebSocket} ws - The WebSocket connection
+ * @param {string} clientIp - Client IP of the connection
+ * @param {string} rule - Rate limit rule ('order', 'game-over', 'send-to')
+ * @param {string} requestType - Type of the frame being checked
+ * @returns {boolean} True if the message may be processed
+ */
+function checkRateLimit(ws, clientIp, rule, requestType) {
+    const identity = connectionRoles.get(ws);
+    if (identity && identity.role === ROLES.SERVICE) {
+        return true;
+    }
+
+    const keys = [`ip:${clientIp}`];
+    if (connectionUsers.has(ws)) {
+        keys.push(`user:${connectionUsers.get(ws)}`);
+    }
+    const result = rateLimiter.consume(rule, keys);
+    if (result.allowed) {
+        return true;
+    }
+
+    log.warn(`Rate limited ${requestType} from ${connectionUsers.get(ws) || clientIp}, retry in ${result.retryAfterMs}ms`);
+    if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify({
+            type: 'rate_limited',
+            requestType: requestType,
+            retryAfterMs: result.retryAfterMs,
+            retryAfter: Math.ceil(result.retryAfterMs / 1000),
+            message: `Too many ${requestType} messages, retry in ${Math.ceil(result.retryAfterMs / 1000)} seconds`,
+            timestamp: new Date().toISOString()
+        }));
+    }
+    return false;
+}
+
+/**
+ * Work out the identity a register message is allowed to take
+ * A token (service secret, admin token or a player token issued by POST /players/:userId/token or an
+ * earlier registration) may be sent in the message or as the connection's Authorization header.
+ * Without one the client is rejected, except outside production where it registers as a player unless
+ * the user ID is reserved for services or held by another open connection.
+ * @param {WebSocket} ws - The WebSocket connection
+ * @param {Object} messageData - The register message
+ * @returns {Object|null} { role, userId } or null if the registration was rejected
+ */
+function authorizeRegistration(ws, messageData) {
+    const userId = messageData.userId;
+    let identity = null;
+
+    if (messageData.token) {
+        identity = auth.authenticate(messageData.token);
+        if (!identity) {
+            rejectFrame(ws, 'unauthorized', 'Invalid or expired token', 'register');
+            return null;
+        }
+        if (identity.role === ROLES.PLAYER && identity.userId !== userId) {
+            rejectFrame(ws, 'forbidden', 'Token was issued for a different user', 'register');
+            return null;
+        }
+    } else if (connectionRoles.has(ws)) {
+        identity = connectionRoles.get(ws);
+        if (identity.role === ROLES.PLAYER && identity.userId !== userId) {
+            rejectFrame(ws, 'forbidden', 'Token was issued for a different user', 'register');
+            return null;
+        }
+    } else if (!auth.allowsOpenRegistration()) {
+        rejectFrame(ws, 'unauthorized', 'A player token is required to register', 'register');
+        return null;
+    } else {
+        const existingWs = userConnections.get(userId);
+        if (existingWs && existingWs !== ws && existingWs.readyState === WebSocket.OPEN) {
+            rejectFrame(ws, 'forbidden', `User ${userId} is already connected, register with the token issued for it`, 'register');
+            return null;
+        }
+        identity = { role: ROLES.PLAYER, userId: userId };
+    }
+
+    if (RESERVED_USER_IDS.includes(userId) && identity.role !== ROLES.SERVICE) {
+        rejectFrame(ws, 'forbidden', `User ID ${userId} is reserved for services`, 'register');
+        return null;
+    }
+
+    return { role: identity.role, userId: userId };
+}
+
 /**
  * Send message to a specific user
  * @param {string} userId - The user ID
@@ -215,14 +440,12 @@ function unregisterUser(ws) {
  * @returns {boolean} True if message was sent, false if user not found
  */
 function sendToUser(userId, message) {
-    //console.log("Sending message to user: " + userId);
     const ws = userConnections.get(userId);
     if (ws && ws.readyState === WebSocket.OPEN) {
         ws.send(JSON.stringify(message));
-        //console.log(`📤 Message sent to user ${userId}:`, message);
         return true;
     } else {
-        console.log(`❌ User ${userId} not found or connection not open`);
+        log.warn(`User ${userId} not found or connection not open`);
         return false;
     }
 }
@@ -240,7 +463,57 @@ function broadcastToUsers(message) {
             sentCount++;
         }
     });
-    console.log(`📢 Broadcast message sent to ${sentCount} users:`, message);
+    log.info(`Broadcast message sent to ${sentCount} users`, { messageType: message.type });
+    return sentCount;
+}
+
+/**
+ * Subscribe a connection to live leaderboard updates and send it the current top 10
+ * @param {WebSocket} ws - The WebSocket connection
+ */
+function subscribeToLeaderboard(ws) {
+    leaderboardSubscribers.add(ws);
+    log.info(`Leaderboard subscriber added (Total subscribers: ${leaderboardSubscribers.size})`);
+
+    ws.send(JSON.stringify({
+        type: 'subscribe_leaderboard_response',
+        status: 'success',
+        message: 'Subscribed to leaderboard updates',
+        timestamp: new Date().toISOString()
+    }));
+
+    getLeaderboard('/leaderboard?limit=10')
+        .then(response => {
+            if (ws.readyState === WebSocket.OPEN) {
+                ws.send(JSON.stringify({
+                    type: 'leaderboard_snapshot',
+                    top: response.data.data,
+                    total: response.data.total,
+                    timestamp: new Date().toISOString()
+                }));
+            }
+        })
+        .catch(error => {
+            log.error(`Failed to send leaderboard snapshot: ${error.message}`);
+        });
+}
+
+/**
+ * Relay a leaderboard delta from the HTTP server to all subscribed connections
+ * @param {Object} delta - The leaderboard_update message
+ * @returns {number} Number of subscribers the update was sent to
+ */
+function broadcastLeaderboardUpdate(delta) {
+    const { userId, ...update } = delta; // Drop the http-server sender id
+    const message = JSON.stringify({ ...update, source: 'leaderboard' });
+    let sentCount = 0;
+    leaderboardSubscribers.forEach(ws => {
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(message);
+            sentCount++;
+        }
+    });
+    log.info(`Leaderboard update sent to ${sentCount} subscriber(s)`);
     return sentCount;
 }
 
@@ -263,13 +536,13 @@ async function sendInvoiceReadyNotification(invoiceNumber, processedData) {
         const playerId = processedData.playerId;
         
         if (!playerId) {
-            console.log(`❌ No playerId found in processed invoice data for ${invoiceNumber}`);
+            log.error(`No playerId found in processed invoice data for ${invoiceNumber}`);
             return false;
         }
 
         const ws = userConnections.get(playerId);
         if (!ws || ws.readyState !== WebSocket.OPEN) {
-            console.log(`❌ Player ${playerId} not connected or connection not open for invoice ${invoiceNumber}`);
+            log.warn(`Player ${playerId} not connected or connection not open for invoice ${invoiceNumber}`);
             return false;
         }
 
@@ -280,6 +553,7 @@ async function sendInvoiceReadyNotification(invoiceNumber, processedData) {
             filename: processedData.filename,
             fileSize: processedData.fileSize,
             processedAt: processedData.processedAt,
+            correlationId: processedData.correlationId || undefined,
             message: `Your invoice ${invoiceNumber} has been processed and is ready for download`,
             timestamp: new Date().toISOString(),
             source: 'invoice-poller'
@@ -287,16 +561,43 @@ async function sendInvoiceReadyNotification(invoiceNumber, processedData) {
 
         // Send the invoice ready notification to the specific player
         ws.send(JSON.stringify(invoiceReadyMessage));
-        console.log(`✅ Invoice ready notification for ${invoiceNumber} sent to player ${playerId} via websocket`);
-        console.log(`   Filename: ${processedData.filename}`);
-        console.log(`   File Size: ${processedData.fileSize} bytes`);
+        log.info(`Invoice ready notification for ${invoiceNumber} sent to player ${playerId} via websocket`, {
+            filename: processedData.filename,
+            fileSize: processedData.fileSize
+        });
         
         return true;
 
     } catch (error) {
-        console.error(`❌ Error sending invoice ready notification for ${invoiceNumber}:`, error.message);
+        log.error(`Error sending invoice ready notification for ${invoiceNumber}`, { error: error.message });
+        return false;
+    }
+}
+
+/**
+ * Send an invoice status change to the http server
+ * @param {string} invoiceNumber - The invoice number
+ * @param {string} status - 'polling', 'processed' or 'failed'
+ * @param {Object} details - Status details from the invoice poller
+ * @returns {boolean} True if the status was sent
+ */
+function sendInvoiceStatus(invoiceNumber, status, details) {
+    const ws = userConnections.get('http-server');
+    if (!ws || ws.readyState !== WebSocket.OPEN) {
+        log.warn(`HTTP server not connected, invoice ${invoiceNumber} status ${status} not reported`);
         return false;
     }
+    
+    ws.send(JSON.stringify({
+        type: 'invoice_status',
+        invoiceNumber: invoiceNumber,
+        status: status,
+        ...details,
+        timestamp: new Date().toISOString(),
+        source: 'invoice-poller'
+    }));
+    log.info(`Invoice ${invoiceNumber} status ${status} reported to HTTP server`);
+    return true;
 }
 
 /**
@@ -309,17 +610,17 @@ async function sendInvoiceReadyNotification(invoiceNumber, processedData) {
 async function handleInvoiceRequest(invoiceNumber, requestingUserId, ws) {
     try {
         if (!invoicePoller) {
-            console.log(`❌ Invoice poller not initialized - cannot fetch invoice ${invoiceNumber}`);
+            log.error(`Invoice poller not initialized - cannot fetch invoice ${invoiceNumber}`);
             return false;
         }
 
-        console.log(`📄 Fetching invoice ${invoiceNumber} for user ${requestingUserId || 'unknown'}`);
+        log.info(`Fetching invoice ${invoiceNumber} for user ${requestingUserId || 'unknown'}`);
 
         // Try to get the invoice from the invoice poller (memory cache or filesystem)
         const invoiceData = await invoicePoller.getProcessedInvoice(invoiceNumber);
 
         if (!invoiceData) {
-            console.log(`❌ Invoice ${invoiceNumber} not found in storage`);
+            log.error(`Invoice ${invoiceNumber} not found in storage`);
             return false;
         }
 
@@ -342,19 +643,47 @@ async function handleInvoiceRequest(invoiceNumber, requestingUserId, ws) {
 
         // Send the full invoice to the requesting client
         ws.send(JSON.stringify(invoiceMessage));
-        console.log(`✅ Invoice ${invoiceNumber} sent to user ${requestingUserId || 'unknown'}`);
-        console.log(`   Filename: ${invoiceData.filename}`);
-        console.log(`   File Size: ${invoiceData.fileSize} bytes`);
-        console.log(`   Base64 Length: ${invoiceData.base64Data.length} characters`);
+        log.info(`Invoice ${invoiceNumber} sent to user ${requestingUserId || 'unknown'}`, {
+            filename: invoiceData.filename,
+            fileSize: invoiceData.fileSize
+        });
         
         return true;
 
     } catch (error) {
-        console.error(`❌ Error handling invoice request for ${invoiceNumber}: ${error.message}`);
+        log.error(`Error handling invoice request for ${invoiceNumber}: ${error.message}`);
         return false;
     }
 }
 
+/**
+ * Check whether a connection may read an invoice
+ * Admins and services may read every invoice; players only invoices the HTTP server's invoice registry
+ * records for their player profile, as for GET /invoices/:invoiceNumber/pdf.
+ * @param {Object} identity - The connection identity ({ role, userId })
+ * @param {string} invoiceNumber - The invoice number
+ * @returns {Promise<boolean>} True if the invoice may be sent to the connection
+ */
+async function canReadInvoice(identity, invoiceNumber) {
+    if (identity.role !== ROLES.PLAYER) {
+        return true;
+    }
+    try {
+        const [invoiceResponse, playerResponse] = await Promise.all([
+            httpClient.get(`/invoices/${encodeURIComponent(invoiceNumber)}`),
+            httpClient.get(`/players/${encodeURIComponent(identity.userId)}`)
+        ]);
+        const invoice = invoiceResponse.data.invoice;
+        const player = playerResponse.data.player;
+        return !!invoice.playerId && invoice.playerId === player.playerId && player.userIds.includes(identity.userId);
+    } catch (error) {
+        if (error.statusCode === 404) {
+            return false;
+        }
+        throw error;
+    }
+}
+
 /**
  * Send processed invoice to a specific player via websocket
  * @param {string} invoiceNumber - The invoice number
@@ -366,13 +695,13 @@ async function sendInvoiceToPlayer(invoiceNumber, processedData) {
         const playerId = processedData.playerId;
         
         if (!playerId) {
-            console.log(`❌ No playerId found in processed invoice data for ${invoiceNumber}`);
+            log.error(`No playerId found in processed invoice data for ${invoiceNumber}`);
             return false;
         }
 
         const ws = userConnections.get(playerId);
         if (!ws || ws.readyState !== WebSocket.OPEN) {
-            console.log(`❌ Player ${playerId} not connected or connection not open for invoice ${invoiceNumber}`);
+            log.error(`Player ${playerId} not connected or connection not open for invoice ${invoiceNumber}`);
             return false;
         }
 
@@ -393,15 +722,15 @@ async function sendInvoiceToPlayer(invoiceNumber, processedData) {
 
         // Send the invoice to the specific player
         ws.send(JSON.stringify(invoiceMessage));
-        console.log(`✅ Invoice ${invoiceNumber} sent to player ${playerId} via websocket`);
-        console.log(`   Filename: ${processedData.filename}`);
-        console.log(`   File Size: ${processedData.fileSize} bytes`);
-        console.log(`   Base64 Length: ${processedData.base64Data.length} characters`);
+        log.info(`Invoice ${invoiceNumber} sent to player ${playerId} via websocket`, {
+            filename: processedData.filename,
+            fileSize: processedData.fileSize
+        });
         
         return true;
 
     } catch (error) {
-        console.error(`❌ Error sending invoice ${invoiceNumber} via websocket: ${error.message}`);
+        log.error(`Error sending invoice ${invoiceNumber} via websocket: ${error.message}`);
         return false;
     }
 }
@@ -413,9 +742,17 @@ server.on('connection', (ws, request) => {
         userAgent: request.headers['user-agent']
     };
     
+    const clientIp = rateLimiter.clientIp(request);
     connectedClients.add(ws);
-    console.log(`🔗 Game client connected from ${clientInfo.ip}`);
-    console.log(`👥 Total connected clients: ${connectedClients.size}`);
+    countOutgoingMessages(ws);
+    gameStarts.set(ws, new Date().toISOString());
+    
+    // Service and admin clients may authenticate the whole connection with an Authorization header
+    const headerIdentity = auth.authenticate(AuthService.bearerToken(request.headers['authorization']));
+    if (headerIdentity) {
+        connectionRoles.set(ws, headerIdentity);
+    }
+    log.info(`Game client connected from ${clientInfo.ip}`, { connectedClients: connectedClients.size });
 
     // Send welcome message
     ws.send(JSON.stringify({
@@ -432,25 +769,51 @@ server.on('connection', (ws, request) => {
             } catch (e) {
                 messageData = { type: 'raw', data: data.toString() };
             }
-            
-            //console.log(`📨 Received from client:`, messageData);
+            websocketMessages.inc({ direction: 'in', type: incomingMessageType(messageData) });
             
             // Handle user connection registration
             if (messageData.type === 'register' && messageData.userId) {
+                const identity = authorizeRegistration(ws, messageData);
+                if (!identity) {
+                    return;
+                }
                 registerUser(messageData.userId, ws);
-                ws.send(JSON.stringify({
+                connectionRoles.set(ws, identity);
+                gameStarts.set(ws, new Date().toISOString());
+                
+                const response = {
                     type: 'register_response',
                     status: 'success',
                     userId: messageData.userId,
+                    role: identity.role,
                     message: `User ${messageData.userId} registered successfully`,
                     timestamp: new Date().toISOString()
-                }));
+                };
+                
+                // Players get a token to re-register with after reconnecting; services are not players
+                if (identity.role === ROLES.PLAYER) {
+                    const playerToken = auth.issuePlayerToken(messageData.userId);
+                    response.token = playerToken.token;
+                    response.tokenExpiresAt = playerToken.expiresAt;
+                    // With tokens required, the profile is created by the token issuer, not from the client's claims
+                    if (messageData.source !== 'websocket-client' && auth.allowsOpenRegistration()) {
+                        registerPlayer(messageData).catch(() => {});
+                    }
+                }
+                ws.send(JSON.stringify(response));
                 return;
             }
      
             // Handle an invoice message that is sent by the http server when an invoice number has ben generated. We use this to register the invoice number for polling.
             if (messageData.type === 'invoice_register' && messageData.userId) {
-                registerInvoice(messageData.po, messageData.playerId);
+                if (!requireConnectionRole(ws, messageData.type, ROLES.SERVICE)) {
+                    return;
+                }
+                const correlationId = parseCorrelationId(messageData.correlationId) || newCorrelationId();
+                runWithCorrelationId(correlationId, () => registerInvoice(messageData.po, messageData.playerId, {
+                    orderId: messageData.orderId,
+                    correlationId: correlationId
+                }));
                 ws.send(JSON.stringify({
                     type: 'invoice_register_response',
                     status: 'success',
@@ -461,49 +824,172 @@ server.on('connection', (ws, request) => {
                 return;
             }            
 
+            // Erased or expired players: the http server sends the invoices whose files must be deleted
+            if (messageData.type === 'player_erase' && messageData.userId) {
+                if (!requireConnectionRole(ws, messageData.type, ROLES.SERVICE)) {
+                    return;
+                }
+                const invoiceNumbers = Array.isArray(messageData.invoiceNumbers) ? messageData.invoiceNumbers : [];
+                const erase = invoicePoller ? invoicePoller.eraseInvoices(invoiceNumbers) : Promise.resolve(0);
+                erase.then(deletedFiles => {
+                    ws.send(JSON.stringify({
+                        type: 'player_erase_response',
+                        status: 'success',
+                        invoiceNumbers: invoiceNumbers,
+                        deletedFiles: deletedFiles,
+                        timestamp: new Date().toISOString()
+                    }));
+                }).catch(error => {
+                    log.error(`Failed to erase invoices: ${error.message}`);
+                    ws.send(JSON.stringify({
+                        type: 'player_erase_response',
+                        status: 'error',
+                        error: error.message,
+                        timestamp: new Date().toISOString()
+                    }));
+                });
+                return;
+            }
+
+            // Live leaderboard subscriptions
+            if (messageData.type === 'subscribe_leaderboard') {
+                subscribeToLeaderboard(ws);
+                return;
+            }
+
+            if (messageData.type === 'unsubscribe_leaderboard') {
+                leaderboardSubscribers.delete(ws);
+                ws.send(JSON.stringify({
+                    type: 'unsubscribe_leaderboard_response',
+                    status: 'success',
+                    message: 'Unsubscribed from leaderboard updates',
+                    timestamp: new Date().toISOString()
+                }));
+                return;
+            }
+
+            // Leaderboard deltas are pushed by the http server whenever a score is inserted
+            if (messageData.type === 'leaderboard_update' && messageData.userId) {
+                if (!requireConnectionRole(ws, messageData.type, ROLES.SERVICE)) {
+                    return;
+                }
+                broadcastLeaderboardUpdate(messageData);
+                return;
+            }
+
+            // Order status changes are pushed by the http server and relayed to the player who ordered
+            if (messageData.type === 'order_status' && messageData.userId) {
+                if (!requireConnectionRole(ws, messageData.type, ROLES.SERVICE)) {
+                    return;
+                }
+                const { userId, targetUserId, ...orderStatus } = messageData;
+                sendToUser(targetUserId, orderStatus);
+                return;
+            }
+
+            // A new game starts: game durations are measured from here instead of trusting the client's timing
+            if (messageData.type === 'game_event' && messageData.event === 'game_start') {
+                if (requireConnectionRole(ws, 'game_start', ROLES.PLAYER)) {
+                    gameStarts.set(ws, new Date().toISOString());
+                }
+                return;
+            }
+
             // Process game over events by forwarding to HTTP server
             if (messageData.type === 'game_event' && messageData.event === 'game_over') {
-                console.log(`🎮 Forwarding game over event to HTTP server`);
-                sendGameOverEvent(messageData).catch(error => {
-                    console.error('Failed to process game over event:', error.message);
+                // Players can only submit scores for themselves
+                const identity = requireConnectionRole(ws, 'game_over', ROLES.PLAYER);
+                if (!identity) {
+                    return;
+                }
+                if (messageData.player && messageData.player.userId && messageData.player.userId !== identity.userId) {
+                    rejectFrame(ws, 'forbidden', 'Game over events can only be sent for the registered player', 'game_over');
+                    return;
+                }
+                if (!checkRateLimit(ws, clientIp, 'game-over', 'game_over')) {
+                    return;
+                }
+                // The score validator checks the game duration against the times this server saw
+                const receivedAt = new Date().toISOString();
+                const serverTiming = { startedAt: gameStarts.get(ws), receivedAt: receivedAt };
+                gameStarts.set(ws, receivedAt);
+                log.info(`Forwarding game over event to HTTP server`);
+                sendGameOverEvent({ ...messageData, serverTiming: serverTiming }).catch(error => {
+                    log.error('Failed to process game over event', { error: error.message });
+                    
+                    // Let the player know when the server refused their score
+                    if (error.statusCode === 422 && ws.readyState === WebSocket.OPEN) {
+                        ws.send(JSON.stringify({
+                            type: 'game_over_response',
+                            status: 'rejected',
+                            reasons: error.response.data.reasons,
+                            message: 'Your score could not be verified',
+                            timestamp: new Date().toISOString()
+                        }));
+                    }
                 });
             }
             
             // Process order events by forwarding to HTTP server
             if (messageData.type === 'order') {
-                console.log(`📦 Received order event from client`,messageData);
-                processOrder(messageData)
-                    .then(response => {
-                        // Send success response back to the client
-                        ws.send(JSON.stringify({
-                            type: 'order_response',
-                            status: 'success',
-                            orderId: response.data.orderId,
-                            message: 'Order processed successfully',
-                            customerName: messageData.customerName,
-                            customerEmail: messageData.customerEmail,
-                            itemCount: messageData.items ? messageData.items.length : 0,
-                            timestamp: new Date().toISOString()
-                        }));
-                        //register on websocket event when the invoice number is available registerInvoice(response.data.orderId, messageData.customerId);
-                    })
-                    .catch(error => {
-                        console.error('Failed to process order:', error.message);
-                        // Send error response back to the client
-                        ws.send(JSON.stringify({
-                            type: 'order_response',
-                            status: 'error',
-                            error: error.message,
-                            message: 'Failed to process order',
-                            timestamp: new Date().toISOString()
-                        }));
+                if (!requireConnectionRole(ws, messageData.type, ROLES.PLAYER, ROLES.ADMIN, ROLES.SERVICE)) {
+                    return;
+                }
+                if (!checkRateLimit(ws, clientIp, 'order', messageData.type)) {
+                    return;
+                }
+                // The correlation ID follows the order through the HTTP server, the EDI backend and invoice polling
+                const correlationId = parseCorrelationId(messageData.correlationId) || newCorrelationId();
+                runWithCorrelationId(correlationId, () => {
+                    log.info('Received order event from client', {
+                        userId: connectionUsers.get(ws),
+                        itemCount: messageData.data && Array.isArray(messageData.data.items) ? messageData.data.items.length : 0
                     });
+                    return processOrder(messageData, connectionUsers.get(ws))
+                        .then(response => {
+                            // Send success response back to the client; a queued order's outcome follows as order_status
+                            const queued = response.data.queued === true;
+                            ws.send(JSON.stringify({
+                                type: 'order_response',
+                                status: queued ? 'queued' : 'success',
+                                orderId: response.data.orderId,
+                                message: queued ? 'Order queued, you will be notified once it is accepted' : 'Order processed successfully',
+                                queuePosition: queued ? response.data.queuePosition : undefined,
+                                idempotencyKey: messageData.idempotencyKey,
+                                replayed: response.headers['idempotent-replayed'] === 'true',
+                                customerName: messageData.customerName,
+                                customerEmail: messageData.customerEmail,
+                                itemCount: messageData.items ? messageData.items.length : 0,
+                                correlationId: correlationId,
+                                timestamp: new Date().toISOString()
+                            }));
+                            //register on websocket event when the invoice number is available registerInvoice(response.data.orderId, messageData.customerId);
+                        })
+                        .catch(error => {
+                            log.error('Failed to process order', { error: error.message });
+                            // Send error response back to the client
+                            ws.send(JSON.stringify({
+                                type: 'order_response',
+                                status: 'error',
+                                error: error.message,
+                                message: 'Failed to process order',
+                                correlationId: correlationId,
+                                timestamp: new Date().toISOString()
+                            }));
+                        });
+                });
                 return;
             }
             
             // Handle send-to command from clients
             if (messageData.type === 'send-to' && messageData.targetUserId && messageData.message) {
-                console.log(`📤 Send-to command received: ${messageData.targetUserId} -> ${messageData.message}`);
+                if (!requireConnectionRole(ws, messageData.type, ROLES.PLAYER, ROLES.ADMIN, ROLES.SERVICE)) {
+                    return;
+                }
+                if (!checkRateLimit(ws, clientIp, 'send-to', messageData.type)) {
+                    return;
+                }
+                log.info(`Send-to command received: ${messageData.targetUserId} -> ${messageData.message}`);
                 const success = sendToUser(messageData.targetUserId, {
                     type: 'direct_message',
                     message: messageData.message,
@@ -523,14 +1009,25 @@ server.on('connection', (ws, request) => {
                 return;
             }
 
-            // Handle request_invoice command from clients
+            // Handle request_invoice command from clients; players can only request their own invoices
             if (messageData.type === 'request_invoice' && messageData.invoiceNumber) {
-                console.log(`📄 Invoice request received for: ${messageData.invoiceNumber}`);
+                const identity = requireConnectionRole(ws, messageData.type, ROLES.PLAYER, ROLES.ADMIN, ROLES.SERVICE);
+                if (!identity) {
+                    return;
+                }
+                log.info(`Invoice request received for: ${messageData.invoiceNumber}`);
                 
                 // Get the requesting user's ID
                 const requestingUserId = connectionUsers.get(ws);
                 
-                handleInvoiceRequest(messageData.invoiceNumber, requestingUserId, ws)
+                canReadInvoice(identity, messageData.invoiceNumber)
+                    .then(allowed => {
+                        if (!allowed) {
+                            rejectFrame(ws, 'forbidden', 'Players can only request their own invoices', messageData.type);
+                            return true;
+                        }
+                        return handleInvoiceRequest(messageData.invoiceNumber, requestingUserId, ws);
+                    })
                     .then(success => {
                         if (!success) {
                             // Send error response if invoice wasn't found or couldn't be sent
@@ -544,7 +1041,7 @@ server.on('connection', (ws, request) => {
                         }
                     })
                     .catch(error => {
-                        console.error(`❌ Error handling invoice request: ${error.message}`);
+                        log.error(`Error handling invoice request: ${error.message}`);
                         ws.send(JSON.stringify({
                             type: 'invoice_response',
                             status: 'error',
@@ -563,9 +1060,20 @@ server.on('connection', (ws, request) => {
                 
                 // If it's not a command message, but has a command field, extract it
                 if (messageData.command && messageData.source === 'admin-panel') {
+                    // Admin commands need an admin (or service) connection, or the admin token in the frame
+                    const frameIdentity = messageData.token ? auth.authenticate(messageData.token) : null;
+                    const identity = frameIdentity || connectionRoles.get(ws);
+                    if (!identity) {
+                        rejectFrame(ws, 'unauthorized', 'A valid admin token is required', messageData.command);
+                        return;
+                    }
+                    if (identity.role !== ROLES.ADMIN && identity.role !== ROLES.SERVICE) {
+                        rejectFrame(ws, 'forbidden', 'Commands are only available to admins', messageData.command);
+                        return;
+                    }
                     command = messageData.command;
                     source = messageData.source;
-                    console.log("Received command: " +command + " from " + source);
+                    log.info(`Received command: ${command} from ${source}`);
                     handleCommand(command);
                 } else {
                     return;
@@ -576,20 +1084,25 @@ server.on('connection', (ws, request) => {
             // Just log the received message
             
         } catch (error) {
-            console.error('❌ Error processing message:', error);
+            log.error('Error processing message', error);
         }
     });
 
     ws.on('close', (code, reason) => {
         connectedClients.delete(ws);
+        leaderboardSubscribers.delete(ws);
+        connectionRoles.delete(ws);
+        gameStarts.delete(ws);
         unregisterUser(ws);
-        console.log(`🔌 Client disconnected (${code}): ${reason}`);
-        console.log(`👥 Total connected clients: ${connectedClients.size}`);
+        log.info(`Client disconnected (${code}): ${reason}`, { connectedClients: connectedClients.size });
     });
 
     ws.on('error', (error) => {
-        console.error('❌ WebSocket error:', error);
+        log.error('WebSocket error', error);
         connectedClients.delete(ws);
+        leaderboardSubscribers.delete(ws);
+        connectionRoles.delete(ws);
+        gameStarts.delete(ws);
         unregisterUser(ws);
     });
 });
@@ -602,16 +1115,16 @@ const rl = readline.createInterface({
 });
 
 // Initialize invoice poller now that all functions are defined
-console.log("CALL TO INITIALIZE INVOICE POLLER");
 initializeInvoicePoller();
 
-console.log('💬 Available commands:');
-console.log('  Game commands: start, pause, new, endgame');
-console.log('  HTTP commands: leaderboard, health, raw-get <path>');
-console.log('  User commands: users, send-to <userId> <message>, broadcast <message>');
-console.log('  Invoice commands: send-invoices, invoice, register-invoice <invoiceNumber> <playerId>, invoice-status');
-console.log('  System commands: status, quit');
-console.log('');
+const COMMANDS = {
+    game: ['start', 'pause', 'new', 'endgame'],
+    http: ['leaderboard', 'health', 'raw-get <path>'],
+    users: ['users', 'send-to <userId> <message>', 'broadcast <message>'],
+    invoices: ['send-invoices', 'invoice', 'register-invoice <invoiceNumber> <playerId>', 'invoice-status'],
+    system: ['status', 'quit']
+};
+log.info('Interactive commands available on stdin', { commands: COMMANDS });
 
 rl.on('line', (input) => {
     const command = input.trim().toLowerCase();
@@ -621,43 +1134,72 @@ rl.on('line', (input) => {
 
 
 function handleCommand(command) {
-    console.log("Handling command: " + command);
+    log.info(`Handling command: ${command}`);
     if (command === 'quit' || command === 'exit') {
-        console.log('🛑 Shutting down server...');
+        log.info('Shutting down server...');
         server.close();
+        metricsServer.close();
         rl.close();
         process.exit(0);
     }
     
     if (command === 'status') {
-        console.log(`📊 Server Status:`);
-        console.log(`   WebSocket Port: ${WS_PORT}`);
-        console.log(`   HTTP Server Port: ${HTTP_PORT}`);
-        console.log(`   Connected clients: ${connectedClients.size}`);
-        console.log(`   Registered users: ${userConnections.size}`);
-        console.log(`   Uptime: ${process.uptime().toFixed(2)}s`);
+        const rateLimits = rateLimiter.getStats();
+        const rules = {};
+        Object.keys(rateLimits.rules).forEach(rule => {
+            const counters = rateLimits.rules[rule];
+            rules[rule] = `${counters.allowed} allowed, ${counters.limited} limited (${counters.capacity} burst, ${counters.refillPerMinute}/min)`;
+        });
+        const status = {
+            wsPort: WS_PORT,
+            httpPort: HTTP_PORT,
+            connectedClients: connectedClients.size,
+            registeredUsers: userConnections.size,
+            leaderboardSubscribers: leaderboardSubscribers.size,
+            rateLimiting: {
+                enabled: rateLimits.enabled,
+                allowed: rateLimits.allowed,
+                limited: rateLimits.limited,
+                trackedKeys: rateLimits.trackedKeys,
+                rules: rules
+            },
+            uptime: Number(process.uptime().toFixed(2))
+        };
+        // Orders are forwarded by the HTTP server, which owns the EDI backend circuit breaker
+        getHealth()
+            .then(response => {
+                const orderBackend = response.data.orderBackend || {};
+                const circuit = orderBackend.circuit;
+                if (circuit) {
+                    const details = {
+                        closed: `${circuit.failures}/${circuit.failureThreshold} consecutive failures`,
+                        open: `since ${circuit.openedAt}, retry at ${circuit.retryAt}, last error: ${circuit.lastError}`,
+                        half_open: 'next order is a trial'
+                    };
+                    status.ediBackendCircuit = `${circuit.state} (${details[circuit.state]})`;
+                }
+                if (orderBackend.queue) {
+                    status.queuedOrders = orderBackend.queue.size;
+                    status.oldestQueuedAt = orderBackend.queue.oldestQueuedAt;
+                }
+            })
+            .catch(error => {
+                status.ediBackendCircuit = `unknown (${error.message})`;
+            })
+            .then(() => log.info('Server status', status));
         return;
     }
     
     if (command === 'users') {
         const users = getConnectedUsers();
-        console.log(`👥 Connected Users (${users.length}):`);
-        if (users.length === 0) {
-            console.log('   No users connected');
-        } else {
-            users.forEach(userId => {
-                console.log(`   - ${userId}`);
-            });
-        }
+        log.info(`Connected users: ${users.length}`, { users: users });
         return;
     }
     
     if (command.startsWith('send-to ')) {
-        console.log("Send-to received: " + command);
         const parts = command.split(' ');
         if (parts.length < 3) {
-            console.log('Usage: send-to <userId> <message>');
-            console.log('Example: send-to user123 Hello there!');
+            log.warn('Usage: send-to <userId> <message> (e.g. send-to user123 Hello there!)');
             return;
         }
         
@@ -672,9 +1214,9 @@ function handleCommand(command) {
         });
         
         if (success) {
-            console.log(`✅ Message sent to user ${userId}`);
+            log.info(`Message sent to user ${userId}`);
         } else {
-            console.log(`❌ Failed to send message to user ${userId} (user not found or disconnected)`);
+            log.warn(`Failed to send message to user ${userId} (user not found or disconnected)`);
         }
         return;
     }
@@ -682,8 +1224,7 @@ function handleCommand(command) {
     if (command.startsWith('broadcast ')) {
         const message = command.substring(10).trim();
         if (!message) {
-            console.log('Usage: broadcast <message>');
-            console.log('Example: broadcast Game will start in 5 minutes!');
+            log.warn('Usage: broadcast <message> (e.g. broadcast Game will start in 5 minutes!)');
             return;
         }
         
@@ -694,7 +1235,7 @@ function handleCommand(command) {
             source: 'server'
         });
         
-        console.log(`📢 Broadcast sent to ${sentCount} users`);
+        log.info(`Broadcast sent to ${sentCount} users`);
         return;
     }
     
@@ -714,59 +1255,60 @@ function handleCommand(command) {
             }
         });
         
-        console.log(`📤 Sent "${command}" command to ${sentCount} client(s)`);
+        log.info(`Sent "${command}" command to ${sentCount} client(s)`);
     } else if (command === 'leaderboard') {
-        // Fetch and display leaderboard data
+        // Fetch and display the top of the leaderboard
         getLeaderboard()
             .then(response => {
-                console.log(`📊 Leaderboard Data (${response.data.count} entries):`);
-                response.data.data.slice(0, 5).forEach((entry, index) => {
-                    console.log(`   ${index + 1}. ${entry.username} - Score: ${entry.score} (T-shirts: ${entry.tShirtsCount}, Level: ${entry.level})`);
+                log.info(`Leaderboard: ${response.data.count} entries`, {
+                    top: response.data.data.slice(0, 5).map(entry => ({
+                        rank: entry.rank,
+                        username: entry.username,
+                        score: entry.score,
+                        tShirtsCount: entry.tShirtsCount,
+                        level: entry.level
+                    }))
                 });
-                if (response.data.count > 5) {
-                    console.log(`   ... and ${response.data.count - 5} more entries`);
-                }
             })
             .catch(error => {
-                console.error(`Failed to fetch leaderboard: ${error.message}`);
+                log.error(`Failed to fetch leaderboard: ${error.message}`);
             });
     } else if (command === 'health') {
         // Check HTTP server health
         getHealth()
             .then(response => {
-                console.log(`💚 HTTP Server Health:`);
-                console.log(`   Status: ${response.data.status}`);
-                console.log(`   Service: ${response.data.service}`);
-                console.log(`   Uptime: ${response.data.uptime.toFixed(2)}s`);
-                console.log(`   Leaderboard Entries: ${response.data.leaderboardEntries}`);
+                log.info('HTTP server health', {
+                    status: response.data.status,
+                    service: response.data.service,
+                    uptime: response.data.uptime,
+                    leaderboardEntries: response.data.leaderboardEntries
+                });
             })
             .catch(error => {
-                console.error(`Failed to check HTTP server health: ${error.message}`);
+                log.error(`Failed to check HTTP server health: ${error.message}`);
             });
     } else if (command.startsWith('raw-get ')) {
         // Demonstrate direct usage of the generic HttpClient
         const path = command.substring(8).trim();
         if (!path) {
-            console.log('Usage: raw-get <path>');
-            console.log('Example: raw-get /leaderboard');
+            log.warn('Usage: raw-get <path> (e.g. raw-get /leaderboard)');
             return;
         }
         
-        console.log(`🔧 Making raw GET request to: ${path}`);
+        log.info(`Making raw GET request to ${path}`);
         httpClient.get(path)
             .then(response => {
-                console.log(`✅ Raw response (${response.statusCode}):`);
-                console.log(`   Headers:`, Object.keys(response.headers).join(', '));
-                console.log(`   Data:`, JSON.stringify(response.data, null, 2));
+                log.info(`Raw response (${response.statusCode})`, {
+                    headers: Object.keys(response.headers),
+                    data: response.data
+                });
             })
             .catch(error => {
-                console.error(`❌ Raw request failed: ${error.message}`);
+                log.error(`Raw request failed: ${error.message}`);
             });
     } 
     
     if (command === 'invoice') {
-        console.log('📄 Sending test invoice PDF to all connected clients...');
-        
         const invoiceMessage = {
             type: 'invoice_ready',
             invoiceNumber: '1001',
@@ -774,18 +1316,6 @@ function handleCommand(command) {
             timestamp: new Date().toISOString(),
         };
 
-        // Create invoice message
-      /*  const invoiceMessage = {
-            type: 'invoice_pdf',
-            filename: 'test-invoice.pdf',
-            mimeType: 'application/pdf',
-            base64Data: testBase64PDF,
-            fileSize: Math.ceil(testBase64PDF.length * 3 / 4), // Approximate original file size
-            timestamp: new Date().toISOString(),
-            invoiceNumber: 'TEST-INV-' + Date.now(),
-            message: 'Test invoice PDF from WebSocket server'
-        };*/
-        
         // Send to all connected clients
         let sentCount = 0;
         connectedClients.forEach(ws => {
@@ -794,93 +1324,85 @@ function handleCommand(command) {
                     ws.send(JSON.stringify(invoiceMessage));
                     sentCount++;
                 } catch (error) {
-                    console.error(`❌ Failed to send invoice to client: ${error.message}`);
+                    log.error(`Failed to send invoice to client: ${error.message}`);
                 }
             }
         });
         
-        console.log(`✅ Test invoice sent to ${sentCount} connected clients`);
-        console.log(`   Invoice Number: ${invoiceMessage.invoiceNumber}`);
-        console.log(`   File Size: ${invoiceMessage.fileSize} bytes`);
-
+        log.info(`Test invoice ${invoiceMessage.invoiceNumber} sent to ${sentCount} connected clients`);
         return;
     }
     
     if (command === 'invoice-status') {
-        if (invoicePoller) {
-            const status = invoicePoller.getStatus();
-            console.log(`📄 Invoice Poller Status:`);
-            console.log(`   Connected: ${status.isConnected}`);
-            console.log(`   Polling: ${status.isPolling}`);
-            console.log(`   Bucket: ${status.bucketName}`);
-            console.log(`   Polling Interval: ${status.pollingInterval}ms`);
-            console.log(`   Registered Invoices: ${status.registeredCount}`);
-            console.log(`   Processed Invoices: ${status.processedCount}`);
-            
-            if (status.registrations.length > 0) {
-                console.log(`   Current Registrations:`);
-                status.registrations.forEach(reg => {
-                    console.log(`     - ${reg.invoiceNumber} (${reg.playerId}) - Retries: ${reg.retryCount}`);
-                });
-            }
-            
-            if (status.processedInvoices.length > 0) {
-                console.log(`   Processed Invoices:`);
-                status.processedInvoices.forEach(inv => {
-                    console.log(`     - ${inv.invoiceNumber} (${inv.playerId}) - ${inv.filename} - ${(inv.fileSize / 1024).toFixed(2)} KB`);
-                });
-            }
-        } else {
-            console.log(`❌ Invoice Poller not initialized`);
+        if (!invoicePoller) {
+            log.warn('Invoice Poller not initialized');
+            return;
         }
+        const status = invoicePoller.getStatus();
+        log.info('Invoice Poller status', {
+            connected: status.isConnected,
+            polling: status.isPolling,
+            bucket: status.bucketName,
+            pollingInterval: status.pollingInterval,
+            registeredCount: status.registeredCount,
+            processedCount: status.processedCount,
+            registrations: status.registrations.map(reg => ({
+                invoiceNumber: reg.invoiceNumber,
+                playerId: reg.playerId,
+                retryCount: reg.retryCount
+            })),
+            processedInvoices: status.processedInvoices.map(inv => ({
+                invoiceNumber: inv.invoiceNumber,
+                playerId: inv.playerId,
+                filename: inv.filename,
+                fileSize: inv.fileSize
+            }))
+        });
         return;
     }
     
     
     else if (command !== '') {
-        console.log(`❓ Unknown command: "${command}"`);
-        console.log(`   Game commands: start, pause, new, endgame`);
-        console.log(`   HTTP commands: leaderboard, health, raw-get <path>`);
-        console.log(`   User commands: users, send-to <userId> <message>, broadcast <message>`);
-        console.log(`   Invoice commands: send-invoices, invoice, register-invoice <invoiceNumber> <playerId>, invoice-status`);
-        console.log(`   System commands: status, quit`);
+        log.warn(`Unknown command: "${command}"`, { commands: COMMANDS });
     }
 }
 
 
 // Handle server shutdown gracefully
 process.on('SIGINT', async () => {
-    console.log('\n🛑 WebSocket Server: Received SIGINT, shutting down gracefully...');
+    log.info('WebSocket Server: Received SIGINT, shutting down gracefully...');
     
     // Shutdown invoice poller if it exists
     if (invoicePoller) {
         try {
             await invoicePoller.shutdown();
-            console.log('✅ Invoice Poller shutdown complete');
+            log.info('Invoice Poller shutdown complete');
         } catch (error) {
-            console.error(`❌ Error shutting down Invoice Poller: ${error.message}`);
+            log.error(`Error shutting down Invoice Poller: ${error.message}`);
         }
     }
     
     server.close();
+    metricsServer.close();
     rl.close();
     process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
-    console.log('\n🛑 WebSocket Server: Received SIGTERM, shutting down gracefully...');
+    log.info('WebSocket Server: Received SIGTERM, shutting down gracefully...');
     
     // Shutdown invoice poller if it exists
     if (invoicePoller) {
         try {
             await invoicePoller.shutdown();
-            console.log('✅ Invoice Poller shutdown complete');
+            log.info('Invoice Poller shutdown complete');
         } catch (error) {
-            console.error(`❌ Error shutting down Invoice Poller: ${error.message}`);
+            log.error(`Error shutting down Invoice Poller: ${error.message}`);
         }
     }
     
     server.close();
+    metricsServer.close();
     rl.close();
     process.exit(0);
 });
@@ -0,0 +1,51 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { cors } = require('../src/shared/cors');
+
+const router = { allowedMethods: () => ['GET', 'POST'] };
+
+function run(middleware, headers, method = 'GET') {
+    const res = {
+        headers: {},
+        setHeader(name, value) {
+            this.headers[name] = value;
+        }
+    };
+    middleware({ method, headers, pathname: '/leaderboard' }, res, () => {});
+    return res.headers;
+}
+
+describe('cors', () => {
+    it('answers any origin with * when credentials are off', () => {
+        const headers = run(cors({ origin: '*' }, router), { origin: 'https://game.example.com' });
+
+        assert.equal(headers['Access-Control-Allow-Origin'], '*');
+        assert.equal(headers['Access-Control-Allow-Credentials'], undefined);
+    });
+
+    it('refuses credentials for any origin', () => {
+        assert.throws(() => cors({ origin: '*', credentials: true }, router), /explicit origin allow-list/);
+        assert.throws(() => cors({ origin: ['https://game.example.com', '*'], credentials: true }, router), /explicit origin allow-list/);
+    });
+
+    it('echoes allowed origins with credentials and leaves others out', () => {
+        const middleware = cors({ origin: ['https://*.example.com'], credentials: true }, router);
+
+        const allowed = run(middleware, { origin: 'https://game.example.com' });
+        assert.equal(allowed['Access-Control-Allow-Origin'], 'https://game.example.com');
+        assert.equal(allowed['Access-Control-Allow-Credentials'], 'true');
+        assert.equal(allowed['Vary'], 'Origin');
+
+        const other = run(middleware, { origin: 'https://evil.test' });
+        assert.equal(other['Access-Control-Allow-Origin'], undefined);
+        assert.equal(other['Access-Control-Allow-Credentials'], undefined);
+    });
+
+    it('rejects a preflight from an origin that is not allowed with 403', () => {
+        const middleware = cors({ origin: ['https://game.example.com'] }, router);
+
+        assert.throws(() => run(middleware, { origin: 'https://evil.test', 'access-control-request-method': 'POST' }, 'OPTIONS'),
+            error => error.statusCode === 403);
+    });
+});
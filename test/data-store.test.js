@@ -0,0 +1,59 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const dataStore = require('../src/shared/data-store');
+const { MemoryStorage } = require('../src/shared/storage');
+
+/**
+ * Build a game_over event that passes score validation
+ */
+function gameOver(gameSession, overrides = {}) {
+    return {
+        player: { userId: 'alice', email: 'alice@example.com', username: 'Alice' },
+        gameData: {
+            gameSession,
+            tShirtsCollected: { totalValue: 30, totalCount: 3 },
+            coinsRemaining: 5,
+            currentLevel: 2,
+            gameScore: 85,
+            ...overrides
+        },
+        serverTiming: { startedAt: '2026-10-19T10:00:00.000Z', receivedAt: '2026-10-19T10:05:00.000Z' },
+        timestamp: '2026-10-19T10:05:00.000Z'
+    };
+}
+
+describe('DataStore.processGameOverEvent', () => {
+    const leaderboard = new MemoryStorage();
+    const rejections = new MemoryStorage();
+
+    before(async () => {
+        await dataStore.initialize({ leaderboard, rejections, seasons: new MemoryStorage(), links: new MemoryStorage() });
+    });
+
+    it('records a game with the score computed on the server', () => {
+        const result = dataStore.processGameOverEvent(gameOver('session-1'));
+
+        assert.equal(result.success, true);
+        assert.equal(result.entry.score, 85);
+        assert.equal(dataStore.getEntryByGameSession('session-1').score, 85);
+    });
+
+    it('rejects a replayed game session without adding a second entry', () => {
+        dataStore.processGameOverEvent(gameOver('session-2'));
+        const replayed = dataStore.processGameOverEvent(gameOver('session-2', { coinsRemaining: 50, gameScore: 130 }));
+
+        assert.equal(replayed.rejected, true);
+        assert.deepEqual(replayed.reasons.map(reason => reason.code), ['duplicate_session']);
+        assert.equal(dataStore.getScoreHistory({ gameSession: 'session-2' }).length, 1);
+        assert.equal(dataStore.getRejectedSubmissions().at(-1).gameSession, 'session-2');
+    });
+
+    it('rejects an implausible game with the reasons', () => {
+        const result = dataStore.processGameOverEvent(gameOver('session-3', { currentLevel: 99 }));
+
+        assert.equal(result.rejected, true);
+        assert.deepEqual(result.reasons.map(reason => reason.code), ['level_out_of_range']);
+        assert.equal(dataStore.getEntryByGameSession('session-3'), null);
+    });
+});
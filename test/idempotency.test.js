@@ -0,0 +1,123 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { IdempotencyStore, parseIdempotencyKey } = require('../src/shared/idempotency');
+const { MemoryStorage } = require('../src/shared/storage');
+
+const ORDER = { customerEmail: 'alice@example.com', items: [{ description: 'T-shirt', quantity: 1, unitPrice: 20 }] };
+
+describe('IdempotencyStore', () => {
+    it('runs a request once and replays its result', async () => {
+        const store = new IdempotencyStore();
+        let runs = 0;
+        const placeOrder = async () => ({ success: true, orderId: `order-${++runs}` });
+
+        const first = await store.execute('service:alice', 'key-1', ORDER, placeOrder);
+        const repeat = await store.execute('service:alice', 'key-1', { ...ORDER }, placeOrder);
+
+        assert.equal(first.replayed, false);
+        assert.equal(repeat.replayed, true);
+        assert.equal(repeat.result.orderId, 'order-1');
+        assert.equal(runs, 1);
+    });
+
+    it('lets a repeat that arrives while the first run is pending wait for it', async () => {
+        const store = new IdempotencyStore();
+        let runs = 0;
+        const placeOrder = () => new Promise(resolve => setTimeout(() => resolve({ success: true, orderId: `order-${++runs}` }), 10));
+
+        const [first, repeat] = await Promise.all([
+            store.execute('service:alice', 'key-1', ORDER, placeOrder),
+            store.execute('service:alice', 'key-1', ORDER, placeOrder)
+        ]);
+
+        assert.equal(runs, 1);
+        assert.equal(first.replayed, false);
+        assert.equal(repeat.result.orderId, first.result.orderId);
+    });
+
+    it('rejects a key reused with a different body with 409', async () => {
+        const store = new IdempotencyStore();
+        await store.execute('service:alice', 'key-1', ORDER, async () => ({ success: true }));
+
+        await assert.rejects(
+            store.execute('service:alice', 'key-1', { ...ORDER, customerEmail: 'eve@example.com' }, async () => ({ success: true })),
+            error => error.statusCode === 409
+        );
+    });
+
+    it('keeps the keys of different players apart', async () => {
+        const store = new IdempotencyStore();
+        await store.execute('service:alice', 'key-1', ORDER, async () => ({ success: true, orderId: 'order-1' }));
+        const bob = await store.execute('service:bob', 'key-1', { ...ORDER, customerEmail: 'bob@example.com' },
+            async () => ({ success: true, orderId: 'order-2' }));
+
+        assert.equal(bob.replayed, false);
+        assert.equal(bob.result.orderId, 'order-2');
+    });
+
+    it('runs a request again after a 5xx result or an error', async () => {
+        const store = new IdempotencyStore();
+        await store.execute('service:alice', 'key-1', ORDER, async () => ({ success: false, statusCode: 502 }));
+        await assert.rejects(store.execute('service:alice', 'key-2', ORDER, async () => {
+            throw new Error('backend down');
+        }));
+
+        const retried = await store.execute('service:alice', 'key-1', ORDER, async () => ({ success: true, orderId: 'order-1' }));
+        assert.equal(retried.replayed, false);
+        assert.equal((await store.execute('service:alice', 'key-2', ORDER, async () => ({ success: true }))).replayed, false);
+    });
+
+    it('replays the outcome of a queued order once it is known', async () => {
+        const store = new IdempotencyStore();
+        await store.execute('service:alice', 'key-1', ORDER, async () => ({ success: true, queued: true, orderId: 'order-1', statusCode: 202 }));
+
+        const replaced = store.replaceResults(result => result.queued && result.orderId === 'order-1',
+            { success: true, orderId: 'order-1', po: '2001', statusCode: 200 });
+        const repeat = await store.execute('service:alice', 'key-1', ORDER, async () => assert.fail('ran again'));
+
+        assert.equal(replaced, 1);
+        assert.equal(repeat.result.po, '2001');
+    });
+
+    it('forgets a queued order that failed with a 5xx so a retry places it again', async () => {
+        const storage = new MemoryStorage();
+        const store = new IdempotencyStore();
+        await store.initialize(storage);
+        await store.execute('service:alice', 'key-1', ORDER, async () => ({ success: true, queued: true, orderId: 'order-1', statusCode: 202 }));
+
+        store.replaceResults(result => result.orderId === 'order-1', { success: false, orderId: 'order-1', statusCode: 502 });
+        await store.close();
+
+        const restored = new IdempotencyStore();
+        await restored.initialize(storage);
+        assert.equal(restored.getStats().entries, 0);
+    });
+
+    it('restores stored results within the window', async () => {
+        const storage = new MemoryStorage();
+        const store = new IdempotencyStore();
+        await store.initialize(storage);
+        await store.execute('service:alice', 'key-1', ORDER, async () => ({ success: true, orderId: 'order-1' }));
+        await store.close();
+
+        const restored = new IdempotencyStore();
+        await restored.initialize(storage);
+        const repeat = await restored.execute('service:alice', 'key-1', ORDER, async () => assert.fail('ran again'));
+        assert.equal(repeat.result.orderId, 'order-1');
+    });
+});
+
+describe('parseIdempotencyKey', () => {
+    it('accepts printable keys and ignores missing ones', () => {
+        assert.equal(parseIdempotencyKey('order-7f3c'), 'order-7f3c');
+        assert.equal(parseIdempotencyKey(undefined), null);
+        assert.equal(parseIdempotencyKey(''), null);
+    });
+
+    it('rejects keys with spaces, non-strings and overlong keys with 400', () => {
+        [' key', ['a', 'b'], 'x'.repeat(256)].forEach(value => {
+            assert.throws(() => parseIdempotencyKey(value), error => error.statusCode === 400);
+        });
+    });
+});
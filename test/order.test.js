@@ -0,0 +1,265 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const net = require('net');
+
+const { OrderProcessor } = require('../src/shared/order');
+const { CircuitOpenError } = require('../src/shared/circuit-breaker');
+const { MemoryStorage } = require('../src/shared/storage');
+
+const ORDER = {
+    customerName: 'Alice',
+    customerEmail: 'alice@example.com',
+    items: [{ description: 'T-shirt', quantity: 1, unitPrice: 20 }]
+};
+const ACCEPTED = { po: 2001, orderId: 'edi-1', summary: { totalAmount: 20 } };
+
+const servers = [];
+
+/**
+ * Start an EDI backend stub that answers with the given responses in turn (the last one repeats)
+ * A response is [statusCode, body], or 'reset' to drop the connection once the order has arrived.
+ */
+async function startBackend(...responses) {
+    const backend = { requests: 0 };
+    const server = http.createServer((req, res) => {
+        const response = responses[Math.min(backend.requests, responses.length - 1)];
+        backend.requests++;
+        req.resume();
+        req.on('end', () => {
+            if (response === 'reset') {
+                req.socket.destroy();
+                return;
+            }
+            res.writeHead(response[0], { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(response[1]));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    servers.push(server);
+    backend.url = `http://127.0.0.1:${server.address().port}/api/edi/purchase-order`;
+    return backend;
+}
+
+function processor(backendUrl, config = {}) {
+    return new OrderProcessor({ backendUrl, retryBaseDelayMs: 1, retryMaxDelayMs: 2, queueEnabled: false, ...config });
+}
+
+/**
+ * Make connections from the default HTTP agent hang while connecting, as when the network drops packets
+ * @returns {Function} Restores the agent
+ */
+function hangConnections() {
+    const createConnection = http.globalAgent.createConnection;
+    http.globalAgent.createConnection = () => {
+        const socket = new net.Socket();
+        socket.connecting = true;
+        return socket;
+    };
+    return () => {
+        http.globalAgent.createConnection = createConnection;
+    };
+}
+
+async function queueingProcessor(backendUrl, config = {}) {
+    const orders = processor(backendUrl, { queueEnabled: true, ...config });
+    await orders.initialize(new MemoryStorage());
+    await orders.close(); // Drained by the tests themselves
+    return orders;
+}
+
+afterEach(async () => {
+    await Promise.all(servers.splice(0).map(server => new Promise(resolve => server.close(resolve))));
+});
+
+describe('OrderProcessor retries', () => {
+    it('returns the accepted order with its PO number', async () => {
+        const backend = await startBackend([200, ACCEPTED]);
+        const result = await processor(backend.url).processOrder(ORDER);
+
+        assert.equal(result.success, true);
+        assert.equal(result.po, '2001');
+        assert.equal(result.backendOrderId, 'edi-1');
+        assert.equal(backend.requests, 1);
+    });
+
+    it('retries 429 and 503 responses', async () => {
+        const backend = await startBackend([503, {}], [429, {}], [200, ACCEPTED]);
+        const result = await processor(backend.url).processOrder(ORDER);
+
+        assert.equal(result.success, true);
+        assert.equal(backend.requests, 3);
+    });
+
+    for (const statusCode of [500, 502, 504]) {
+        it(`does not retry a ${statusCode} response`, async () => {
+            const backend = await startBackend([statusCode, {}], [200, ACCEPTED]);
+            const result = await processor(backend.url).processOrder(ORDER);
+
+            assert.equal(result.success, false);
+            assert.equal(result.statusCode, 502);
+            assert.equal(backend.requests, 1);
+        });
+    }
+
+    it('retries the statuses configured in retryStatuses', async () => {
+        const backend = await startBackend([500, {}], [200, ACCEPTED]);
+        const result = await processor(backend.url, { retryStatuses: [500] }).processOrder(ORDER);
+
+        assert.equal(result.success, true);
+        assert.equal(backend.requests, 2);
+    });
+
+    it('does not retry a connection lost after the order was sent', async () => {
+        const backend = await startBackend('reset', [200, ACCEPTED]);
+        const result = await processor(backend.url).processOrder(ORDER);
+
+        assert.equal(result.success, false);
+        assert.equal(backend.requests, 1);
+    });
+
+    it('retries a connection that could not be made', async () => {
+        const orders = processor('http://127.0.0.1:1/api/edi/purchase-order');
+        let attempts = 0;
+        const forward = orders.forwardToBackend.bind(orders);
+        orders.forwardToBackend = (orderData) => {
+            attempts++;
+            return forward(orderData);
+        };
+
+        const result = await orders.processOrder(ORDER);
+        assert.equal(result.success, false);
+        assert.equal(attempts, 3);
+    });
+
+    it('passes backend rejections on without retrying', async () => {
+        const backend = await startBackend([400, { message: 'Unknown item' }]);
+        const result = await processor(backend.url).processOrder(ORDER);
+
+        assert.equal(result.error, 'Order rejected');
+        assert.equal(result.message, 'Unknown item');
+        assert.equal(result.statusCode, 422);
+        assert.equal(backend.requests, 1);
+    });
+});
+
+describe('OrderProcessor connect timeouts', () => {
+    it('retries and then queues an order whose connection hangs', async () => {
+        const restore = hangConnections();
+        try {
+            const orders = await queueingProcessor('http://127.0.0.1:9/api/edi/purchase-order', { timeout: 20 });
+            let attempts = 0;
+            const forward = orders.forwardToBackend.bind(orders);
+            orders.forwardToBackend = (orderData) => {
+                attempts++;
+                return forward(orderData);
+            };
+
+            const result = await orders.processOrder(ORDER, { orderId: 'order-1' });
+            assert.equal(attempts, 3);
+            assert.equal(result.queued, true);
+            assert.equal(result.statusCode, 202);
+        } finally {
+            restore();
+        }
+    });
+
+    it('neither retries nor queues an order the backend stopped answering', async () => {
+        const server = http.createServer(() => {}); // Accepts the order, never answers
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        servers.push(server);
+        server.unref();
+
+        const orders = await queueingProcessor(`http://127.0.0.1:${server.address().port}/po`, { timeout: 50 });
+        const result = await orders.processOrder(ORDER, { orderId: 'order-1' });
+
+        assert.equal(result.success, false);
+        assert.equal(result.error, 'Backend timeout');
+        assert.equal(orders.getQueueStatus().size, 0);
+        server.closeAllConnections();
+    });
+});
+
+describe('OrderProcessor queue', () => {
+    it('queues orders the backend answered with 503', async () => {
+        const backend = await startBackend([503, { message: 'Application is not available' }]);
+        const orders = await queueingProcessor(backend.url);
+
+        const result = await orders.processOrder(ORDER, { orderId: 'order-1' });
+        assert.equal(result.queued, true);
+        assert.equal(result.queuePosition, 1);
+        assert.equal(backend.requests, 3);
+    });
+
+    it('queues orders while the circuit is open', async () => {
+        const orders = await queueingProcessor('http://127.0.0.1:1/po');
+        orders.circuitBreaker.execute = async () => {
+            throw new CircuitOpenError('EDI backend', 30000);
+        };
+
+        const result = await orders.processOrder(ORDER, { orderId: 'order-1' });
+        assert.equal(result.queued, true);
+    });
+
+    for (const response of [[500, {}], [504, {}], 'reset']) {
+        it(`does not queue an order after ${response === 'reset' ? 'a lost connection' : `a ${response[0]} response`}`, async () => {
+            const backend = await startBackend(response);
+            const orders = await queueingProcessor(backend.url);
+
+            const result = await orders.processOrder(ORDER, { orderId: 'order-1' });
+            assert.equal(result.success, false);
+            assert.equal(orders.getQueueStatus().size, 0);
+            assert.equal(backend.requests, 1);
+        });
+    }
+
+    it('sends new orders after the ones already queued', async () => {
+        const backend = await startBackend([503, {}], [503, {}], [503, {}], [200, ACCEPTED]);
+        const orders = await queueingProcessor(backend.url);
+        await orders.processOrder(ORDER, { orderId: 'order-1' });
+
+        const result = await orders.processOrder(ORDER, { orderId: 'order-2' });
+        assert.equal(result.queuePosition, 2);
+        assert.equal(backend.requests, 3);
+    });
+
+    it('keeps an order at the head of the queue while the backend still answers 503', async () => {
+        const backend = await startBackend([503, {}]);
+        const orders = await queueingProcessor(backend.url);
+        await orders.processOrder(ORDER, { orderId: 'order-1' });
+
+        const dequeued = [];
+        orders.on('dequeued', entry => dequeued.push(entry.orderId));
+
+        assert.equal(await orders.drainQueue(), 0);
+        assert.equal(orders.getQueueStatus().size, 1);
+        assert.deepEqual(dequeued, []);
+    });
+
+    it('drains the queue oldest first once the backend accepts orders', async () => {
+        const backend = await startBackend([503, {}], [503, {}], [503, {}], [200, ACCEPTED]);
+        const storage = new MemoryStorage();
+        const orders = processor(backend.url, { queueEnabled: true });
+        await orders.initialize(storage);
+        await orders.close();
+        await orders.processOrder(ORDER, { orderId: 'order-1' });
+        await orders.processOrder(ORDER, { orderId: 'order-2' });
+
+        const dequeued = [];
+        orders.on('dequeued', (entry, result) => dequeued.push([entry.orderId, result.po]));
+
+        assert.equal(await orders.drainQueue(), 2);
+        assert.deepEqual(dequeued, [['order-1', '2001'], ['order-2', '2001']]);
+        assert.deepEqual(await storage.load(), []);
+    });
+
+    it('restores queued orders from storage', async () => {
+        const storage = new MemoryStorage();
+        await storage.append({ orderId: 'order-1', orderData: ORDER, correlationId: null, queuedAt: new Date().toISOString() });
+
+        const orders = processor('http://127.0.0.1:1/po', { queueEnabled: true });
+        await orders.initialize(storage);
+        await orders.close();
+        assert.equal(orders.getQueueStatus().size, 1);
+    });
+});
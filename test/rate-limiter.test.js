@@ -0,0 +1,102 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { RateLimiter } = require('../src/shared/rate-limiter');
+
+const RULES = {
+    order: { capacity: 2, refillPerMinute: 60, ip: { capacity: 4, refillPerMinute: 120 } },
+    http: { capacity: 3, refillPerMinute: 60 }
+};
+
+function request(remoteAddress, forwardedFor) {
+    return {
+        headers: forwardedFor === undefined ? {} : { 'x-forwarded-for': forwardedFor },
+        socket: { remoteAddress }
+    };
+}
+
+describe('RateLimiter', () => {
+    it('limits a key once its bucket is empty and refills it over time', () => {
+        const limiter = new RateLimiter({ rules: RULES });
+
+        assert.equal(limiter.consume('http', ['ip:10.0.0.1'], 0).allowed, true);
+        assert.equal(limiter.consume('http', ['ip:10.0.0.1'], 0).allowed, true);
+        assert.equal(limiter.consume('http', ['ip:10.0.0.1'], 0).allowed, true);
+
+        const limited = limiter.consume('http', ['ip:10.0.0.1'], 0);
+        assert.equal(limited.allowed, false);
+        assert.equal(limited.retryAfterMs, 1000);
+
+        assert.equal(limiter.consume('http', ['ip:10.0.0.1'], 1000).allowed, true);
+    });
+
+    it('holds user keys to the rule and IP keys to its separate IP limits', () => {
+        const limiter = new RateLimiter({ rules: RULES });
+
+        // Four players behind one address each get their own per-player limit
+        ['alice', 'bob', 'carol', 'dave'].forEach(user => {
+            assert.equal(limiter.consume('order', ['ip:10.0.0.1', `user:${user}`], 0).allowed, true);
+        });
+        assert.equal(limiter.consume('order', ['ip:10.0.0.1', 'user:erin'], 0).allowed, false);
+
+        assert.equal(limiter.consume('order', ['ip:10.0.0.2', 'user:frank'], 0).allowed, true);
+        assert.equal(limiter.consume('order', ['ip:10.0.0.3', 'user:frank'], 0).allowed, true);
+        assert.equal(limiter.consume('order', ['ip:10.0.0.4', 'user:frank'], 0).allowed, false);
+    });
+
+    it('does not take tokens for a limited request', () => {
+        const limiter = new RateLimiter({ rules: RULES });
+        limiter.consume('order', ['user:alice'], 0);
+        limiter.consume('order', ['user:alice'], 0);
+        limiter.consume('order', ['ip:10.0.0.1', 'user:alice'], 0);
+
+        assert.equal(limiter.getStats().rules.order.limited, 1);
+        assert.equal(limiter.consume('order', ['ip:10.0.0.1', 'user:bob'], 0).remaining, 1);
+    });
+
+    it('lets everything through when disabled or for unknown rules', () => {
+        const limiter = new RateLimiter({ enabled: false, rules: RULES });
+        for (let i = 0; i < 10; i++) {
+            assert.equal(limiter.consume('http', ['ip:10.0.0.1'], 0).allowed, true);
+        }
+        assert.equal(new RateLimiter({ rules: RULES }).consume('unknown', ['ip:10.0.0.1'], 0).allowed, true);
+    });
+
+    it('throws a 429 RequestError with Retry-After from the middleware', () => {
+        const limiter = new RateLimiter({ rules: { http: { capacity: 1, refillPerMinute: 6 } } });
+        const middleware = limiter.middleware('http', () => ['ip:10.0.0.1']);
+
+        assert.equal(middleware({}, {}, () => 'next'), 'next');
+        assert.throws(() => middleware({}, {}, () => 'next'), error => {
+            assert.equal(error.statusCode, 429);
+            assert.equal(error.headers['Retry-After'], '10');
+            return true;
+        });
+    });
+
+    describe('clientIp', () => {
+        it('ignores X-Forwarded-For unless a proxy is trusted', () => {
+            const limiter = new RateLimiter({ rules: RULES });
+            assert.equal(limiter.clientIp(request('10.0.0.9', '203.0.113.7')), '10.0.0.9');
+        });
+
+        it('takes the entry appended by the trusted router', () => {
+            const limiter = new RateLimiter({ trustProxy: true, rules: RULES });
+            assert.equal(limiter.clientIp(request('10.0.0.9', '203.0.113.7')), '203.0.113.7');
+            assert.equal(limiter.clientIp(request('10.0.0.9')), '10.0.0.9');
+        });
+
+        it('does not let a spoofed leading entry change the key', () => {
+            const limiter = new RateLimiter({ trustProxy: true, rules: RULES });
+            const spoofed = ['1.1.1.1', '2.2.2.2', '3.3.3.3'].map(fake =>
+                limiter.clientIp(request('10.0.0.9', `${fake}, 203.0.113.7`)));
+            assert.deepEqual(spoofed, ['203.0.113.7', '203.0.113.7', '203.0.113.7']);
+        });
+
+        it('skips the entries of further trusted proxies', () => {
+            const limiter = new RateLimiter({ trustProxy: 2, rules: RULES });
+            assert.equal(limiter.clientIp(request('10.0.0.9', '1.1.1.1, 203.0.113.7, 10.0.0.8')), '203.0.113.7');
+            assert.equal(limiter.clientIp(request('10.0.0.9', '203.0.113.7')), '203.0.113.7');
+        });
+    });
+});
@@ -0,0 +1,107 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { JsonLinesStorage, MemoryStorage, createStorage } = require('../src/shared/storage');
+
+describe('JsonLinesStorage', () => {
+    let dir;
+    let filePath;
+    let storage;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shopmaze-storage-'));
+        filePath = path.join(dir, 'records.jsonl');
+        storage = new JsonLinesStorage({ filePath });
+    });
+
+    afterEach(async () => {
+        await storage.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('starts empty when the file does not exist', async () => {
+        assert.deepEqual(await storage.load(), []);
+    });
+
+    it('loads appended records in order', async () => {
+        await storage.load();
+        await Promise.all([1, 2, 3].map(id => storage.append({ id })));
+
+        assert.deepEqual(await new JsonLinesStorage({ filePath }).load(), [{ id: 1 }, { id: 2 }, { id: 3 }]);
+    });
+
+    it('discards a truncated final line and compacts the file', async () => {
+        fs.writeFileSync(filePath, '{"id":1}\n{"id":2}\n{"id":');
+
+        assert.deepEqual(await storage.load(), [{ id: 1 }, { id: 2 }]);
+        assert.equal(fs.readFileSync(filePath, 'utf8'), '{"id":1}\n{"id":2}\n');
+
+        await storage.append({ id: 3 });
+        assert.deepEqual(await new JsonLinesStorage({ filePath }).load(), [{ id: 1 }, { id: 2 }, { id: 3 }]);
+    });
+
+    it('replaces every record on rewrite', async () => {
+        await storage.append({ id: 1 });
+        await storage.rewrite([{ id: 2 }]);
+
+        assert.deepEqual(await storage.load(), [{ id: 2 }]);
+        assert.equal(fs.existsSync(`${filePath}.tmp`), false);
+    });
+
+    it('keeps appends queued before an update', async () => {
+        await storage.append({ id: 1, email: 'a@example.com' });
+        const appended = storage.append({ id: 2, email: 'b@example.com' });
+        const updated = storage.update(records => records.map(record => ({ ...record, email: null })));
+        await Promise.all([appended, updated]);
+
+        assert.deepEqual(await storage.load(), [{ id: 1, email: null }, { id: 2, email: null }]);
+    });
+
+    it('leaves the file unchanged when update returns null', async () => {
+        await storage.append({ id: 1 });
+        await storage.update(() => null);
+
+        assert.deepEqual(await storage.load(), [{ id: 1 }]);
+    });
+
+    it('keeps writing after a failed write', async () => {
+        const failed = storage.queueWrite(async () => {
+            throw new Error('disk full');
+        });
+        const appended = storage.append({ id: 1 });
+
+        await assert.rejects(failed, /disk full/);
+        await appended;
+        assert.deepEqual(await storage.load(), [{ id: 1 }]);
+    });
+});
+
+describe('MemoryStorage', () => {
+    it('appends, rewrites and updates records', async () => {
+        const storage = new MemoryStorage();
+        await storage.append({ id: 1 });
+        await storage.append({ id: 2 });
+        await storage.update(records => records.filter(record => record.id !== 1));
+        assert.deepEqual(await storage.load(), [{ id: 2 }]);
+
+        await storage.rewrite([{ id: 3 }]);
+        assert.deepEqual(await storage.load(), [{ id: 3 }]);
+    });
+});
+
+describe('createStorage', () => {
+    it('creates the configured backend', () => {
+        assert.ok(createStorage('scores', { backend: 'memory' }) instanceof MemoryStorage);
+
+        const storage = createStorage('scores', { backend: 'jsonl', storageDir: '/tmp/data' });
+        assert.ok(storage instanceof JsonLinesStorage);
+        assert.equal(storage.filePath, path.join('/tmp/data', 'scores.jsonl'));
+    });
+
+    it('rejects an unknown backend', () => {
+        assert.throws(() => createStorage('scores', { backend: 'sqlite' }), /Unknown storage backend: sqlite/);
+    });
+});